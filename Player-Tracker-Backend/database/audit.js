@@ -0,0 +1,122 @@
+// Player-Tracker-Backend/database/audit.js
+
+/*
+ * Audit trail: one append-only row per change made through the API, written in the same
+ * transaction as the change (routes call req.audit(tx, entry), see middleware/audit.js).
+ * Each row has who (user_id/username/role), where from (ip), what (method, path, action,
+ * entity, player/stat, log_id), the before/after values and the request payload.
+ * Actions are "<entity>.<verb>", e.g. stat.add, stat.set, log.undo, player.update, backup.restore.
+ */
+
+// JSON columns and the fields they are returned as
+const JSON_COLUMNS = { before_value: 'before', after_value: 'after', payload: 'payload' };
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(value);
+}
+
+function parseRow(row) {
+  if (!row) return row;
+  const parsed = { ...row };
+  for (const [column, field] of Object.entries(JSON_COLUMNS)) {
+    delete parsed[column];
+    parsed[field] = row[column] === null ? null : JSON.parse(row[column]);
+  }
+  return parsed;
+}
+
+// Append an entry. Resolves with its id.
+async function recordAudit(tx, entry) {
+  const { lastID } = await tx.run(
+    `INSERT INTO audit_log (
+       user_id, username, role, ip, method, path, action, entity_type, entity_id,
+       player_id, stat, log_id, before_value, after_value, payload
+     ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entry.user_id ?? null,
+      entry.username ?? null,
+      entry.role ?? null,
+      entry.ip ?? null,
+      entry.method ?? null,
+      entry.path ?? null,
+      entry.action,
+      entry.entity_type ?? null,
+      entry.entity_id ?? null,
+      entry.player_id ?? null,
+      entry.stat ?? null,
+      entry.log_id ?? null,
+      toJson(entry.before),
+      toJson(entry.after),
+      toJson(entry.payload)
+    ]
+  );
+  return lastID;
+}
+
+/**
+ * Entries newest first. Filters (all optional): user_id, username, action (exact, or a prefix
+ * ending in ".*" such as "stat.*"), entity_type, entity_id, player_id, stat, ip,
+ * from/to (YYYY-MM-DD, inclusive, UTC), before_id (entries older than this id, for paging), limit.
+ */
+async function listAudit(db, filters = {}) {
+  const where = [];
+  const params = [];
+  const exact = ['user_id', 'username', 'entity_type', 'entity_id', 'player_id', 'stat', 'ip'];
+
+  for (const column of exact) {
+    if (filters[column] !== undefined && filters[column] !== null) {
+      where.push(`${column} = ?`);
+      params.push(filters[column]);
+    }
+  }
+  if (filters.action) {
+    if (filters.action.endsWith('.*')) {
+      where.push("action LIKE ? ESCAPE '\\'");
+      params.push(`${filters.action.slice(0, -1).replace(/[\\%_]/g, c => `\\${c}`)}%`);
+    } else {
+      where.push('action = ?');
+      params.push(filters.action);
+    }
+  }
+  if (filters.from) {
+    where.push('date(created_at) >= ?');
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    where.push('date(created_at) <= ?');
+    params.push(filters.to);
+  }
+  if (filters.before_id) {
+    where.push('id < ?');
+    params.push(filters.before_id);
+  }
+
+  const rows = await db.all(`
+    SELECT * FROM audit_log
+    ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT ?
+  `, [...params, filters.limit || 50]);
+  return rows.map(parseRow);
+}
+
+// Audit fields for an undo/redo written by reverseEntry() (database/history.js)
+function reversalAudit({ entry, reversed, player }) {
+  const after = player ? player.total : null;
+  return {
+    action: `log.${entry.kind}`,
+    entity_type: 'log',
+    entity_id: reversed.id,
+    player_id: entry.player_id,
+    stat: entry.stat,
+    log_id: entry.id,
+    before: { total: after === null ? null : after - entry.assists_added },
+    after: { total: after }
+  };
+}
+
+module.exports = {
+  recordAudit,
+  listAudit,
+  reversalAudit
+};
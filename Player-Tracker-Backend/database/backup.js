@@ -0,0 +1,78 @@
+// Player-Tracker-Backend/database/backup.js
+// Usage: npm run backup                             take a snapshot of DB_PATH now
+//        npm run backup -- list                     list snapshots in BACKUP_DIR
+//        npm run restore -- <snapshot> <new-file>   copy a snapshot into a fresh database file
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./db');
+const { getMigrationStatus } = require('./migrator');
+const { getBackupConfig, listSnapshots, takeSnapshot, copySnapshot } = require('./backups');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'basketball.db');
+const [command = 'create', ...args] = process.argv.slice(2);
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+async function create(config) {
+  const db = await openDatabase(dbPath);
+  try {
+    const { snapshot, removed } = await takeSnapshot(db, config, 'manual');
+    console.log(`✅ Created ${path.join(config.dir, snapshot.name)} (${formatSize(snapshot.size)})`);
+    removed.forEach(s => console.log(`🗑️  Removed ${s.name} (retention policy)`));
+  } finally {
+    await db.close();
+  }
+}
+
+function list(config) {
+  const snapshots = listSnapshots(config.dir);
+  if (snapshots.length === 0) {
+    console.log(`No snapshots in ${config.dir}`);
+  }
+  snapshots.forEach(s => console.log(`${s.name}  ${s.reason.padEnd(11)}  ${formatSize(s.size)}`));
+}
+
+// Restoring to a new file leaves the live database alone; point DB_PATH at the result
+// (or swap it in while the server is stopped) once it looks right
+async function restore(config, [snapshot, target]) {
+  if (!snapshot || !target) {
+    throw new Error('Usage: npm run restore -- <snapshot name or path> <new database file>');
+  }
+
+  const file = fs.existsSync(snapshot) ? snapshot : path.join(config.dir, snapshot);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Snapshot ${snapshot} not found (looked in ${config.dir})`);
+  }
+
+  await copySnapshot(file, target);
+  console.log(`✅ Restored ${path.basename(file)} to ${target}`);
+
+  const db = await openDatabase(target);
+  try {
+    const { pending } = await getMigrationStatus(db);
+    if (pending.length > 0) {
+      console.log(`⚠️  The snapshot predates ${pending.length} migration(s); run DB_PATH=${target} npm run migrate before using it`);
+    }
+  } finally {
+    await db.close();
+  }
+  console.log(`👉 Start the server on it with DB_PATH=${target} npm start`);
+}
+
+(async () => {
+  const config = getBackupConfig();
+  if (command === 'create') {
+    await create(config);
+  } else if (command === 'list') {
+    list(config);
+  } else if (command === 'restore') {
+    await restore(config, args);
+  } else {
+    throw new Error(`Unknown command "${command}". Expected create, list or restore`);
+  }
+})().catch((err) => {
+  console.error('❌ Backup command failed:', err.message);
+  process.exit(1);
+});
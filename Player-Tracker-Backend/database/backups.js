@@ -0,0 +1,229 @@
+// Player-Tracker-Backend/database/backups.js
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./db');
+const { assertMigrated } = require('./migrator');
+const { notFound, HttpError } = require('../utils/errors');
+
+/*
+ * Point-in-time snapshots of the database, taken with SQLite's online backup API so the
+ * server keeps running. Each snapshot is a complete database file in the backup directory,
+ * named after when and why it was taken: snapshot-20250301T183000000Z-scheduled.db
+ * Reasons: scheduled, manual, and pre-restore (taken automatically before every restore).
+ */
+
+const DEFAULT_BACKUP_DIR = path.join(__dirname, 'backups');
+const SNAPSHOT_NAME = /^snapshot-(\d{8}T\d{9}Z)-(scheduled|manual|pre-restore)\.db$/;
+const MAX_INTERVAL_HOURS = 24 * 21;
+
+function readNumber(env, key, fallback, { min = 0, max = Infinity } = {}) {
+  if (env[key] === undefined || env[key] === '') return fallback;
+  const value = Number(env[key]);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`${key} must be a number ${max === Infinity ? `of at least ${min}` : `between ${min} and ${max}`}`);
+  }
+  return value;
+}
+
+/**
+ * Backup settings from the environment:
+ * - BACKUP_DIR             where snapshots are written (default database/backups)
+ * - BACKUP_INTERVAL_HOURS  time between scheduled snapshots; 0 turns the schedule off (default 24)
+ * - BACKUP_RETAIN_COUNT    newest snapshots to keep (default 30)
+ * - BACKUP_RETAIN_DAYS     also delete snapshots older than this; 0 keeps them regardless of age (default 0)
+ * Throws on invalid values so the server refuses to start with a broken policy.
+ */
+function getBackupConfig(env = process.env) {
+  return {
+    dir: env.BACKUP_DIR || DEFAULT_BACKUP_DIR,
+    intervalHours: readNumber(env, 'BACKUP_INTERVAL_HOURS', 24, { max: MAX_INTERVAL_HOURS }),
+    retainCount: readNumber(env, 'BACKUP_RETAIN_COUNT', 30, { min: 1 }),
+    retainDays: readNumber(env, 'BACKUP_RETAIN_DAYS', 0)
+  };
+}
+
+// { name, reason, created_at, size } for a snapshot file name, or null for anything else
+function describeSnapshot(dir, name) {
+  const match = SNAPSHOT_NAME.exec(name);
+  if (!match) return null;
+
+  const [, stamp, reason] = match;
+  const createdAt = `${stamp.slice(0, 4)}-${stamp.slice(4, 6)}-${stamp.slice(6, 8)}T` +
+    `${stamp.slice(9, 11)}:${stamp.slice(11, 13)}:${stamp.slice(13, 15)}.${stamp.slice(15, 18)}Z`;
+  const { size } = fs.statSync(path.join(dir, name));
+  return { name, reason, created_at: createdAt, size };
+}
+
+// Every snapshot in the directory, newest first
+function listSnapshots(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .map(name => describeSnapshot(dir, name))
+    .filter(Boolean)
+    .sort((a, b) => b.name.localeCompare(a.name));
+}
+
+function getSnapshot(dir, name) {
+  const snapshot = SNAPSHOT_NAME.test(name) && fs.existsSync(path.join(dir, name))
+    ? describeSnapshot(dir, name)
+    : null;
+  if (!snapshot) {
+    throw notFound('Snapshot not found', `No snapshot named ${name} exists.`);
+  }
+  return snapshot;
+}
+
+// Copy the live database into a new snapshot. Written under a temporary name and renamed
+// when complete, so a half-written file never shows up in the list.
+async function createSnapshot(db, dir, reason = 'manual') {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const name = `snapshot-${stamp}-${reason}.db`;
+  const partial = path.join(dir, `.${name}.partial`);
+
+  try {
+    await db.backup(partial);
+    fs.renameSync(partial, path.join(dir, name));
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    throw err;
+  }
+  return describeSnapshot(dir, name);
+}
+
+/**
+ * Delete snapshots beyond the newest `retainCount`, and any older than `retainDays` (when set).
+ * The newest snapshot is always kept. Returns the deleted snapshots.
+ */
+function applyRetention(dir, { retainCount, retainDays }, now = Date.now()) {
+  const cutoff = retainDays > 0 ? now - retainDays * 24 * 60 * 60 * 1000 : -Infinity;
+
+  const expired = listSnapshots(dir).filter((snapshot, index) =>
+    index > 0 && (index >= retainCount || Date.parse(snapshot.created_at) < cutoff)
+  );
+  for (const snapshot of expired) {
+    fs.rmSync(path.join(dir, snapshot.name), { force: true });
+  }
+  return expired;
+}
+
+// Take a snapshot and then prune old ones. Resolves with { snapshot, removed }.
+async function takeSnapshot(db, config, reason = 'manual') {
+  const snapshot = await createSnapshot(db, config.dir, reason);
+  const removed = applyRetention(config.dir, config);
+  return { snapshot, removed };
+}
+
+// Refuse snapshots from another schema version: the running server only understands its own.
+// Resolves with the id of the snapshot's last audit entry (0 if it has none).
+async function checkSnapshot(file) {
+  const snapshotDb = await openDatabase(file);
+  try {
+    await assertMigrated(snapshotDb);
+    const { id } = await snapshotDb.get('SELECT MAX(id) as id FROM audit_log');
+    return id || 0;
+  } catch (err) {
+    throw new HttpError(409, 'Incompatible snapshot', `${path.basename(file)}: ${err.message}`);
+  } finally {
+    await snapshotDb.close();
+  }
+}
+
+/**
+ * Replace the live database with a snapshot, in place, while the server runs.
+ * A pre-restore snapshot of the current data is taken first so a restore can itself be undone.
+ * The audit log is append-only, so it isn't rolled back: entries written since the snapshot are
+ * carried over into the restored data.
+ * Resolves with { restored, safety, kept_audit_entries } (the snapshot restored, the pre-restore
+ * snapshot and how many audit entries were carried over).
+ */
+async function restoreSnapshot(db, config, name) {
+  const restored = getSnapshot(config.dir, name);
+  const file = path.join(config.dir, name);
+  const lastAuditId = await checkSnapshot(file);
+
+  // Prune only afterwards, so retention can't remove the snapshot being restored
+  const safety = await createSnapshot(db, config.dir, 'pre-restore');
+  const kept = await db.backup(file, { restore: true, keep: { table: 'audit_log', afterId: lastAuditId } });
+  applyRetention(config.dir, config);
+  return { restored, safety, kept_audit_entries: kept };
+}
+
+function deleteSnapshot(dir, name) {
+  const snapshot = getSnapshot(dir, name);
+  fs.rmSync(path.join(dir, name), { force: true });
+  return snapshot;
+}
+
+/**
+ * Take a scheduled snapshot every `intervalHours`, counting from the newest scheduled one
+ * (so restarts don't push the next snapshot back). Returns { nextAt(), stop() }; does nothing
+ * when the interval is 0.
+ */
+function scheduleSnapshots(db, config, { onSnapshot = () => {}, onError = () => {} } = {}) {
+  let timer = null;
+  let next = null;
+
+  if (!config.intervalHours) {
+    return { nextAt: () => null, stop() {} };
+  }
+
+  const intervalMs = config.intervalHours * 60 * 60 * 1000;
+
+  const plan = (at) => {
+    next = Math.max(at, Date.now());
+    timer = setTimeout(run, next - Date.now());
+    // Never keep the process alive just for backups
+    timer.unref();
+  };
+
+  // A failed snapshot is retried at the next interval rather than straight away
+  const run = async () => {
+    try {
+      onSnapshot(await takeSnapshot(db, config, 'scheduled'));
+    } catch (err) {
+      onError(err);
+    }
+    if (timer) plan(Date.now() + intervalMs);
+  };
+
+  const last = listSnapshots(config.dir).find(s => s.reason === 'scheduled');
+  plan(last ? Date.parse(last.created_at) + intervalMs : Date.now());
+  return {
+    nextAt: () => (next ? new Date(next).toISOString() : null),
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      next = null;
+    }
+  };
+}
+
+// Copy a snapshot into a new database file (for the restore CLI); refuses to overwrite
+async function copySnapshot(file, target) {
+  if (fs.existsSync(target)) {
+    throw new Error(`${target} already exists; restore to a new file`);
+  }
+
+  const snapshotDb = await openDatabase(file);
+  try {
+    await snapshotDb.backup(target);
+  } finally {
+    await snapshotDb.close();
+  }
+}
+
+module.exports = {
+  SNAPSHOT_NAME,
+  getBackupConfig,
+  listSnapshots,
+  getSnapshot,
+  takeSnapshot,
+  applyRetention,
+  restoreSnapshot,
+  deleteSnapshot,
+  scheduleSnapshots,
+  copySnapshot
+};
@@ -0,0 +1,32 @@
+// Player-Tracker-Backend/database/create-user.js
+// Usage: USER_PASSWORD=... npm run create-user -- <username> [viewer|scorer|admin]
+const path = require('path');
+const { openDatabase } = require('./db');
+const { assertMigrated } = require('./migrator');
+const { ROLES, createUser } = require('./users');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'basketball.db');
+const [username, role = 'viewer'] = process.argv.slice(2);
+const password = process.env.USER_PASSWORD;
+
+if (!username || !password || !ROLES.includes(role)) {
+  console.error(`Usage: USER_PASSWORD=<password> npm run create-user -- <username> [${ROLES.join('|')}]`);
+  process.exit(1);
+}
+
+openDatabase(dbPath)
+  .then(async (db) => {
+    try {
+      await assertMigrated(db);
+      const user = await db.transaction(tx => createUser(tx, { username, password, role }));
+      console.log(`✅ Created ${user.role} "${user.username}" (id ${user.id})`);
+    } catch (err) {
+      console.error('❌ Could not create user:', err.message);
+      process.exitCode = 1;
+    }
+    await db.close();
+  })
+  .catch((err) => {
+    console.error('Error opening database:', err);
+    process.exit(1);
+  });
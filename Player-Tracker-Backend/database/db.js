@@ -0,0 +1,190 @@
+// Player-Tracker-Backend/database/db.js
+const sqlite3 = require('sqlite3').verbose();
+
+const DEFAULT_BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * Shared data-access wrapper around a single sqlite3 connection.
+ *
+ * - Statements are prepared once and cached by SQL text
+ * - run/get/all return promises
+ * - transaction() queues work so only one BEGIN/COMMIT block runs at a time
+ * - run/get/all are not queued: a write made with run() outside transaction() can land inside
+ *   another request's open transaction and be rolled back with it, so every write belongs in
+ *   transaction() (helpers that write take the `tx` it passes them); plain reads may use db directly
+ * - backup() takes or restores a snapshot between transactions
+ */
+class Database {
+  constructor(handle, filename) {
+    this.handle = handle;
+    this.filename = filename;
+    this.statements = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  prepare(sql) {
+    let statement = this.statements.get(sql);
+    if (!statement) {
+      statement = this.handle.prepare(sql);
+      this.statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.prepare(sql).run(params, function(err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    const statement = this.prepare(sql);
+    return new Promise((resolve, reject) => {
+      // get() leaves the cursor open; reset so the next call starts from the first row
+      statement.get(params, (err, row) => {
+        statement.reset();
+        if (err) return reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.prepare(sql).all(params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  // Run raw SQL (schema scripts, PRAGMAs, BEGIN/COMMIT) without caching a statement
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.handle.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  // Run `work` after everything queued before it has settled; later work waits for this one
+  enqueue(work) {
+    const result = this.queue.then(work);
+
+    // Keep the queue alive regardless of how this work ends
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Run `work(db)` inside BEGIN IMMEDIATE/COMMIT, rolling back if it throws or rejects.
+   * Resolves with whatever `work` returns.
+   */
+  transaction(work) {
+    return this.enqueue(() => this.runTransaction(work));
+  }
+
+  // The body of transaction(), for work that already holds its place in the queue
+  async runTransaction(work) {
+    await this.exec('BEGIN IMMEDIATE');
+    try {
+      const value = await work(this);
+      await this.exec('COMMIT');
+      return value;
+    } catch (err) {
+      try {
+        await this.exec('ROLLBACK');
+      } catch (rollbackErr) {
+        console.error('Error rolling back transaction:', rollbackErr);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Copy the whole database to `filename` with SQLite's online backup API, or with
+   * { restore: true } replace this database's contents with the database in `filename`.
+   * A restore can keep rows the file doesn't have: with keep: { table, afterId }, the rows of
+   * `table` with a higher id are read first and written back into the restored data, ids and all.
+   * Queued like a transaction, so it never lands in the middle of one (nor between those steps).
+   * Resolves with the number of rows kept.
+   */
+  backup(filename, { restore = false, keep = null } = {}) {
+    return this.enqueue(async () => {
+      const kept = restore && keep
+        ? await this.all(`SELECT * FROM ${keep.table} WHERE id > ? ORDER BY id`, [keep.afterId])
+        : [];
+
+      await new Promise((resolve, reject) => {
+        const backup = this.handle.backup(filename, 'main', 'main', !restore, (err) => {
+          if (err) return reject(err);
+
+          // -1 copies every page in one step
+          backup.step(-1, (stepErr) => {
+            backup.finish(() => (stepErr ? reject(stepErr) : resolve()));
+          });
+        });
+      });
+
+      if (kept.length > 0) {
+        const columns = Object.keys(kept[0]);
+        const sql = `INSERT INTO ${keep.table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+        await this.runTransaction(async () => {
+          for (const row of kept) {
+            await this.run(sql, columns.map(column => row[column]));
+          }
+        });
+      }
+      return kept.length;
+    });
+  }
+
+  // Queued too, so writes still in flight at shutdown (e.g. storing an idempotent response) finish first
+  close() {
+    return this.enqueue(() => {
+      const statements = [...this.statements.values()];
+      this.statements.clear();
+
+      return Promise.all(statements.map(statement => new Promise(resolve => statement.finalize(() => resolve()))))
+        .then(() => new Promise((resolve, reject) => {
+          this.handle.close((err) => (err ? reject(err) : resolve()));
+        }));
+    });
+  }
+}
+
+/**
+ * Open and configure a connection. Rejects if the file can't be opened or queried,
+ * so callers can refuse to start instead of serving requests on a dead handle.
+ */
+function openDatabase(filename, options = {}) {
+  const {
+    create = false,
+    busyTimeout = Number(process.env.DB_BUSY_TIMEOUT_MS) || DEFAULT_BUSY_TIMEOUT_MS
+  } = options;
+  const mode = sqlite3.OPEN_READWRITE | (create ? sqlite3.OPEN_CREATE : 0);
+
+  return new Promise((resolve, reject) => {
+    const handle = new sqlite3.Database(filename, mode, (err) => {
+      if (err) return reject(err);
+      resolve(handle);
+    });
+  }).then(async (handle) => {
+    const db = new Database(handle, filename);
+    try {
+      handle.configure('busyTimeout', busyTimeout);
+      await db.exec('PRAGMA foreign_keys = ON');
+      if (filename !== ':memory:') {
+        await db.exec('PRAGMA journal_mode = WAL');
+      }
+      await db.get('SELECT 1');
+    } catch (err) {
+      await db.close().catch(() => {});
+      throw err;
+    }
+    return db;
+  });
+}
+
+module.exports = {
+  Database,
+  openDatabase
+};
@@ -0,0 +1,430 @@
+// Player-Tracker-Backend/database/feed.js
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_STAT, listRoster, getPlayer, playerExists } = require('./players');
+const { getGame } = require('./games');
+const { insertLog } = require('./logs');
+const { HttpError, badRequest, notFound } = require('../utils/errors');
+const { checkValues, integer, string, date } = require('../middleware/validate');
+const { readElements } = require('../utils/xml');
+
+/*
+ * Play-by-play feed ingestion (see routes/feed.js and FEED_WATCH_FILE in server.js).
+ * A feed is a list of plays, as JSON, NDJSON (one JSON object per line) or XML; every play has
+ * the feed's own play_id, its game (game_id, or game_date + opponent) and, for a made basket
+ * with an assist, the name of the player who assisted. Plays whose assist is by a player on
+ * the roster become pending feed events, one per game and play_id however often the play is
+ * sent; a scorer then approves each one (adding 1 to the player's assists, logged against the
+ * game) or rejects it. Plays without an assist are skipped; plays that can't be used are reported.
+ */
+
+const FEED_FORMATS = ['json', 'ndjson', 'xml'];
+const FEED_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_FEED_PLAYS = 5000;
+const DEFAULT_WATCH_INTERVAL_MS = 2000;
+const MIN_WATCH_INTERVAL_MS = 100;
+
+// Fields of a play; unknown fields (score, team, ...) are accepted and ignored
+const playRules = {
+  play_id: string({ required: true, maxLength: 100 }),
+  game_id: integer({ min: 1 }),
+  game_date: date(),
+  opponent: string({ maxLength: 100 }),
+  location: string({ maxLength: 100 }),
+  type: string({ maxLength: 50 }),
+  player: string({ maxLength: 100 }),
+  assist: string({ maxLength: 100 }),
+  assist_id: integer({ min: 1 }),
+  period: string({ maxLength: 20 }),
+  clock: string({ maxLength: 20 }),
+  description: string({ maxLength: 500 })
+};
+
+// Game fields a feed can set once for the plays after it
+const GAME_FIELDS = ['game_id', 'game_date', 'opponent', 'location'];
+
+// XML attribute names that differ from the play fields
+const XML_PLAY_ATTRIBUTES = { id: 'play_id' };
+const XML_GAME_ATTRIBUTES = { id: 'game_id', date: 'game_date' };
+
+// Feed ids and periods are often numbers; they're kept as text
+function normalizePlay(play, game) {
+  if (!play || typeof play !== 'object' || Array.isArray(play)) return play;
+  const normalized = { ...play };
+  for (const field of ['play_id', 'period', 'clock']) {
+    if (typeof normalized[field] === 'number') normalized[field] = String(normalized[field]);
+  }
+  for (const field of GAME_FIELDS) {
+    if ((normalized[field] === undefined || normalized[field] === null) && game[field] !== undefined) {
+      normalized[field] = game[field];
+    }
+  }
+  return normalized;
+}
+
+function renamed(attributes, names) {
+  return Object.fromEntries(Object.entries(attributes).map(([name, value]) => [names[name] || name, value]));
+}
+
+// Game fields from a { game: { ... } } object or a <game> element
+function gameFields(game) {
+  if (!game || typeof game !== 'object') return {};
+  return Object.fromEntries(GAME_FIELDS.filter(field => game[field] !== undefined).map(field => [field, game[field]]));
+}
+
+// Guess the format of a feed sent as text
+function detectFormat(text) {
+  const start = text.trimStart();
+  if (start.startsWith('<')) return 'xml';
+  try {
+    JSON.parse(start);
+    return 'json';
+  } catch (err) {
+    return 'ndjson';
+  }
+}
+
+// Feed format from a file's extension (.json, .ndjson/.jsonl, .xml), or null to detect it
+function formatForFile(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.xml') return 'xml';
+  if (extension === '.ndjson' || extension === '.jsonl') return 'ndjson';
+  return extension === '.json' ? 'json' : null;
+}
+
+function parseJsonFeed(feed) {
+  if (Array.isArray(feed)) return feed.map(play => normalizePlay(play, {}));
+  if (feed && typeof feed === 'object' && Array.isArray(feed.plays)) {
+    const game = gameFields(feed.game);
+    return feed.plays.map(play => normalizePlay(play, game));
+  }
+  throw badRequest('Invalid feed', 'A JSON feed must be an array of plays or { game, plays: [...] }');
+}
+
+// One play per line. A { game: { ... } } line sets the game for the plays after it; a last line
+// that doesn't parse is ignored, since a feed being tailed may be part-way through writing it.
+function parseNdjsonFeed(text) {
+  const lines = text.split(/\r?\n/);
+  const plays = [];
+  let game = {};
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (err) {
+      if (index === lines.length - 1) return;
+      throw badRequest('Invalid feed', `Line ${index + 1} is not valid JSON: ${err.message}`);
+    }
+
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.game && value.play_id === undefined) {
+      game = gameFields(value.game);
+    } else {
+      plays.push(normalizePlay(value, game));
+    }
+  });
+  return plays;
+}
+
+// <feed><game date=".." opponent=".."><play id=".." assist="..">description</play>...</game></feed>
+function parseXmlFeed(text) {
+  let elements;
+  try {
+    elements = readElements(text, ['game', 'play']);
+  } catch (err) {
+    throw badRequest('Invalid feed', `The XML feed can't be read: ${err.message}`);
+  }
+
+  const plays = [];
+  let game = {};
+  for (const element of elements) {
+    if (element.name === 'game') {
+      game = gameFields(renamed(element.attributes, XML_GAME_ATTRIBUTES));
+      continue;
+    }
+    const play = renamed(element.attributes, XML_PLAY_ATTRIBUTES);
+    if (element.text && play.description === undefined) play.description = element.text;
+    plays.push(normalizePlay(play, game));
+  }
+  return plays;
+}
+
+/**
+ * The plays in a feed: `feed` is text (in `format`, detected when not given) or an already
+ * parsed JSON body. Throws a 400 when the feed can't be read at all.
+ */
+function parseFeed(feed, format = null) {
+  if (typeof feed !== 'string') return parseJsonFeed(feed);
+
+  switch (format || detectFormat(feed)) {
+    case 'json': {
+      let value;
+      try {
+        value = JSON.parse(feed);
+      } catch (err) {
+        throw badRequest('Invalid feed', `The JSON feed can't be read: ${err.message}`);
+      }
+      return parseJsonFeed(value);
+    }
+    case 'ndjson':
+      return parseNdjsonFeed(feed);
+    default:
+      return parseXmlFeed(feed);
+  }
+}
+
+// The game a play belongs to: by id, else by date and opponent (created when it's new)
+async function findOrCreateGame(tx, play, created) {
+  if (play.game_id) return getGame(tx, play.game_id);
+  if (!play.game_date || !play.opponent) return null;
+
+  const opponent = play.opponent.trim();
+  const existing = await tx.get(
+    'SELECT * FROM games WHERE game_date = ? AND opponent = ? COLLATE NOCASE ORDER BY id LIMIT 1',
+    [play.game_date, opponent]
+  );
+  if (existing) return existing;
+
+  const { lastID } = await tx.run(
+    'INSERT INTO games (game_date, opponent, location) VALUES (?, ?, ?)',
+    [play.game_date, opponent, play.location ? play.location.trim() : null]
+  );
+  const game = await getGame(tx, lastID);
+  created.push(game);
+  return game;
+}
+
+/**
+ * Turn a feed's plays into pending feed events, in one transaction. Resolves with
+ * { received, detected: [event, ...], duplicates, skipped, ignored: [{ play, play_id, reason }],
+ *   games_created: [game, ...] }: skipped plays have no assist, duplicates were already detected,
+ * ignored ones name a player or game that can't be found or have invalid fields.
+ */
+async function ingestFeed(db, plays) {
+  if (plays.length > MAX_FEED_PLAYS) {
+    throw badRequest('Feed too large', `The feed has ${plays.length} plays; at most ${MAX_FEED_PLAYS} can be read at once`);
+  }
+
+  return db.transaction(async (tx) => {
+    const roster = await listRoster(tx);
+    const byName = new Map(roster.map(player => [player.name.toLowerCase(), player]));
+    const byId = new Map(roster.map(player => [player.id, player]));
+
+    const report = { received: plays.length, detected: [], duplicates: 0, skipped: 0, ignored: [], games_created: [] };
+    const ignore = (index, play, reason) => report.ignored.push({
+      play: index + 1,
+      play_id: play && typeof play.play_id === 'string' ? play.play_id : null,
+      reason
+    });
+
+    for (const [index, play] of plays.entries()) {
+      if (!play || typeof play !== 'object' || Array.isArray(play)) {
+        ignore(index, null, 'A play must be an object');
+        continue;
+      }
+
+      if (!play.assist && !play.assist_id) {
+        report.skipped++;
+        continue;
+      }
+      const failures = checkValues(playRules, play, 'feed', { allowUnknown: true });
+      if (failures.length > 0) {
+        ignore(index, play, failures.map(f => f.message).join('; '));
+        continue;
+      }
+
+      const player = play.assist_id ? byId.get(play.assist_id) : byName.get(play.assist.trim().toLowerCase());
+      if (!player) {
+        ignore(index, play, `No player on the roster ${play.assist_id ? `with ID ${play.assist_id}` : `named "${play.assist.trim()}"`}`);
+        continue;
+      }
+
+      const game = await findOrCreateGame(tx, play, report.games_created);
+      if (!game) {
+        ignore(index, play, play.game_id ? `Game with ID ${play.game_id} does not exist` : 'A play needs game_id, or game_date and opponent');
+        continue;
+      }
+
+      const { changes, lastID } = await tx.run(
+        `INSERT INTO feed_events (play_id, stat, player_id, game_id, play_type, scorer_name, period, clock, description)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(game_id, play_id) DO NOTHING`,
+        [
+          play.play_id.trim(),
+          DEFAULT_STAT,
+          player.id,
+          game.id,
+          play.type || null,
+          play.player ? play.player.trim() : null,
+          play.period || null,
+          play.clock || null,
+          play.description || null
+        ]
+      );
+      if (changes === 0) {
+        report.duplicates++;
+        continue;
+      }
+      report.detected.push(await getFeedEvent(tx, lastID));
+    }
+
+    return report;
+  });
+}
+
+const EVENT_COLUMNS = `
+  e.*, p.name as player_name, p.team as player_team,
+  g.game_date, g.opponent, u.username as reviewed_by_username
+`;
+const EVENT_JOINS = `
+  LEFT JOIN players p ON p.id = e.player_id
+  LEFT JOIN games g ON g.id = e.game_id
+  LEFT JOIN users u ON u.id = e.reviewed_by
+`;
+
+function getFeedEvent(db, id) {
+  return db.get(`SELECT ${EVENT_COLUMNS} FROM feed_events e ${EVENT_JOINS} WHERE e.id = ?`, [id]);
+}
+
+// Events in game and play order (oldest game first, so a backlog is reviewed as it happened)
+function listFeedEvents(db, { status = null, game_id = null, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push('e.status = ?');
+    params.push(status);
+  }
+  if (game_id) {
+    conditions.push('e.game_id = ?');
+    params.push(game_id);
+  }
+
+  return db.all(`
+    SELECT ${EVENT_COLUMNS}
+    FROM feed_events e ${EVENT_JOINS}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY g.game_date ASC, e.game_id ASC, e.id ASC
+    LIMIT ?
+  `, [...params, limit]);
+}
+
+/**
+ * Approve or reject a pending event, in the caller's transaction. Approving adds 1 to the
+ * player's total and logs it against the event's game as the reviewer's change, so it can be
+ * undone like any other. Resolves with { event, before, player, log } (player and log only when
+ * approved; before is the total beforehand). Events already reviewed are a 409.
+ */
+async function reviewFeedEvent(tx, id, decision, userId) {
+  const event = await getFeedEvent(tx, id);
+  if (!event) {
+    throw notFound('Feed event not found', `Feed event with ID ${id} does not exist.`);
+  }
+  if (event.status !== 'pending') {
+    throw new HttpError(409, 'Already reviewed', `Play ${event.play_id} was already ${event.status}.`);
+  }
+
+  let player = null;
+  let log = null;
+  let before = null;
+  if (decision === 'approved') {
+    if (!await playerExists(tx, event.player_id)) {
+      throw new HttpError(409, 'Player removed', `The player for play ${event.play_id} is no longer on the roster; reject it instead.`);
+    }
+    const current = await tx.get('SELECT total FROM player_stats WHERE player_id = ? AND stat = ?', [event.player_id, event.stat]);
+    before = current ? current.total : null;
+
+    await tx.run(
+      `INSERT INTO player_stats (player_id, stat, total) VALUES (?, ?, 1)
+       ON CONFLICT(player_id, stat) DO UPDATE SET total = total + excluded.total, updated_at = CURRENT_TIMESTAMP`,
+      [event.player_id, event.stat]
+    );
+    log = await insertLog(tx, {
+      player_id: event.player_id,
+      stat: event.stat,
+      amount: 1,
+      game_id: event.game_id,
+      notes: `Feed play ${event.play_id}${event.description ? `: ${event.description}` : ''}`.slice(0, 500),
+      user_id: userId
+    });
+    player = await getPlayer(tx, event.player_id, event.stat);
+  }
+
+  await tx.run(
+    'UPDATE feed_events SET status = ?, log_id = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [decision, log ? log.id : null, userId, id]
+  );
+  return { event: await getFeedEvent(tx, id), before, player, log };
+}
+
+/**
+ * Settings from the environment:
+ * - FEED_WATCH_FILE         a feed file to ingest whenever it changes (off by default)
+ * - FEED_WATCH_INTERVAL_MS  how often to check it for changes (default 2000, at least 100)
+ * Throws on invalid values so the server refuses to start with a broken setup.
+ */
+function getFeedConfig(env = process.env) {
+  const value = env.FEED_WATCH_INTERVAL_MS;
+  const intervalMs = value === undefined || value === '' ? DEFAULT_WATCH_INTERVAL_MS : Number(value);
+  if (!Number.isInteger(intervalMs) || intervalMs < MIN_WATCH_INTERVAL_MS) {
+    throw new Error(`FEED_WATCH_INTERVAL_MS must be a whole number of at least ${MIN_WATCH_INTERVAL_MS}`);
+  }
+  return { watchFile: env.FEED_WATCH_FILE || null, intervalMs };
+}
+
+/**
+ * Ingest a feed file whenever it changes (checked every intervalMs), and once straight away.
+ * The whole file is read each time; plays already detected are recognised by game and play_id.
+ * Returns { stop() }.
+ */
+function watchFeedFile(db, file, { intervalMs, onIngest = () => {}, onError = () => {} }) {
+  const format = formatForFile(file);
+  let running = false;
+  let again = false;
+
+  const read = async () => {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      const text = await fs.promises.readFile(file, 'utf8');
+      if (text.trim()) onIngest(await ingestFeed(db, parseFeed(text, format)));
+    } catch (err) {
+      // A file that isn't there yet is picked up when it appears
+      if (err.code !== 'ENOENT') onError(err);
+    }
+    running = false;
+    if (again) {
+      again = false;
+      read();
+    }
+  };
+
+  const listener = (current, previous) => {
+    if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) read();
+  };
+  // Never keep the process alive just for the feed
+  fs.watchFile(file, { interval: intervalMs, persistent: false }, listener);
+  read();
+
+  return {
+    stop() {
+      fs.unwatchFile(file, listener);
+    }
+  };
+}
+
+module.exports = {
+  FEED_FORMATS,
+  FEED_STATUSES,
+  getFeedConfig,
+  parseFeed,
+  ingestFeed,
+  getFeedEvent,
+  listFeedEvents,
+  reviewFeedEvent,
+  watchFeedFile
+};
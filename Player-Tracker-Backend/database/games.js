@@ -0,0 +1,77 @@
+// Player-Tracker-Backend/database/games.js
+
+function listGames(db) {
+  return db.all('SELECT * FROM games ORDER BY game_date DESC, id DESC');
+}
+
+function getGame(db, id) {
+  return db.get('SELECT * FROM games WHERE id = ?', [id]);
+}
+
+// One player's line for a game: the net amount logged per stat
+function getBoxLine(db, gameId, playerId) {
+  return db.all(`
+    SELECT stat, SUM(assists_added) as amount, COUNT(*) as entries
+    FROM assists
+    WHERE game_id = ? AND player_id = ?
+    GROUP BY stat
+    ORDER BY stat ASC
+  `, [gameId, playerId]);
+}
+
+/**
+ * Game-by-game log for one player and stat: what was logged in each game and the career total
+ * after it. Totals are reconstructed backwards from the current total, so totals recorded before
+ * tracking started (and logs without a game) are accounted for.
+ */
+async function getGameLog(db, playerId, stat) {
+  const current = await db.get(
+    'SELECT total FROM player_stats WHERE player_id = ? AND stat = ?',
+    [playerId, stat]
+  );
+  if (!current) return null;
+
+  const entries = await db.all(`
+    SELECT a.id, a.game_id, a.assists_added as amount,
+           COALESCE(g.game_date, a.game_date) as game_date
+    FROM assists a
+    LEFT JOIN games g ON g.id = a.game_id
+    WHERE a.player_id = ? AND a.stat = ?
+    ORDER BY COALESCE(g.game_date, a.game_date) ASC, a.id ASC
+  `, [playerId, stat]);
+
+  const logged = entries.reduce((sum, entry) => sum + entry.amount, 0);
+  let running = current.total - logged;
+
+  const games = new Map();
+  for (const entry of entries) {
+    running += entry.amount;
+    if (entry.game_id === null) continue;
+
+    const line = games.get(entry.game_id) || { game_id: entry.game_id, amount: 0, career_total: 0 };
+    line.amount += entry.amount;
+    line.career_total = running;
+    games.set(entry.game_id, line);
+  }
+
+  if (games.size === 0) return [];
+
+  const ids = [...games.keys()];
+  const rows = await db.all(
+    `SELECT * FROM games WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY game_date ASC, id ASC`,
+    ids
+  );
+
+  return rows.map(game => ({
+    game,
+    amount: games.get(game.id).amount,
+    career_total: games.get(game.id).career_total
+  }));
+}
+
+module.exports = {
+  listGames,
+  getGame,
+  getBoxLine,
+  getGameLog
+};
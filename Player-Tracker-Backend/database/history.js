@@ -0,0 +1,127 @@
+// Player-Tracker-Backend/database/history.js
+const { getPlayer } = require('./players');
+const { insertLog } = require('./logs');
+const { setRankChangesUndone } = require('./ranks');
+const { badRequest, HttpError } = require('../utils/errors');
+
+/*
+ * Undo/redo works on log rows (the assists table) without ever deleting them:
+ * - kind 'change': a scorer's add/remove/set
+ * - kind 'undo':   a row that cancels a change or redo (reverses_id points at it)
+ * - kind 'redo':   a row that cancels an undo, re-applying the original change
+ * The reversed row gets reversed_by_id so it is only cancelled once.
+ */
+
+const HISTORY_COLUMNS = `
+  a.*,
+  p.name as player_name,
+  st.label as stat_label,
+  u.username
+`;
+
+// A user's most recent log rows (newest first) with player and stat names
+function listHistory(db, userId, limit) {
+  return db.all(`
+    SELECT ${HISTORY_COLUMNS}
+    FROM assists a
+    JOIN players p ON p.id = a.player_id
+    JOIN stat_types st ON st.key = a.stat
+    LEFT JOIN users u ON u.id = a.user_id
+    WHERE a.user_id = ?
+    ORDER BY a.id DESC
+    LIMIT ?
+  `, [userId, limit]);
+}
+
+function getHistoryEntry(db, id) {
+  return db.get(`
+    SELECT ${HISTORY_COLUMNS}
+    FROM assists a
+    JOIN players p ON p.id = a.player_id
+    JOIN stat_types st ON st.key = a.stat
+    LEFT JOIN users u ON u.id = a.user_id
+    WHERE a.id = ?
+  `, [id]);
+}
+
+// The row the user's next undo reverses: their latest change or redo that is still in effect
+function getUndoTarget(db, userId) {
+  return db.get(`
+    SELECT * FROM assists
+    WHERE user_id = ? AND kind IN ('change', 'redo') AND reversed_by_id IS NULL
+    ORDER BY id DESC
+    LIMIT 1
+  `, [userId]);
+}
+
+// The undo the user's next redo reverses: their latest undo not yet redone,
+// as long as they haven't made a new change since (a new change clears the redo stack)
+function getRedoTarget(db, userId) {
+  return db.get(`
+    SELECT * FROM assists
+    WHERE user_id = ? AND kind = 'undo' AND reversed_by_id IS NULL
+      AND id > COALESCE((SELECT MAX(id) FROM assists WHERE user_id = ? AND kind = 'change'), 0)
+    ORDER BY id DESC
+    LIMIT 1
+  `, [userId, userId]);
+}
+
+/**
+ * Cancel a log row with a new row for the opposite amount and update the player's total.
+ * Reversing an undo is a redo; anything else is an undo. The rank changes of the original change
+ * are taken back or restored with it (see database/ranks.js). Must run inside a transaction.
+ * Resolves with { entry, reversed, player } (the new row, the row it cancels, the updated player).
+ */
+async function reverseEntry(tx, entry, userId) {
+  if (entry.reversed_by_id) {
+    throw new HttpError(409, 'Already reversed', `Log entry ${entry.id} was already reversed by entry ${entry.reversed_by_id}.`);
+  }
+
+  const kind = entry.kind === 'undo' ? 'redo' : 'undo';
+  const amount = -entry.assists_added;
+
+  const player = await getPlayer(tx, entry.player_id, entry.stat);
+  const current = player ? player.total : 0;
+  if (current + amount < 0) {
+    throw badRequest(
+      'Invalid operation',
+      `Cannot ${kind} entry ${entry.id}: ${player ? player.name : 'the player'} only has ${current} left.`
+    );
+  }
+
+  await tx.run(
+    `INSERT INTO player_stats (player_id, stat, total) VALUES (?, ?, ?)
+     ON CONFLICT(player_id, stat) DO UPDATE SET total = total + excluded.total, updated_at = CURRENT_TIMESTAMP`,
+    [entry.player_id, entry.stat, amount]
+  );
+
+  const log = await insertLog(tx, {
+    player_id: entry.player_id,
+    stat: entry.stat,
+    amount,
+    game_id: entry.game_id,
+    game_date: entry.game_date,
+    opponent: entry.opponent,
+    notes: `${kind === 'undo' ? 'Undo' : 'Redo'} of entry ${entry.id}`,
+    user_id: userId,
+    kind,
+    reverses_id: entry.id,
+    rankChanges: false
+  });
+  await tx.run('UPDATE assists SET reversed_by_id = ? WHERE id = ?', [log.id, entry.id]);
+  await setRankChangesUndone(tx, entry, kind === 'undo');
+
+  return {
+    entry: await getHistoryEntry(tx, log.id),
+    reversed: await getHistoryEntry(tx, entry.id),
+    player: await getPlayer(tx, entry.player_id, entry.stat)
+  };
+}
+
+module.exports = {
+  listHistory,
+  getHistoryEntry,
+  getUndoTarget,
+  getRedoTarget,
+  reverseEntry
+};
@@ -0,0 +1,59 @@
+// Player-Tracker-Backend/database/idempotency.js
+
+/*
+ * Stored responses for write requests sent with an Idempotency-Key header (see middleware/idempotency.js).
+ * Keys are scoped to the account that sent them and kept for a retention window; within it, a repeat
+ * of the same request gets the stored response back instead of being applied again.
+ */
+
+const DEFAULT_RETENTION_HOURS = 24;
+const MAX_RETENTION_HOURS = 24 * 30;
+
+/**
+ * Settings from the environment:
+ * - IDEMPOTENCY_RETENTION_HOURS  how long a key's response is kept (default 24, at most 720)
+ * Throws on invalid values so the server refuses to start with a broken policy.
+ */
+function getIdempotencyConfig(env = process.env) {
+  const value = env.IDEMPOTENCY_RETENTION_HOURS;
+  if (value === undefined || value === '') return { retentionHours: DEFAULT_RETENTION_HOURS };
+
+  const hours = Number(value);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_RETENTION_HOURS) {
+    throw new Error(`IDEMPOTENCY_RETENTION_HOURS must be a number above 0 and at most ${MAX_RETENTION_HOURS}`);
+  }
+  return { retentionHours: hours };
+}
+
+// SQLite datetime() modifier for the start of the retention window
+function windowStart(retentionHours) {
+  return `-${retentionHours * 3600} seconds`;
+}
+
+// The stored response for a user's key, if it's still within the retention window
+function findResponse(db, userId, key, { retentionHours }) {
+  return db.get(
+    `SELECT idempotency_key, method, path, fingerprint, status, response, created_at
+     FROM idempotency_keys
+     WHERE user_id = ? AND idempotency_key = ? AND created_at >= datetime('now', ?)`,
+    [userId, key, windowStart(retentionHours)]
+  );
+}
+
+// Store a response (replacing an expired one under the same key) and drop keys past the window
+async function saveResponse(db, entry, { retentionHours }) {
+  await db.transaction(async (tx) => {
+    await tx.run("DELETE FROM idempotency_keys WHERE created_at < datetime('now', ?)", [windowStart(retentionHours)]);
+    await tx.run(
+      `INSERT OR REPLACE INTO idempotency_keys (user_id, idempotency_key, method, path, fingerprint, status, response)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [entry.user_id, entry.key, entry.method, entry.path, entry.fingerprint, entry.status, JSON.stringify(entry.body)]
+    );
+  });
+}
+
+module.exports = {
+  getIdempotencyConfig,
+  findResponse,
+  saveResponse
+};
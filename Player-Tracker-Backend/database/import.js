@@ -0,0 +1,80 @@
+// Player-Tracker-Backend/database/import.js
+// Usage: npm run import -- <file.json|file.csv> [--dataset=players|games|logs] [--dry-run]
+// CSV files hold one dataset, taken from --dataset or the file name (e.g. tracker-logs-2025-03-01.csv).
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./db');
+const { assertMigrated } = require('./migrator');
+const { DATASETS, importData } = require('./transfer');
+const { parseCsv } = require('../utils/csv');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'basketball.db');
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const dryRun = args.includes('--dry-run');
+const datasetArg = (args.find(arg => arg.startsWith('--dataset=')) || '').split('=')[1];
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}`);
+  console.error(`Usage: npm run import -- <file.json|file.csv> [--dataset=${DATASETS.join('|')}] [--dry-run]`);
+  process.exit(1);
+}
+
+if (!file) usage();
+if (datasetArg && !DATASETS.includes(datasetArg)) usage(`Unknown dataset "${datasetArg}"`);
+
+// { players, games, logs } from the file, like POST /api/import
+function readImport() {
+  const text = fs.readFileSync(file, 'utf8');
+
+  if (path.extname(file).toLowerCase() === '.csv') {
+    const dataset = datasetArg || DATASETS.find(name => path.basename(file).toLowerCase().includes(name));
+    if (!dataset) usage(`Can't tell which dataset ${path.basename(file)} holds; pass --dataset`);
+    return { [dataset]: parseCsv(text) };
+  }
+
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) {
+    if (!datasetArg) usage('A JSON array of rows needs --dataset');
+    return { [datasetArg]: data };
+  }
+  return datasetArg ? { [datasetArg]: data[datasetArg] } : data;
+}
+
+let data;
+try {
+  data = readImport();
+} catch (err) {
+  usage(`Could not read ${file}: ${err.message}`);
+}
+
+openDatabase(dbPath)
+  .then(async (db) => {
+    try {
+      await assertMigrated(db);
+      const report = await importData(db, data, { dryRun });
+
+      for (const change of report.changes) {
+        if (change.action === 'unchanged') continue;
+        const fields = change.changes ? ` (${Object.keys(change.changes).join(', ')})` : '';
+        console.log(`  ${change.dataset} row ${change.row}: ${change.action} ${change.label}${fields}`);
+      }
+      for (const [dataset, actions] of Object.entries(report.summary)) {
+        console.log(`✅ ${dataset}: ${Object.entries(actions).map(([action, n]) => `${n} ${action}`).join(', ')}`);
+      }
+      console.log(dryRun ? '🔍 Dry run: nothing was saved' : '🎉 Import complete');
+    } catch (err) {
+      if (err.fields) {
+        console.error(`❌ Import failed: ${err.error}`);
+        err.fields.forEach(f => console.error(`   ${f.field}: ${f.message}`));
+      } else {
+        console.error('❌ Import failed:', err.message);
+      }
+      process.exitCode = 1;
+    }
+    await db.close();
+  })
+  .catch((err) => {
+    console.error('Error opening database:', err);
+    process.exit(1);
+  });
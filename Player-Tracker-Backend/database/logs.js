@@ -0,0 +1,169 @@
+// Player-Tracker-Backend/database/logs.js
+const crypto = require('crypto');
+const { getGame } = require('./games');
+const { recordRankChanges } = require('./ranks');
+const { notFound, badRequest } = require('../utils/errors');
+
+// Columns the log listing can be sorted by, and the expression each sorts on
+const LOG_SORTS = {
+  game_date: 'a.game_date',
+  created_at: 'a.created_at',
+  assists_added: 'a.assists_added',
+  player_name: 'p.name COLLATE NOCASE',
+  opponent: "COALESCE(a.opponent, '') COLLATE NOCASE"
+};
+const LOG_SORT_FIELDS = Object.keys(LOG_SORTS);
+const SORT_ORDERS = ['asc', 'desc'];
+// A change, or an undo/redo row reversing an earlier one (see database/history.js)
+const LOG_KINDS = ['change', 'undo', 'redo'];
+
+// Today's date (YYYY-MM-DD) for logs recorded without a game date
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Write a stat change log row. When game_id is given the game must exist, and its date and
+ * opponent are copied onto the row so the flat log stays readable on its own.
+ * user_id is the scorer who made the change; kind/reverses_id are set for undo and redo rows
+ * (see database/history.js). Callers update the player's total first; the places the change
+ * moves them past (or behind) are then recorded, unless rankChanges is false (imports, which
+ * don't touch totals, and undo/redo, which take back or restore the original change's; see
+ * database/ranks.js). Imports also pass the row's uid and created_at
+ * from the export; new rows get a fresh uid. Resolves with the inserted row.
+ */
+async function insertLog(tx, {
+  player_id, stat, amount, game_id, game_date, opponent, notes,
+  user_id = null, kind = 'change', reverses_id = null, rankChanges = true,
+  uid = null, created_at = null
+}) {
+  let game = null;
+  if (game_id !== undefined && game_id !== null) {
+    game = await getGame(tx, game_id);
+    if (!game) {
+      throw notFound('Game not found', `Game with ID ${game_id} does not exist.`);
+    }
+  }
+
+  const { lastID } = await tx.run(
+    `INSERT INTO assists (player_id, stat, game_id, game_date, opponent, assists_added, notes, user_id, kind, reverses_id, uid, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+    [
+      player_id,
+      stat,
+      game ? game.id : null,
+      game ? game.game_date : (game_date || today()),
+      game ? game.opponent : (opponent || null),
+      amount,
+      notes || null,
+      user_id,
+      kind,
+      reverses_id,
+      uid || crypto.randomBytes(16).toString('hex'),
+      created_at
+    ]
+  );
+  const log = await tx.get('SELECT * FROM assists WHERE id = ?', [lastID]);
+  if (rankChanges) await recordRankChanges(tx, log);
+  return log;
+}
+
+// Cursors are opaque to clients: the sort they were made for, and the last row's sort value and id
+function encodeCursor(sort, order, row) {
+  return Buffer.from(JSON.stringify([sort, order, row.sort_value, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  let parts;
+  try {
+    parts = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    parts = null;
+  }
+  if (!Array.isArray(parts) || parts.length !== 4 || !Number.isInteger(parts[3])) {
+    throw badRequest('Invalid cursor', 'cursor must be a next_cursor value from a previous page.');
+  }
+  if (parts[0] !== sort || parts[1] !== order) {
+    throw badRequest('Invalid cursor', `cursor was made for sort=${parts[0]}&order=${parts[1]}; start again without it to change the sort.`);
+  }
+  return { value: parts[2], id: parts[3] };
+}
+
+/**
+ * One page of a stat's log rows, with player names. Filters: player_id, game_id, opponent
+ * (exact, any case), from/to (game dates, inclusive). Sorted by `sort` (LOG_SORT_FIELDS, default
+ * game_date) in `order` (default desc), ties by id. Pass next_cursor back as `cursor` for the
+ * following page; `total` counts every matching row, not just this page.
+ * Resolves with { rows, total, next_cursor }.
+ */
+async function listLogs(db, {
+  stat, player_id, game_id, opponent, from, to,
+  sort = 'game_date', order = 'desc', cursor, limit = 50
+}) {
+  const where = ['a.stat = ?'];
+  const params = [stat];
+  if (player_id) {
+    where.push('a.player_id = ?');
+    params.push(player_id);
+  }
+  if (game_id) {
+    where.push('a.game_id = ?');
+    params.push(game_id);
+  }
+  if (opponent) {
+    where.push('a.opponent = ? COLLATE NOCASE');
+    params.push(opponent);
+  }
+  if (from) {
+    where.push('a.game_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    where.push('a.game_date <= ?');
+    params.push(to);
+  }
+
+  const { total } = await db.get(`
+    SELECT COUNT(*) AS total
+    FROM assists a
+    JOIN players p ON a.player_id = p.id
+    WHERE ${where.join(' AND ')}
+  `, params);
+
+  const column = LOG_SORTS[sort];
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const pageWhere = [...where];
+  const pageParams = [...params];
+  if (cursor) {
+    const after = decodeCursor(cursor, sort, order);
+    const comparison = order === 'asc' ? '>' : '<';
+    pageWhere.push(`(${column} ${comparison} ? OR (${column} = ? AND a.id ${comparison} ?))`);
+    pageParams.push(after.value, after.value, after.id);
+  }
+
+  // One extra row says whether there is a next page
+  const rows = await db.all(`
+    SELECT a.*, p.name as player_name, p.team as player_team, ${column} AS sort_value
+    FROM assists a
+    JOIN players p ON a.player_id = p.id
+    WHERE ${pageWhere.join(' AND ')}
+    ORDER BY ${column} ${direction}, a.id ${direction}
+    LIMIT ?
+  `, [...pageParams, limit + 1]);
+
+  const more = rows.length > limit;
+  const page = rows.slice(0, limit);
+  return {
+    rows: page.map(({ sort_value, ...row }) => row),
+    total,
+    next_cursor: more ? encodeCursor(sort, order, page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  LOG_KINDS,
+  LOG_SORT_FIELDS,
+  SORT_ORDERS,
+  insertLog,
+  listLogs
+};
@@ -0,0 +1,57 @@
+// Player-Tracker-Backend/database/migrate.js
+// Usage: npm run migrate                      apply pending migrations
+//        npm run migrate:rollback [-- <steps>] revert the last migration(s)
+//        npm run migrate -- status             list applied and pending migrations
+// The command applies to the main database, then to each hosted tracker's in TENANTS_DIR
+const path = require('path');
+const { openDatabase } = require('./db');
+const { getMigrationStatus, migrationLabel: label, migrate, rollback } = require('./migrator');
+const { getTenantConfig, listTenantFiles } = require('./tenants');
+
+const dbPath = process.env.DB_PATH || path.join(__dirname, 'basketball.db');
+const [command = 'up', stepsArg] = process.argv.slice(2);
+
+async function run(db) {
+  if (command === 'up') {
+    const applied = await migrate(db, { onApply: m => console.log(`✅ Applied ${label(m)}`) });
+    console.log(applied.length > 0 ? `🎉 Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+  } else if (command === 'rollback') {
+    const steps = stepsArg === undefined ? 1 : Number(stepsArg);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('steps must be a positive integer');
+    }
+    const reverted = await rollback(db, { steps, onRevert: m => console.log(`↩️  Rolled back ${label(m)}`) });
+    console.log(reverted.length > 0 ? `🎉 Rolled back ${reverted.length} migration(s)` : '✅ Nothing to roll back');
+  } else if (command === 'status') {
+    const { applied, pending, unknown } = await getMigrationStatus(db);
+    applied.forEach(row => console.log(`✅ ${label(row)} (applied ${row.applied_at})`));
+    pending.forEach(m => console.log(`⏳ ${label(m)} (pending)`));
+    unknown.forEach(row => console.log(`⚠️  ${label(row)} (applied, but no migration file)`));
+  } else {
+    throw new Error(`Unknown command "${command}". Expected up, rollback or status`);
+  }
+}
+
+// The main database first; a failure stops before the hosted trackers
+async function runAll() {
+  const tenantFiles = listTenantFiles(getTenantConfig().dir).map(t => t.file);
+  const files = [dbPath, ...tenantFiles.filter(file => path.resolve(file) !== path.resolve(dbPath))];
+  for (const [index, file] of files.entries()) {
+    const db = await openDatabase(file, { create: index === 0 });
+    console.log('📁 Database file:', file);
+    try {
+      await run(db);
+    } catch (err) {
+      console.error('❌ Migration failed:', err.message);
+      process.exitCode = 1;
+      return;
+    } finally {
+      await db.close();
+    }
+  }
+}
+
+runAll().catch((err) => {
+  console.error('Error opening database:', err);
+  process.exit(1);
+});
@@ -0,0 +1,221 @@
+// Player-Tracker-Backend/database/migrations/001_baseline.js
+// The schema as it stood before versioned migrations. Safe to run on an existing database:
+// tables are created only if missing and older layouts are upgraded in place.
+const { getSetting, setSetting, FEATURED_PLAYER_KEY } = require('../settings');
+
+// Stats that can be tracked, each with its own all-time leaderboard
+const statTypes = [
+  { key: 'assists', label: 'Assists', sort_order: 1 },
+  { key: 'points', label: 'Points', sort_order: 2 },
+  { key: 'rebounds', label: 'Rebounds', sort_order: 3 },
+  { key: 'steals', label: 'Steals', sort_order: 4 },
+  { key: 'threes', label: '3-Pointers Made', sort_order: 5 }
+];
+
+const statements = [
+  `CREATE TABLE IF NOT EXISTS players (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    team TEXT NOT NULL,
+    color TEXT NOT NULL,
+    headshot_url TEXT,
+    status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS stat_types (
+    key TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    sort_order INTEGER DEFAULT 0
+  )`,
+
+  // Career total per player per stat; a row puts the player on that stat's leaderboard
+  `CREATE TABLE IF NOT EXISTS player_stats (
+    player_id INTEGER NOT NULL,
+    stat TEXT NOT NULL,
+    total INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (player_id, stat),
+    FOREIGN KEY (player_id) REFERENCES players (id),
+    FOREIGN KEY (stat) REFERENCES stat_types (key)
+  )`,
+
+  // Stat change history (named for the original assists-only tracker;
+  // assists_added holds the amount for the row's stat). Rows are never deleted: an undo or redo
+  // is a new row that reverses an earlier one (reverses_id / reversed_by_id)
+  `CREATE TABLE IF NOT EXISTS assists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    player_id INTEGER NOT NULL,
+    stat TEXT NOT NULL DEFAULT 'assists',
+    game_id INTEGER,
+    game_date TEXT NOT NULL,
+    opponent TEXT,
+    assists_added INTEGER NOT NULL,
+    notes TEXT,
+    user_id INTEGER,
+    kind TEXT NOT NULL DEFAULT 'change',
+    reverses_id INTEGER,
+    reversed_by_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (player_id) REFERENCES players (id),
+    FOREIGN KEY (game_id) REFERENCES games (id),
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+  )`,
+
+  // Schedule/results; log rows point at a game through assists.game_id
+  `CREATE TABLE IF NOT EXISTS games (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_date TEXT NOT NULL,
+    opponent TEXT NOT NULL,
+    location TEXT,
+    result TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Per-tracker settings such as the featured player
+  `CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Accounts for the control panel and write API
+  `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'scorer', 'admin')),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`,
+
+  // Bearer tokens (login sessions and long-lived API keys); only the SHA-256 of a token is stored
+  `CREATE TABLE IF NOT EXISTS auth_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    label TEXT,
+    expires_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+  )`,
+
+  // Keep updated_at current
+  `CREATE TRIGGER IF NOT EXISTS update_player_timestamp 
+   AFTER UPDATE ON players
+   FOR EACH ROW
+   BEGIN
+     UPDATE players SET updated_at = CURRENT_TIMESTAMP WHERE id = OLD.id;
+   END`
+];
+
+// Tables in drop order (children before the tables they reference)
+const tables = ['auth_tokens', 'assists', 'player_stats', 'games', 'settings', 'users', 'stat_types', 'players'];
+
+async function hasColumn(db, table, column) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  return columns.some(c => c.name === column);
+}
+
+// Databases from the assists-only tracker keep totals in players.assists and have no assists.stat column
+async function upgradeLegacyAssistTotals(db) {
+  if (!await hasColumn(db, 'assists', 'stat')) {
+    await db.exec(`ALTER TABLE assists ADD COLUMN stat TEXT NOT NULL DEFAULT 'assists'`);
+  }
+
+  if (!await hasColumn(db, 'players', 'assists')) return;
+
+  const existing = await db.get(`SELECT COUNT(*) as count FROM player_stats WHERE stat = 'assists'`);
+  if (existing.count > 0) return;
+
+  await db.run(`
+    INSERT INTO player_stats (player_id, stat, total)
+    SELECT id, 'assists', COALESCE(assists, 0) FROM players
+  `);
+}
+
+// Databases created before the settings table flagged the featured player with players.is_braden
+async function upgradeLegacyFeaturedPlayer(db) {
+  if (await getSetting(db, FEATURED_PLAYER_KEY) !== null) return;
+  if (!await hasColumn(db, 'players', 'is_braden')) return;
+
+  const legacy = await db.get('SELECT id FROM players WHERE is_braden = 1 ORDER BY id LIMIT 1');
+  if (legacy) {
+    await setSetting(db, FEATURED_PLAYER_KEY, legacy.id);
+  }
+}
+
+// Older logs only carry free-text game_date/opponent: create a game for each pair and link them
+async function upgradeLooseGameFields(db) {
+  if (await hasColumn(db, 'assists', 'game_id')) return;
+
+  await db.exec('ALTER TABLE assists ADD COLUMN game_id INTEGER REFERENCES games (id)');
+  await db.run(`
+    INSERT INTO games (game_date, opponent)
+    SELECT DISTINCT a.game_date, a.opponent
+    FROM assists a
+    WHERE a.opponent IS NOT NULL AND a.opponent != ''
+      AND NOT EXISTS (
+        SELECT 1 FROM games g WHERE g.game_date = a.game_date AND g.opponent = a.opponent
+      )
+  `);
+  await db.run(`
+    UPDATE assists
+    SET game_id = (
+      SELECT MIN(g.id) FROM games g
+      WHERE g.game_date = assists.game_date AND g.opponent = assists.opponent
+    )
+    WHERE opponent IS NOT NULL AND opponent != ''
+  `);
+}
+
+// Logs from before undo/redo history have no author and count as plain changes
+async function upgradeHistoryColumns(db) {
+  if (await hasColumn(db, 'assists', 'kind')) return;
+
+  await db.exec('ALTER TABLE assists ADD COLUMN user_id INTEGER REFERENCES users (id) ON DELETE SET NULL');
+  await db.exec("ALTER TABLE assists ADD COLUMN kind TEXT NOT NULL DEFAULT 'change'");
+  await db.exec('ALTER TABLE assists ADD COLUMN reverses_id INTEGER');
+  await db.exec('ALTER TABLE assists ADD COLUMN reversed_by_id INTEGER');
+}
+
+// Players from before roster management have no headshot and count as active
+async function upgradePlayerProfileColumns(db) {
+  if (await hasColumn(db, 'players', 'status')) return;
+
+  await db.exec('ALTER TABLE players ADD COLUMN headshot_url TEXT');
+  await db.exec("ALTER TABLE players ADD COLUMN status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired'))");
+}
+
+async function up(db) {
+  for (const sql of statements) {
+    await db.exec(sql);
+  }
+
+  for (const stat of statTypes) {
+    await db.run(
+      'INSERT OR IGNORE INTO stat_types (key, label, sort_order) VALUES (?, ?, ?)',
+      [stat.key, stat.label, stat.sort_order]
+    );
+  }
+
+  await upgradeLegacyAssistTotals(db);
+  await upgradeLegacyFeaturedPlayer(db);
+  await upgradeLooseGameFields(db);
+  await upgradeHistoryColumns(db);
+  await upgradePlayerProfileColumns(db);
+
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_assists_player_stat ON assists (player_id, stat)');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_assists_game ON assists (game_id)');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_assists_user ON assists (user_id, kind)');
+}
+
+// Removes every table, and all data with it
+async function down(db) {
+  await db.exec('DROP TRIGGER IF EXISTS update_player_timestamp');
+  for (const table of tables) {
+    await db.exec(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
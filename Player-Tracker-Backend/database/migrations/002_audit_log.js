@@ -0,0 +1,40 @@
+// Player-Tracker-Backend/database/migrations/002_audit_log.js
+// Append-only record of every change made through the API (see database/audit.js).
+// No foreign keys: entries must outlive the users, players and logs they describe.
+
+async function up(db) {
+  await db.exec(`CREATE TABLE audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    user_id INTEGER,
+    username TEXT,
+    role TEXT,
+    ip TEXT,
+    method TEXT,
+    path TEXT,
+    action TEXT NOT NULL,
+    entity_type TEXT,
+    entity_id INTEGER,
+    player_id INTEGER,
+    stat TEXT,
+    log_id INTEGER,
+    before_value TEXT,
+    after_value TEXT,
+    payload TEXT
+  )`);
+
+  await db.exec(`CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+  await db.exec(`CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`);
+
+  await db.exec('CREATE INDEX idx_audit_player ON audit_log (player_id, stat)');
+  await db.exec('CREATE INDEX idx_audit_user ON audit_log (user_id)');
+  await db.exec('CREATE INDEX idx_audit_action ON audit_log (action)');
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS audit_log');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Player-Tracker-Backend/database/migrations/003_idempotency_keys.js
+// Responses to write requests sent with an Idempotency-Key, so a repeat gets the original
+// response instead of applying the change again (see database/idempotency.js).
+
+async function up(db) {
+  await db.exec(`CREATE TABLE idempotency_keys (
+    user_id INTEGER NOT NULL,
+    idempotency_key TEXT NOT NULL,
+    method TEXT NOT NULL,
+    path TEXT NOT NULL,
+    fingerprint TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    response TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, idempotency_key)
+  )`);
+
+  await db.exec('CREATE INDEX idx_idempotency_created ON idempotency_keys (created_at)');
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS idempotency_keys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Player-Tracker-Backend/database/migrations/004_feed_events.js
+// Assists detected in a play-by-play feed, waiting for a scorer to approve or reject them
+// (see database/feed.js). play_id is the feed's own id for the play; 007_feed_play_keys makes
+// game_id + play_id the unique key, so a play is only ever detected once per game. No foreign
+// keys: an event stays as a record of the feed after its player, game or log is gone.
+
+async function up(db) {
+  await db.exec(`CREATE TABLE feed_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    play_id TEXT NOT NULL UNIQUE,
+    stat TEXT NOT NULL DEFAULT 'assists',
+    player_id INTEGER NOT NULL,
+    game_id INTEGER NOT NULL,
+    play_type TEXT,
+    scorer_name TEXT,
+    period TEXT,
+    clock TEXT,
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    log_id INTEGER,
+    reviewed_by INTEGER,
+    reviewed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await db.exec('CREATE INDEX idx_feed_events_status ON feed_events (status, game_id)');
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS feed_events');
+}
+
+module.exports = { up, down };
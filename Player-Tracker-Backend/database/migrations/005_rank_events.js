@@ -0,0 +1,74 @@
+// Player-Tracker-Backend/database/migrations/005_rank_events.js
+// Rank changes on each stat's leaderboard: who passed (or fell behind) whom, for what place, in
+// which game (see database/ranks.js). Names are copied onto the row so a milestone still reads
+// right after a rename or after the other player is deleted. No foreign keys: an event stays as a
+// record of the race after the log row that caused it is undone.
+const { findCrossings, insertRankEvent } = require('../ranks');
+
+// Replay each stat's log from the totals it started at, recording every crossing as it happened
+async function backfill(db) {
+  const stats = await db.all('SELECT DISTINCT stat FROM player_stats');
+  for (const { stat } of stats) {
+    const players = await db.all(`
+      SELECT p.id, p.name, s.total
+      FROM player_stats s
+      JOIN players p ON p.id = s.player_id
+      WHERE s.stat = ?
+    `, [stat]);
+    const rows = await db.all(`
+      SELECT a.id, a.player_id, a.stat, a.assists_added, a.game_id, a.created_at,
+             COALESCE(g.game_date, a.game_date) as game_date, COALESCE(g.opponent, a.opponent) as opponent
+      FROM assists a
+      LEFT JOIN games g ON g.id = a.game_id
+      JOIN player_stats s ON s.player_id = a.player_id AND s.stat = a.stat
+      WHERE a.stat = ?
+      ORDER BY COALESCE(g.game_date, a.game_date) ASC, a.id ASC
+    `, [stat]);
+
+    const totals = new Map(players.map(p => [p.id, p.total]));
+    for (const row of rows) totals.set(row.player_id, totals.get(row.player_id) - row.assists_added);
+
+    for (const row of rows) {
+      const player = players.find(p => p.id === row.player_id);
+      const before = totals.get(player.id);
+      const after = before + row.assists_added;
+      totals.set(player.id, after);
+
+      const others = players.filter(p => p.id !== player.id).map(p => ({ ...p, total: totals.get(p.id) }));
+      for (const crossing of findCrossings(others, before, after)) {
+        await insertRankEvent(db, row, player, crossing, after, row.created_at);
+      }
+    }
+  }
+}
+
+async function up(db) {
+  await db.exec(`CREATE TABLE rank_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    stat TEXT NOT NULL DEFAULT 'assists',
+    player_id INTEGER NOT NULL,
+    player_name TEXT NOT NULL,
+    other_player_id INTEGER NOT NULL,
+    other_player_name TEXT NOT NULL,
+    kind TEXT NOT NULL CHECK (kind IN ('passed', 'fell_behind')),
+    rank INTEGER NOT NULL,
+    total INTEGER NOT NULL,
+    other_total INTEGER NOT NULL,
+    log_id INTEGER,
+    game_id INTEGER,
+    game_date DATE NOT NULL,
+    opponent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await db.exec('CREATE INDEX idx_rank_events_player ON rank_events (stat, player_id, game_date)');
+  await db.exec('CREATE INDEX idx_rank_events_date ON rank_events (stat, game_date)');
+
+  await backfill(db);
+}
+
+async function down(db) {
+  await db.exec('DROP TABLE IF EXISTS rank_events');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// Player-Tracker-Backend/database/migrations/006_log_uids.js
+// A random uid for every log row that stays with it through export and import (see
+// database/transfer.js), so an entry is recognised in any tracker it's imported into, whatever
+// row id it gets there.
+
+async function up(db) {
+  await db.exec('ALTER TABLE assists ADD COLUMN uid TEXT');
+  await db.exec('UPDATE assists SET uid = lower(hex(randomblob(16)))');
+  await db.exec('CREATE UNIQUE INDEX idx_assists_uid ON assists (uid)');
+}
+
+async function down(db) {
+  await db.exec('DROP INDEX IF EXISTS idx_assists_uid');
+  await db.exec('ALTER TABLE assists DROP COLUMN uid');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// Player-Tracker-Backend/database/migrations/007_feed_play_keys.js
+// Play ids in a play-by-play feed are only unique within a game, so a play is identified by
+// its game and play_id together. SQLite can't change a table's constraints in place, so the
+// table is rebuilt with the new key. Rolling back fails while two games share a play_id.
+
+const COLUMNS = `id, play_id, stat, player_id, game_id, play_type, scorer_name, period, clock,
+  description, status, log_id, reviewed_by, reviewed_at, created_at`;
+
+// feed_events as in 004_feed_events, with `key` as its uniqueness constraint
+async function rebuild(db, key) {
+  await db.exec(`CREATE TABLE feed_events_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    play_id TEXT NOT NULL,
+    stat TEXT NOT NULL DEFAULT 'assists',
+    player_id INTEGER NOT NULL,
+    game_id INTEGER NOT NULL,
+    play_type TEXT,
+    scorer_name TEXT,
+    period TEXT,
+    clock TEXT,
+    description TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    log_id INTEGER,
+    reviewed_by INTEGER,
+    reviewed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (${key})
+  )`);
+  await db.exec(`INSERT INTO feed_events_new (${COLUMNS}) SELECT ${COLUMNS} FROM feed_events`);
+  await db.exec('DROP TABLE feed_events');
+  await db.exec('ALTER TABLE feed_events_new RENAME TO feed_events');
+  await db.exec('CREATE INDEX idx_feed_events_status ON feed_events (status, game_id)');
+}
+
+async function up(db) {
+  await rebuild(db, 'game_id, play_id');
+}
+
+async function down(db) {
+  await rebuild(db, 'play_id');
+}
+
+module.exports = { up, down };
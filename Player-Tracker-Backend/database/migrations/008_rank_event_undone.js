@@ -0,0 +1,25 @@
+// Player-Tracker-Backend/database/migrations/008_rank_event_undone.js
+// Undoing a log entry takes back the rank changes it recorded instead of recording the reverse
+// moves, and redoing it brings them back (see database/ranks.js). Events recorded for undo and
+// redo rows before this are removed, and those of changes that are undone now are marked.
+// Rolling back drops the events of undone changes; the removed ones aren't recorded again.
+const { originalChange } = require('../ranks');
+
+async function up(db) {
+  await db.exec('ALTER TABLE rank_events ADD COLUMN undone INTEGER NOT NULL DEFAULT 0');
+  await db.exec(`DELETE FROM rank_events WHERE log_id IN (SELECT id FROM assists WHERE kind IN ('undo', 'redo'))`);
+
+  // A change is undone when the last row reversing it (or its redo) is an undo
+  const undos = await db.all(`SELECT * FROM assists WHERE kind = 'undo' AND reversed_by_id IS NULL`);
+  for (const undo of undos) {
+    const change = await originalChange(db, undo);
+    if (change) await db.run('UPDATE rank_events SET undone = 1 WHERE log_id = ?', [change.id]);
+  }
+}
+
+async function down(db) {
+  await db.exec('DELETE FROM rank_events WHERE undone = 1');
+  await db.exec('ALTER TABLE rank_events DROP COLUMN undone');
+}
+
+module.exports = { up, down };
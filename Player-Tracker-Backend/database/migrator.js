@@ -0,0 +1,131 @@
+// Player-Tracker-Backend/database/migrator.js
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/*
+ * Schema changes live in database/migrations as numbered files (001_baseline.js, 002_...js),
+ * each exporting async up(db) and down(db). Applied versions are recorded in schema_migrations;
+ * every migration runs in its own transaction together with that record, so a failed migration
+ * leaves the database at the previous version.
+ */
+
+// All migrations on disk, oldest first: [{ version, name, up, down }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up(db) and down(db)`);
+      }
+      return { version: Number(match[1]), name: match[2], up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, i) => {
+    if (i > 0 && migration.version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+// e.g. 001_baseline
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+function ensureMigrationsTable(db) {
+  return db.exec(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+// Read-only: a database that was never migrated has no schema_migrations table yet
+async function getAppliedMigrations(db) {
+  const table = await db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  if (!table) return [];
+  return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+}
+
+// Applied versions, pending migrations, and applied versions with no file (from a newer release)
+async function getMigrationStatus(db, migrations = loadMigrations()) {
+  const applied = await getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const known = new Set(migrations.map(m => m.version));
+
+  return {
+    applied,
+    pending: migrations.filter(m => !appliedVersions.has(m.version)),
+    unknown: applied.filter(row => !known.has(row.version))
+  };
+}
+
+// Apply every pending migration in version order. Resolves with the migrations applied.
+async function migrate(db, { migrations = loadMigrations(), onApply } = {}) {
+  await ensureMigrationsTable(db);
+  const { pending } = await getMigrationStatus(db, migrations);
+
+  for (const migration of pending) {
+    await db.transaction(async (tx) => {
+      await migration.up(tx);
+      await tx.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    if (onApply) onApply(migration);
+  }
+  return pending;
+}
+
+// Revert the last `steps` applied migrations, newest first. Resolves with the migrations reverted.
+async function rollback(db, { steps = 1, migrations = loadMigrations(), onRevert } = {}) {
+  const applied = await getAppliedMigrations(db);
+  const targets = applied.slice(-steps).reverse();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  const missing = targets.find(row => !byVersion.has(row.version));
+  if (missing) {
+    throw new Error(`Cannot roll back migration ${missing.version} (${missing.name}): its file is missing`);
+  }
+
+  const reverted = [];
+  for (const row of targets) {
+    const migration = byVersion.get(row.version);
+    await db.transaction(async (tx) => {
+      await migration.down(tx);
+      await tx.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+    reverted.push(migration);
+    if (onRevert) onRevert(migration);
+  }
+  return reverted;
+}
+
+// Throw unless the database is exactly at the latest migration (used before serving requests)
+async function assertMigrated(db, migrations = loadMigrations()) {
+  const { pending, unknown } = await getMigrationStatus(db, migrations);
+
+  if (unknown.length > 0) {
+    const versions = unknown.map(migrationLabel).join(', ');
+    throw new Error(`Database has migrations this version does not know about (${versions}). Upgrade the server or roll back.`);
+  }
+  if (pending.length > 0) {
+    const versions = pending.map(migrationLabel).join(', ');
+    throw new Error(`Database has ${pending.length} pending migration(s): ${versions}. Run "npm run migrate" first.`);
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrationLabel,
+  getMigrationStatus,
+  migrate,
+  rollback,
+  assertMigrated
+};
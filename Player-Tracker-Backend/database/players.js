@@ -0,0 +1,101 @@
+// Player-Tracker-Backend/database/players.js
+const { FEATURED_PLAYER_KEY } = require('./settings');
+
+// The stat the original (un-prefixed) /api/players and /api/assists routes track
+const DEFAULT_STAT = 'assists';
+
+// Roster statuses, and the marker color for players created without one
+const PLAYER_STATUSES = ['active', 'retired'];
+const DEFAULT_COLOR = '#6C757D';
+
+// Player columns, the player's total for one stat, and an is_featured flag from the tracker settings.
+// Rows on the assists leaderboard also carry the legacy `assists` field.
+function playerColumns(stat) {
+  return `
+    p.id, p.name, p.team, p.color, p.headshot_url, p.status, p.created_at, p.updated_at,
+    s.stat, s.total${stat === DEFAULT_STAT ? ', s.total as assists' : ''},
+    CASE WHEN p.id = (
+      SELECT CAST(value AS INTEGER) FROM settings WHERE key = '${FEATURED_PLAYER_KEY}'
+    ) THEN 1 ELSE 0 END as is_featured
+  `;
+}
+
+// All players on a stat's leaderboard, highest total first
+function listPlayers(db, stat = DEFAULT_STAT) {
+  return db.all(`
+    SELECT ${playerColumns(stat)}
+    FROM players p
+    JOIN player_stats s ON s.player_id = p.id AND s.stat = ?
+    ORDER BY s.total DESC, p.name ASC
+  `, [stat]);
+}
+
+// A player with their total for `stat`; undefined if they're not on that leaderboard
+function getPlayer(db, id, stat = DEFAULT_STAT) {
+  return db.get(`
+    SELECT ${playerColumns(stat)}
+    FROM players p
+    JOIN player_stats s ON s.player_id = p.id AND s.stat = ?
+    WHERE p.id = ?
+  `, [stat, id]);
+}
+
+// The tracker's featured player on a stat's leaderboard, or undefined
+function getFeaturedPlayer(db, stat = DEFAULT_STAT) {
+  return db.get(`
+    SELECT ${playerColumns(stat)}
+    FROM players p
+    JOIN player_stats s ON s.player_id = p.id AND s.stat = ?
+    WHERE p.id = (SELECT CAST(value AS INTEGER) FROM settings WHERE key = '${FEATURED_PLAYER_KEY}')
+  `, [stat]);
+}
+
+// Roster columns: the player row, is_featured and the stats they're tracked in (comma-separated)
+const ROSTER_COLUMNS = `
+  p.id, p.name, p.team, p.color, p.headshot_url, p.status, p.created_at, p.updated_at,
+  CASE WHEN p.id = (
+    SELECT CAST(value AS INTEGER) FROM settings WHERE key = '${FEATURED_PLAYER_KEY}'
+  ) THEN 1 ELSE 0 END as is_featured,
+  (SELECT GROUP_CONCAT(s.stat) FROM player_stats s WHERE s.player_id = p.id) as stats
+`;
+
+// Every player regardless of leaderboard (for roster management)
+function listRoster(db) {
+  return db.all(`SELECT ${ROSTER_COLUMNS} FROM players p ORDER BY p.name ASC`);
+}
+
+function getRosterPlayer(db, id) {
+  return db.get(`SELECT ${ROSTER_COLUMNS} FROM players p WHERE p.id = ?`, [id]);
+}
+
+function playerExists(db, id) {
+  return db.get('SELECT id, name FROM players WHERE id = ?', [id]);
+}
+
+function listStatTypes(db) {
+  return db.all(`
+    SELECT t.key, t.label, COUNT(s.player_id) as player_count
+    FROM stat_types t
+    LEFT JOIN player_stats s ON s.stat = t.key
+    GROUP BY t.key
+    ORDER BY t.sort_order ASC, t.key ASC
+  `);
+}
+
+function getStatType(db, key) {
+  return db.get('SELECT key, label FROM stat_types WHERE key = ?', [key]);
+}
+
+module.exports = {
+  DEFAULT_STAT,
+  PLAYER_STATUSES,
+  DEFAULT_COLOR,
+  listPlayers,
+  getPlayer,
+  getFeaturedPlayer,
+  listRoster,
+  getRosterPlayer,
+  playerExists,
+  listStatTypes,
+  getStatType
+};
@@ -0,0 +1,130 @@
+// Player-Tracker-Backend/database/projections.js
+const { getGameLog } = require('./games');
+const { listPlayers } = require('./players');
+
+/*
+ * Record-chase projections from a player's game-by-game history (see getGameLog):
+ * - the average per game and its spread over the player's games (or the last `window` of them)
+ * - for every player at or above them on the leaderboard: how many games, and roughly which date,
+ *   until they pass that player; the one at the top is the record
+ * - a confidence range for both, from the confidence interval of the per-game average
+ * Dates use the upcoming games on the schedule first, then the player's usual days between games.
+ */
+
+// Two-sided z-scores for the supported confidence levels (percent)
+const CONFIDENCE_LEVELS = { 80: 1.282, 90: 1.645, 95: 1.96 };
+const DEFAULT_CONFIDENCE = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value, places = 2) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+function addDays(isoDate, days) {
+  return new Date(Date.parse(`${isoDate}T00:00:00Z`) + Math.round(days) * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Mean, sample standard deviation and (two or more games) the confidence interval of the mean
+function summarize(amounts, z) {
+  const n = amounts.length;
+  if (n === 0) return { average: null, stdDev: null, low: null, high: null };
+
+  const average = amounts.reduce((sum, amount) => sum + amount, 0) / n;
+  if (n < 2) return { average, stdDev: null, low: null, high: null };
+
+  const variance = amounts.reduce((sum, amount) => sum + (amount - average) ** 2, 0) / (n - 1);
+  const stdDev = Math.sqrt(variance);
+  const margin = z * stdDev / Math.sqrt(n);
+  return { average, stdDev, low: average - margin, high: average + margin };
+}
+
+// Games needed to gain `needed` at `perGame`; null when the pace never gets there
+function gamesAt(needed, perGame) {
+  return perGame > 0 ? Math.ceil(needed / perGame) : null;
+}
+
+/**
+ * Projection for one player and stat. Resolves with null when the player isn't on that leaderboard.
+ * Options: window (use only the last N games), confidence (80, 90 or 95), today (YYYY-MM-DD, for tests).
+ */
+async function projectPlayer(db, playerId, stat, { window = null, confidence = DEFAULT_CONFIDENCE, today } = {}) {
+  const log = await getGameLog(db, playerId, stat);
+  if (log === null) return null;
+
+  const leaderboard = await listPlayers(db, stat);
+  const player = leaderboard.find(p => p.id === playerId);
+  const history = window ? log.slice(-window) : log;
+  const stats = summarize(history.map(line => line.amount), CONFIDENCE_LEVELS[confidence]);
+
+  // Usual days between the player's games, for dates beyond the schedule
+  const dates = history.map(line => line.game.game_date);
+  const lastPlayed = dates.length > 0 ? dates[dates.length - 1] : null;
+  const daysBetween = dates.length >= 2
+    ? (Date.parse(lastPlayed) - Date.parse(dates[0])) / DAY_MS / (dates.length - 1)
+    : null;
+
+  const from = today || new Date().toISOString().slice(0, 10);
+  const played = new Set(log.map(line => line.game.id));
+  const upcoming = (await db.all('SELECT id, game_date FROM games WHERE game_date >= ? ORDER BY game_date ASC, id ASC', [from]))
+    .filter(game => !played.has(game.id))
+    .map(game => game.game_date);
+
+  // Date of the player's nth game from now
+  const dateOfGame = (n) => {
+    if (n === null) return null;
+    if (n <= upcoming.length) return upcoming[n - 1];
+    if (!daysBetween) return null;
+
+    const start = upcoming.length > 0
+      ? upcoming[upcoming.length - 1]
+      : [from, lastPlayed].filter(Boolean).sort().pop();
+    return addDays(start, (n - upcoming.length) * daysBetween);
+  };
+
+  // Everyone at or above the player, nearest first; the last one holds the record
+  const ahead = leaderboard
+    .filter(p => p.id !== playerId && p.total >= player.total)
+    .sort((a, b) => a.total - b.total || b.id - a.id);
+
+  const targets = ahead.map((target, index) => {
+    const needed = target.total - player.total + 1;
+    const estimate = stats.average === null ? null : gamesAt(needed, stats.average);
+    // A faster pace means fewer games, so the high average gives the low end of the range
+    const low = stats.high === null ? null : gamesAt(needed, stats.high);
+    const high = stats.low === null ? null : gamesAt(needed, stats.low);
+
+    return {
+      player: { id: target.id, name: target.name, team: target.team, total: target.total },
+      is_record: index === ahead.length - 1,
+      needed,
+      games: { estimate, low, high },
+      date: { estimate: dateOfGame(estimate), earliest: dateOfGame(low), latest: dateOfGame(high) }
+    };
+  });
+
+  return {
+    player: { id: player.id, name: player.name, team: player.team, total: player.total },
+    stat,
+    basis: {
+      games: history.length,
+      window,
+      first_game_date: dates.length > 0 ? dates[0] : null,
+      last_game_date: lastPlayed,
+      average: stats.average === null ? null : round(stats.average),
+      std_dev: stats.stdDev === null ? null : round(stats.stdDev),
+      average_range: stats.low === null ? null : { low: round(stats.low), high: round(stats.high) },
+      confidence,
+      days_between_games: daysBetween === null ? null : round(daysBetween, 1),
+      upcoming_games: upcoming.length
+    },
+    holds_record: targets.length === 0,
+    record: targets.length > 0 ? targets[targets.length - 1] : null,
+    targets
+  };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  DEFAULT_CONFIDENCE,
+  projectPlayer
+};
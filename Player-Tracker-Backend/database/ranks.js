@@ -0,0 +1,154 @@
+// Player-Tracker-Backend/database/ranks.js
+
+/*
+ * Rank changes: every logged change to a total that moves a player past someone on the stat's
+ * leaderboard, or back behind them, is stored in rank_events for the milestone timeline.
+ * Ranks are competition ranks (tied players share the higher place), so moving into a tie isn't
+ * a pass but breaking one is. Imports load history without changing totals, so they record none.
+ * Undo and redo don't record moves of their own: undoing an entry marks the events of the change
+ * it goes back to as undone (hidden from listings), and redoing it brings them back.
+ */
+
+const RANK_EVENT_KINDS = ['passed', 'fell_behind'];
+
+// 1st, 2nd, 3rd, 4th ... 11th, 12th, 13th ... 21st
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+/**
+ * Who a change from `before` to `after` moves past (or behind), given everyone else's totals
+ * ([{ id, name, total }]), in the order it happens. Each crossing carries the rank the player
+ * holds right after it: { kind, other, rank }.
+ */
+function findCrossings(others, before, after) {
+  const above = total => others.filter(o => o.total > total).length;
+  const atOrAbove = total => others.filter(o => o.total >= total).length;
+
+  if (after > before) {
+    return others
+      .filter(o => before <= o.total && o.total < after)
+      .sort((a, b) => a.total - b.total)
+      .map(other => ({ kind: 'passed', other, rank: above(other.total) + 1 }));
+  }
+  return others
+    .filter(o => after < o.total && o.total <= before)
+    .sort((a, b) => b.total - a.total)
+    .map(other => ({ kind: 'fell_behind', other, rank: atOrAbove(other.total) + 1 }));
+}
+
+// Store one crossing for a log row; created_at defaults to now
+function insertRankEvent(tx, log, player, { kind, other, rank }, total, createdAt = null) {
+  return tx.run(
+    `INSERT INTO rank_events (stat, player_id, player_name, other_player_id, other_player_name, kind, rank,
+       total, other_total, log_id, game_id, game_date, opponent, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))`,
+    [
+      log.stat, player.id, player.name, other.id, other.name, kind, rank,
+      total, other.total, log.id, log.game_id, log.game_date, log.opponent, createdAt
+    ]
+  );
+}
+
+/**
+ * Record the rank changes a log row caused. Call it after the player's total has been updated by
+ * the row's amount (see insertLog in database/logs.js). Resolves with the number recorded.
+ */
+async function recordRankChanges(tx, log) {
+  const rows = await tx.all(`
+    SELECT p.id, p.name, s.total
+    FROM player_stats s
+    JOIN players p ON p.id = s.player_id
+    WHERE s.stat = ?
+  `, [log.stat]);
+  const player = rows.find(row => row.id === log.player_id);
+  if (!player) return 0;
+
+  const others = rows.filter(row => row.id !== player.id);
+  const crossings = findCrossings(others, player.total - log.assists_added, player.total);
+  for (const crossing of crossings) {
+    await insertRankEvent(tx, log, player, crossing, player.total);
+  }
+  return crossings.length;
+}
+
+// The change an undo or redo goes back to: a redo reverses an undo, which reverses the change
+// or an earlier redo
+async function originalChange(tx, entry) {
+  let row = entry;
+  while (row && row.kind !== 'change') {
+    row = await tx.get('SELECT * FROM assists WHERE id = ?', [row.reverses_id]);
+  }
+  return row || null;
+}
+
+// Take back (undone = true) or restore the rank changes of the change a reversed entry goes back to
+async function setRankChangesUndone(tx, entry, undone) {
+  const change = await originalChange(tx, entry);
+  if (!change) return 0;
+  const { changes } = await tx.run('UPDATE rank_events SET undone = ? WHERE log_id = ?', [undone ? 1 : 0, change.id]);
+  return changes;
+}
+
+// "Braden Smith passed Greg Anthony for 10th on 2026-01-14 vs. Ohio State"
+function describeRankEvent(event) {
+  const move = event.kind === 'passed'
+    ? `passed ${event.other_player_name} for ${ordinal(event.rank)}`
+    : `fell behind ${event.other_player_name} to ${ordinal(event.rank)}`;
+  return `${event.player_name} ${move} on ${event.game_date}${event.opponent ? ` vs. ${event.opponent}` : ''}`;
+}
+
+/**
+ * Rank changes on a stat's leaderboard that haven't been undone, newest first (by game date, then
+ * as recorded).
+ * Filters: player_id (their own moves), other_player_id (moves past or behind them), involving
+ * (either), kind, before_id (the id of the last row of the previous page), limit. Each row
+ * carries a `description`.
+ */
+async function listRankEvents(db, { stat, player_id, other_player_id, involving, kind, before_id, limit = 50 }) {
+  const where = ['stat = ?', 'undone = 0'];
+  const params = [stat];
+  if (involving) {
+    where.push('(player_id = ? OR other_player_id = ?)');
+    params.push(involving, involving);
+  }
+  if (player_id) {
+    where.push('player_id = ?');
+    params.push(player_id);
+  }
+  if (other_player_id) {
+    where.push('other_player_id = ?');
+    params.push(other_player_id);
+  }
+  if (kind) {
+    where.push('kind = ?');
+    params.push(kind);
+  }
+  if (before_id) {
+    // Rows after the given one in the listing's order
+    where.push(`(game_date, id) < (SELECT game_date, id FROM rank_events WHERE id = ?)`);
+    params.push(before_id);
+  }
+
+  const rows = await db.all(`
+    SELECT * FROM rank_events
+    WHERE ${where.join(' AND ')}
+    ORDER BY game_date DESC, id DESC
+    LIMIT ?
+  `, [...params, limit]);
+  return rows.map(row => ({ ...row, description: describeRankEvent(row) }));
+}
+
+module.exports = {
+  RANK_EVENT_KINDS,
+  ordinal,
+  findCrossings,
+  insertRankEvent,
+  recordRankChanges,
+  originalChange,
+  setRankChangesUndone,
+  describeRankEvent,
+  listRankEvents
+};
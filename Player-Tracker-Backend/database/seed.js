@@ -0,0 +1,47 @@
+// Player-Tracker-Backend/database/seed.js
+const { setSetting, FEATURED_PLAYER_KEY } = require('./settings');
+
+// Initial player data (also used as the demo seed for the memory backend).
+// The player marked `featured` becomes the tracker's featured player; players default to active.
+const initialPlayers = [
+  { name: 'Bobby Hurley', assists: 1076, team: 'Duke', color: '#001A57', status: 'retired' },
+  { name: 'Chris Corchiani', assists: 1038, team: 'NC State', color: '#CC0000', status: 'retired' },
+  { name: 'Ed Cota', assists: 1030, team: 'North Carolina', color: '#7BAFD4', status: 'retired' },
+  { name: 'Jason Brickman', assists: 1007, team: 'Long Island University', color: '#002D62', status: 'retired' },
+  { name: 'Keith Jennings', assists: 983, team: 'East Tennessee State', color: '#003366', status: 'retired' },
+  { name: 'Steve Blake', assists: 972, team: 'Maryland', color: '#E03A3E', status: 'retired' },
+  { name: 'Sherman Douglas', assists: 960, team: 'Syracuse', color: '#F76900', status: 'retired' },
+  { name: 'Tony Miller', assists: 956, team: 'Marquette', color: '#003366', status: 'retired' },
+  { name: 'Aaron Miles', assists: 954, team: 'Kansas', color: '#0051BA', status: 'retired' },
+  { name: 'Greg Anthony', assists: 950, team: 'Nevada-Las Vegas', color: '#BA0C2F', status: 'retired' },
+  { name: 'Braden Smith', assists: 758, team: 'Purdue', color: '#CEB888', featured: true }
+];
+
+// Insert players only when the table is empty. Resolves with the number inserted.
+async function seedPlayers(db, players = initialPlayers) {
+  const row = await db.get('SELECT COUNT(*) as count FROM players');
+  if (row.count > 0) return 0;
+
+  await db.transaction(async (tx) => {
+    for (const player of players) {
+      const { lastID } = await tx.run(
+        `INSERT INTO players (name, team, color, status) 
+         VALUES (?, ?, ?, ?)`,
+        [player.name, player.team, player.color, player.status || 'active']
+      );
+      await tx.run(
+        `INSERT INTO player_stats (player_id, stat, total) VALUES (?, 'assists', ?)`,
+        [lastID, player.assists]
+      );
+      if (player.featured) {
+        await setSetting(tx, FEATURED_PLAYER_KEY, lastID);
+      }
+    }
+  });
+  return players.length;
+}
+
+module.exports = {
+  initialPlayers,
+  seedPlayers
+};
@@ -0,0 +1,53 @@
+// Player-Tracker-Backend/database/settings.js
+
+// Settings keys
+const FEATURED_PLAYER_KEY = 'featured_player_id';
+
+// Tracker name and theme colors, with the settings key each is stored under
+const BRANDING_KEYS = {
+  name: 'tracker_name',
+  primary_color: 'theme_primary_color',
+  secondary_color: 'theme_secondary_color'
+};
+const DEFAULT_BRANDING = { name: 'Assist Tracker', primary_color: '#CEB888', secondary_color: '#000000' };
+
+// Read a setting; resolves with null when it has never been set
+async function getSetting(db, key) {
+  const row = await db.get('SELECT value FROM settings WHERE key = ?', [key]);
+  return row ? row.value : null;
+}
+
+// Writes take the transaction they run in (see database/db.js)
+async function setSetting(tx, key, value) {
+  await tx.run(
+    `INSERT INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP`,
+    [key, value === null || value === undefined ? null : String(value)]
+  );
+}
+
+// The tracker's name and theme colors; unset ones are the defaults
+async function getBranding(db) {
+  const branding = {};
+  for (const [field, key] of Object.entries(BRANDING_KEYS)) {
+    branding[field] = (await getSetting(db, key)) ?? DEFAULT_BRANDING[field];
+  }
+  return branding;
+}
+
+// Save the given branding fields; null resets one to its default
+async function setBranding(tx, values) {
+  for (const [field, key] of Object.entries(BRANDING_KEYS)) {
+    if (values[field] !== undefined) await setSetting(tx, key, values[field]);
+  }
+}
+
+module.exports = {
+  FEATURED_PLAYER_KEY,
+  BRANDING_KEYS,
+  DEFAULT_BRANDING,
+  getSetting,
+  setSetting,
+  getBranding,
+  setBranding
+};
@@ -0,0 +1,285 @@
+// Player-Tracker-Backend/database/stats.js
+const { getGameLog } = require('./games');
+const { listPlayers } = require('./players');
+
+/*
+ * Career statistics from the log, for /api/stats:
+ * - season totals and per-game averages, per player or for the whole leaderboard
+ * - best games, streaks of games at or above an amount, and splits by opponent, location or month
+ * - rank history: where a player stood on the leaderboard after each day with entries
+ * A player's games are the ones they have entries for (see getGameLog) plus any game between
+ * their first and last that was scored for someone else on the same stat, which counts as 0 for
+ * them (so it breaks a streak). Seasons run July to June and are named like "2025-26".
+ */
+
+const SPLITS = ['opponent', 'location', 'month'];
+const SEASON_PATTERN = /^\d{4}-\d{2}$/;
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+// Months in season order, July first
+const SEASON_MONTH_ORDER = [7, 8, 9, 10, 11, 12, 1, 2, 3, 4, 5, 6];
+
+function round(value, places = 2) {
+  return Math.round(value * 10 ** places) / 10 ** places;
+}
+
+// "2025-26" for any date from 2025-07-01 to 2026-06-30
+function seasonOf(date) {
+  const year = Number(date.slice(0, 4));
+  const start = Number(date.slice(5, 7)) >= 7 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * A player's games in order, each { game, amount, career_total, season }, optionally for one
+ * season only. Resolves with null when the player isn't on the stat's leaderboard.
+ */
+async function getPlayerGames(db, playerId, stat, { season = null } = {}) {
+  const log = await getGameLog(db, playerId, stat);
+  if (!log) return null;
+
+  let lines = log;
+  if (log.length > 0) {
+    const played = new Set(log.map(line => line.game.id));
+    const scored = await db.all(`
+      SELECT DISTINCT g.*
+      FROM games g
+      JOIN assists a ON a.game_id = g.id AND a.stat = ?
+      WHERE g.game_date BETWEEN ? AND ?
+    `, [stat, log[0].game.game_date, log[log.length - 1].game.game_date]);
+    const missed = scored
+      .filter(game => !played.has(game.id))
+      .map(game => ({ game, amount: 0, career_total: null }));
+
+    lines = [...log, ...missed].sort((a, b) => a.game.game_date.localeCompare(b.game.game_date) || a.game.id - b.game.id);
+    // A game without entries leaves the career total where the game before it left it
+    let total = log[0].career_total - log[0].amount;
+    lines = lines.map((line) => {
+      if (line.career_total === null) return { ...line, career_total: total };
+      total = line.career_total;
+      return line;
+    });
+  }
+
+  lines = lines.map(line => ({ ...line, season: seasonOf(line.game.game_date) }));
+  return season ? lines.filter(line => line.season === season) : lines;
+}
+
+// A game from a player's log, as the endpoints return it
+function gameLine(line) {
+  const { game } = line;
+  return {
+    game_id: game.id,
+    game_date: game.game_date,
+    opponent: game.opponent,
+    location: game.location,
+    result: game.result,
+    season: line.season,
+    amount: line.amount,
+    career_total: line.career_total
+  };
+}
+
+// Best first; ties go to the earlier game
+function byBestGame(a, b) {
+  return b.amount - a.amount || a.game.game_date.localeCompare(b.game.game_date) || a.game.id - b.game.id;
+}
+
+// Games, total, average per game and best game over some of a player's games
+function summarize(lines) {
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+  const best = [...lines].sort(byBestGame)[0];
+  return {
+    games: lines.length,
+    total,
+    average: lines.length > 0 ? round(total / lines.length) : null,
+    best_game: best ? gameLine(best) : null
+  };
+}
+
+// Group lines by a key, keeping the order keys first appear in
+function groupBy(lines, keyOf) {
+  const groups = new Map();
+  for (const line of lines) {
+    const key = keyOf(line);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(line);
+  }
+  return groups;
+}
+
+// Totals and averages for each season, oldest first
+function seasonTotals(lines) {
+  return [...groupBy(lines, line => line.season)].map(([season, group]) => ({ season, ...summarize(group) }));
+}
+
+// A player's career (or one season): totals, average, best game and each season
+function playerSummary(lines) {
+  return { ...summarize(lines), seasons: seasonTotals(lines) };
+}
+
+function bestGames(lines, limit) {
+  return [...lines].sort(byBestGame).slice(0, limit).map(gameLine);
+}
+
+/**
+ * Runs of consecutive games with at least `min`: the longest (earliest on a tie), the one still
+ * going after the player's last game, and every run of two or more games, longest first.
+ */
+function streaks(lines, min) {
+  const runs = [];
+  let run = null;
+  for (const line of lines) {
+    if (line.amount >= min) {
+      if (!run) {
+        run = { games: 0, total: 0, start: gameLine(line) };
+        runs.push(run);
+      }
+      run.games += 1;
+      run.total += line.amount;
+      run.end = gameLine(line);
+    } else {
+      run = null;
+    }
+  }
+
+  const longestFirst = [...runs].sort((a, b) => b.games - a.games || a.start.game_date.localeCompare(b.start.game_date));
+  return {
+    min,
+    longest: longestFirst[0] || null,
+    current: run,
+    streaks: longestFirst.filter(r => r.games >= 2)
+  };
+}
+
+// Split key and label for a game: its opponent, its location, or its calendar month
+function splitKey(by, game) {
+  if (by === 'opponent') return game.opponent;
+  if (by === 'location') return game.location || null;
+  return Number(game.game_date.slice(5, 7));
+}
+
+/**
+ * Totals and averages by opponent or location (most games first), or by calendar month across
+ * seasons (in season order, July first). Games without a location are grouped under null.
+ */
+function splits(lines, by) {
+  const rows = [...groupBy(lines, line => splitKey(by, line.game))].map(([key, group]) => ({
+    key,
+    label: by === 'month' ? MONTHS[key - 1] : key,
+    ...summarize(group)
+  }));
+
+  if (by === 'month') {
+    return rows.sort((a, b) => SEASON_MONTH_ORDER.indexOf(a.key) - SEASON_MONTH_ORDER.indexOf(b.key));
+  }
+  return rows.sort((a, b) => b.games - a.games || String(a.key).localeCompare(String(b.key)));
+}
+
+// Rank on a leaderboard: ties share the higher place
+function rankOf(totals, playerId) {
+  const own = totals.get(playerId);
+  let rank = 1;
+  for (const [id, total] of totals) {
+    if (id !== playerId && total > own) rank += 1;
+  }
+  return rank;
+}
+
+/**
+ * Where a player stood on the stat's leaderboard over time. Every player's total is rebuilt from
+ * the log as in getTimeSeries (database/timeseries.js); a point is recorded for the player's
+ * starting rank and then for each day their rank changed, with the game they played that day (if
+ * any). With a season, the points are those dated in it, after the rank the player entered it with.
+ * Resolves with null when the player isn't on the leaderboard:
+ * { player, stat, rank, best_rank, points: [{ date, rank, total, game }] }
+ */
+async function getRankHistory(db, playerId, stat, { season = null } = {}) {
+  const leaderboard = await listPlayers(db, stat);
+  const player = leaderboard.find(p => p.id === playerId);
+  if (!player) return null;
+
+  const rows = await db.all(`
+    SELECT a.player_id, a.assists_added as amount, a.game_id, g.opponent,
+           COALESCE(g.game_date, a.game_date) as game_date
+    FROM assists a
+    LEFT JOIN games g ON g.id = a.game_id
+    JOIN player_stats s ON s.player_id = a.player_id AND s.stat = a.stat
+    WHERE a.stat = ?
+    ORDER BY COALESCE(g.game_date, a.game_date) ASC, a.id ASC
+  `, [stat]);
+
+  // Totals before the first entry, then replay the log one day at a time
+  const totals = new Map(leaderboard.map(p => [p.id, p.total]));
+  for (const row of rows) totals.set(row.player_id, totals.get(row.player_id) - row.amount);
+
+  const points = [{ date: null, rank: rankOf(totals, playerId), total: totals.get(playerId), game: null }];
+  for (const [date, dayRows] of groupBy(rows, row => row.game_date)) {
+    let game = null;
+    for (const row of dayRows) {
+      totals.set(row.player_id, totals.get(row.player_id) + row.amount);
+      if (row.player_id === playerId && row.game_id !== null) game = { id: row.game_id, opponent: row.opponent };
+    }
+
+    const rank = rankOf(totals, playerId);
+    if (rank !== points[points.length - 1].rank) {
+      points.push({ date, rank, total: totals.get(playerId), game });
+    }
+  }
+
+  let shown = points;
+  if (season) {
+    const before = points.filter(point => !point.date || seasonOf(point.date) < season);
+    shown = [before[before.length - 1], ...points.filter(point => point.date && seasonOf(point.date) === season)];
+  }
+
+  return {
+    player: { id: player.id, name: player.name, team: player.team, color: player.color },
+    stat,
+    rank: rankOf(new Map(leaderboard.map(p => [p.id, p.total])), playerId),
+    best_rank: Math.min(...shown.map(point => point.rank)),
+    points: shown
+  };
+}
+
+/**
+ * Season totals for everyone on the leaderboard (optionally one season): rows of
+ * { player, season, games, total, average, best_game }, newest season first, then highest total.
+ */
+async function getSeasonLeaders(db, stat, { season = null } = {}) {
+  const rows = [];
+  for (const player of await listPlayers(db, stat)) {
+    const lines = await getPlayerGames(db, player.id, stat, { season });
+    for (const totals of seasonTotals(lines)) {
+      rows.push({ player: { id: player.id, name: player.name, team: player.team, color: player.color }, ...totals });
+    }
+  }
+  return rows.sort((a, b) => b.season.localeCompare(a.season) || b.total - a.total || a.player.name.localeCompare(b.player.name));
+}
+
+// The best single games on the leaderboard (optionally in one season), each with its player
+async function getBestGames(db, stat, { season = null, limit = 10 } = {}) {
+  const lines = [];
+  for (const player of await listPlayers(db, stat)) {
+    const games = await getPlayerGames(db, player.id, stat, { season });
+    const summary = { id: player.id, name: player.name, team: player.team, color: player.color };
+    games.forEach(line => lines.push({ ...line, player: summary }));
+  }
+  return lines.sort(byBestGame).slice(0, limit).map(line => ({ player: line.player, ...gameLine(line) }));
+}
+
+module.exports = {
+  SPLITS,
+  SEASON_PATTERN,
+  seasonOf,
+  getPlayerGames,
+  playerSummary,
+  bestGames,
+  streaks,
+  splits,
+  getRankHistory,
+  getSeasonLeaders,
+  getBestGames
+};
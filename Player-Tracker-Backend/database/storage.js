@@ -0,0 +1,73 @@
+// Player-Tracker-Backend/database/storage.js
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./db');
+const { migrate, assertMigrated } = require('./migrator');
+const { seedPlayers } = require('./seed');
+const { ensureBootstrapAdmin } = require('./users');
+
+const BACKENDS = ['memory', 'sqlite'];
+const DEFAULT_DB_PATH = path.join(__dirname, 'basketball.db');
+
+// Pick the storage backend from STORAGE_BACKEND (defaults to the persistent SQLite file)
+function resolveBackend(value = process.env.STORAGE_BACKEND) {
+  const backend = (value || 'sqlite').toLowerCase();
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${value}". Expected one of: ${BACKENDS.join(', ')}`);
+  }
+  return backend;
+}
+
+/**
+ * Open the storage used by the API routers.
+ *
+ * Both backends expose the same shared Database (see database/db.js) so every route works the same way:
+ * - memory: a private in-memory database seeded with demo data, lost on restart
+ * - sqlite: the existing database file at DB_PATH (or database/basketball.db); refuses to open
+ *   it while migrations are pending (run "npm run migrate")
+ * Hosted trackers (database/tenants.js) pass seed: false and bootstrapAdmin: false: they start
+ * with an empty roster and the admin given when they're created.
+ */
+async function openStorage(options = {}) {
+  const backend = resolveBackend(options.backend);
+  let db;
+
+  if (backend === 'memory') {
+    db = await openDatabase(':memory:', { create: true });
+    await migrate(db);
+    if (options.seed !== false) await seedPlayers(db);
+  } else {
+    const filename = options.dbPath || process.env.DB_PATH || DEFAULT_DB_PATH;
+    if (!fs.existsSync(filename)) {
+      throw new Error(`Database file ${filename} not found. Run "npm run init-db" first.`);
+    }
+    db = await openDatabase(filename);
+    try {
+      await assertMigrated(db);
+    } catch (err) {
+      await db.close().catch(() => {});
+      throw err;
+    }
+  }
+
+  // First admin account from ADMIN_USERNAME / ADMIN_PASSWORD (admin/admin for the memory demo)
+  const bootstrapAdmin = options.bootstrapAdmin === false
+    ? null
+    : await ensureBootstrapAdmin(db, { allowDefault: backend === 'memory' });
+
+  return {
+    backend,
+    bootstrapAdmin,
+    filename: db.filename,
+    db,
+    close() {
+      return db.close();
+    }
+  };
+}
+
+module.exports = {
+  BACKENDS,
+  resolveBackend,
+  openStorage
+};
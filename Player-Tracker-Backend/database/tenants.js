@@ -0,0 +1,146 @@
+// Player-Tracker-Backend/database/tenants.js
+const fs = require('fs');
+const path = require('path');
+const { openDatabase } = require('./db');
+const { migrate } = require('./migrator');
+const { openStorage } = require('./storage');
+const { scheduleSnapshots } = require('./backups');
+const { setBranding } = require('./settings');
+const { createUser } = require('./users');
+const { HttpError } = require('../utils/errors');
+
+/*
+ * Hosted trackers ("tenants"): independent trackers for other programs and networks, served
+ * under /api/t/:tenant/... next to the main tracker at /api/... Each has a database of its own,
+ * so its roster, totals, games, history, featured player, branding (name and theme colors),
+ * users, audit log and backups are never shared with the main tracker or any other.
+ * With the sqlite backend a tenant is the file <slug>.db in TENANTS_DIR, migrated along with
+ * the main database; with the memory backend tenants last until the server stops.
+ * Requests carry their tracker as req.tenant: { slug (null for the main tracker), storage, backups }.
+ */
+
+// Lowercase letters, digits and dashes, e.g. "purdue" or "big-ten-network"
+const TENANT_SLUG = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+const DEFAULT_TENANTS_DIR = path.join(__dirname, 'tenants');
+
+/**
+ * Settings from the environment:
+ * - TENANTS_DIR  where hosted trackers' database files are kept (default database/tenants)
+ */
+function getTenantConfig(env = process.env) {
+  return { dir: env.TENANTS_DIR || DEFAULT_TENANTS_DIR };
+}
+
+// Database files of the hosted trackers in a directory: [{ slug, file }]
+function listTenantFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => name.endsWith('.db') && TENANT_SLUG.test(name.slice(0, -3)))
+    .sort()
+    .map(name => ({ slug: name.slice(0, -3), file: path.join(dir, name) }));
+}
+
+/**
+ * Every hosted tracker, opened for the server. `main` is the main tracker's context
+ * ({ slug: null, storage, backups }); hosted trackers use the same storage backend, and their
+ * snapshots go to <BACKUP_DIR>/tenants/<slug> on the same schedule.
+ * Resolves with { main, get(slug), list(), create(options), close() }.
+ */
+async function openTenants(main, { config, backupConfig, onSnapshot = () => {}, onError = () => {} }) {
+  const tenants = new Map();
+  // Slugs being created right now, so two requests can't both create one
+  const creating = new Set();
+
+  const context = (slug, storage) => {
+    const backups = { ...backupConfig, dir: path.join(backupConfig.dir, 'tenants', slug) };
+    if (storage.backend === 'memory') backups.intervalHours = 0;
+    const schedule = scheduleSnapshots(storage.db, backups, {
+      onSnapshot: result => onSnapshot(slug, result),
+      onError: err => onError(slug, err)
+    });
+    return { slug, storage, backups: { config: backups, schedule } };
+  };
+
+  if (main.storage.backend === 'sqlite') {
+    for (const { slug, file } of listTenantFiles(config.dir)) {
+      try {
+        tenants.set(slug, context(slug, await openStorage({ backend: 'sqlite', dbPath: file, bootstrapAdmin: false })));
+      } catch (err) {
+        throw new Error(`Hosted tracker "${slug}": ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Add a hosted tracker: a new, migrated database with its first admin and branding.
+   * Options: slug, admin: { username, password }, and optionally name, primary_color,
+   * secondary_color. A slug that's already taken is a 409.
+   */
+  async function create({ slug, admin, ...branding }) {
+    if (tenants.has(slug) || creating.has(slug)) {
+      throw new HttpError(409, 'Tracker exists', `A tracker named "${slug}" already exists.`);
+    }
+
+    creating.add(slug);
+    try {
+      const tenant = context(slug, await createStorage(slug, admin, branding));
+      tenants.set(slug, tenant);
+      return tenant;
+    } finally {
+      creating.delete(slug);
+    }
+  }
+
+  async function createStorage(slug, admin, branding) {
+    let storage;
+    if (main.storage.backend === 'memory') {
+      storage = await openStorage({ backend: 'memory', seed: false, bootstrapAdmin: false });
+    } else {
+      const file = path.join(config.dir, `${slug}.db`);
+      if (fs.existsSync(file)) {
+        throw new HttpError(409, 'Tracker exists', `A database for "${slug}" already exists in ${config.dir}.`);
+      }
+      fs.mkdirSync(config.dir, { recursive: true });
+      const db = await openDatabase(file, { create: true });
+      try {
+        await migrate(db);
+      } finally {
+        await db.close();
+      }
+      storage = await openStorage({ backend: 'sqlite', dbPath: file, bootstrapAdmin: false });
+    }
+
+    try {
+      await storage.db.transaction(async (tx) => {
+        await createUser(tx, { ...admin, role: 'admin' });
+        await setBranding(tx, branding);
+      });
+    } catch (err) {
+      await storage.close().catch(() => {});
+      if (storage.backend === 'sqlite') fs.rmSync(storage.filename, { force: true });
+      throw err;
+    }
+    return storage;
+  }
+
+  return {
+    main,
+    get: slug => tenants.get(slug),
+    list: () => [...tenants.values()],
+    create,
+    // Stop every schedule and close every hosted tracker's database (not the main one)
+    async close() {
+      for (const tenant of tenants.values()) {
+        tenant.backups.schedule.stop();
+        await tenant.storage.close().catch(err => onError(tenant.slug, err));
+      }
+    }
+  };
+}
+
+module.exports = {
+  TENANT_SLUG,
+  getTenantConfig,
+  listTenantFiles,
+  openTenants
+};
@@ -0,0 +1,140 @@
+// Player-Tracker-Backend/database/timeseries.js
+const { listPlayers } = require('./players');
+
+/*
+ * Cumulative totals over time from the log (the assists table), for the trend chart.
+ * Log rows are grouped into buckets (day, week, month or game) and each player's total is
+ * reconstructed backwards from their current total, as in getGameLog (database/games.js), so
+ * totals recorded before tracking started are included. Rows without a date (or, per game,
+ * without a game) count toward the bucket before them.
+ */
+
+const BUCKETS = ['day', 'week', 'month', 'game'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket key for a log row: the day, the Monday starting its week, YYYY-MM, or the game id
+function bucketKey(bucket, row) {
+  if (bucket === 'game') return row.game_id;
+  if (!row.game_date) return null;
+  if (bucket === 'day') return row.game_date;
+  if (bucket === 'month') return row.game_date.slice(0, 7);
+
+  const date = new Date(`${row.game_date}T00:00:00Z`);
+  const sinceMonday = (date.getUTCDay() + 6) % 7;
+  return new Date(date.getTime() - sinceMonday * DAY_MS).toISOString().slice(0, 10);
+}
+
+// First date of a bucket, for ordering and the from/to filter
+function bucketDate(bucket, key, games) {
+  if (bucket === 'game') return games.get(key).game_date;
+  return bucket === 'month' ? `${key}-01` : key;
+}
+
+/**
+ * Series for a player (the featured one by default) and the top `leaders` others on a stat's
+ * leaderboard. Only buckets dated within from/to (YYYY-MM-DD, optional) are returned; each series'
+ * start_total is the total before the first of them. Resolves with null if the player isn't on the
+ * leaderboard: { bucket, stat, buckets: [{ key, date, game? }], series: [{ player, start_total,
+ * points: [{ amount, total }] }], record: { player_id, name, total } }
+ */
+async function getTimeSeries(db, stat, { bucket = 'game', playerId, leaders = 3, from = null, to = null }) {
+  const leaderboard = await listPlayers(db, stat);
+  const player = leaderboard.find(p => p.id === playerId);
+  if (!player) return null;
+
+  const tracked = [player, ...leaderboard.filter(p => p.id !== playerId).slice(0, leaders)];
+  const ids = tracked.map(p => p.id);
+
+  const rows = await db.all(`
+    SELECT a.player_id, a.assists_added as amount, a.game_id,
+           COALESCE(g.game_date, a.game_date) as game_date
+    FROM assists a
+    LEFT JOIN games g ON g.id = a.game_id
+    WHERE a.stat = ? AND a.player_id IN (${ids.map(() => '?').join(', ')})
+    ORDER BY COALESCE(g.game_date, a.game_date) ASC, a.id ASC
+  `, [stat, ...ids]);
+
+  const games = new Map();
+  if (bucket === 'game') {
+    const gameIds = [...new Set(rows.map(row => row.game_id).filter(id => id !== null))];
+    if (gameIds.length > 0) {
+      const gameRows = await db.all(
+        `SELECT id, game_date, opponent FROM games WHERE id IN (${gameIds.map(() => '?').join(', ')})`,
+        gameIds
+      );
+      gameRows.forEach(game => games.set(game.id, game));
+    }
+  }
+
+  // Walk the log in order, keeping each player's running total at the end of every bucket
+  const state = new Map(tracked.map(p => [p.id, { start: p.total, running: 0, buckets: new Map() }]));
+  for (const row of rows) {
+    state.get(row.player_id).start -= row.amount;
+  }
+  for (const s of state.values()) s.running = s.start;
+
+  const keys = new Set();
+  let lastKey = null;
+  for (const row of rows) {
+    const s = state.get(row.player_id);
+    s.running += row.amount;
+
+    const key = bucketKey(bucket, row) ?? lastKey;
+    if (key === null) {
+      s.start = s.running;
+      continue;
+    }
+    keys.add(key);
+    lastKey = key;
+
+    const line = s.buckets.get(key) || { amount: 0, total: 0 };
+    line.amount += row.amount;
+    line.total = s.running;
+    s.buckets.set(key, line);
+  }
+
+  const ordered = [...keys]
+    .map(key => ({ key, date: bucketDate(bucket, key, games) }))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.key - b.key);
+  const isShown = b => (!from || b.date >= from) && (!to || b.date <= to);
+  const shown = ordered.filter(isShown);
+
+  // Carry each total forward through buckets where the player logged nothing
+  const series = tracked.map((p) => {
+    const s = state.get(p.id);
+    let total = s.start;
+    let startTotal = null;
+    const points = [];
+
+    for (const b of ordered) {
+      const line = s.buckets.get(b.key);
+      if (isShown(b)) {
+        if (startTotal === null) startTotal = total;
+        if (line) total = line.total;
+        points.push({ amount: line ? line.amount : 0, total });
+      } else if (line) {
+        total = line.total;
+      }
+    }
+
+    return {
+      player: { id: p.id, name: p.name, team: p.team, color: p.color, total: p.total, is_featured: !!p.is_featured },
+      start_total: startTotal === null ? total : startTotal,
+      points
+    };
+  });
+
+  const top = leaderboard[0];
+  return {
+    bucket,
+    stat,
+    buckets: shown.map(b => (bucket === 'game' ? { ...b, game: games.get(b.key) } : b)),
+    series,
+    record: { player_id: top.id, name: top.name, total: top.total }
+  };
+}
+
+module.exports = {
+  BUCKETS,
+  getTimeSeries
+};
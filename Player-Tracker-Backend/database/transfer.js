@@ -0,0 +1,499 @@
+// Player-Tracker-Backend/database/transfer.js
+const { DEFAULT_COLOR, PLAYER_STATUSES, listRoster, listStatTypes } = require('./players');
+const { getGame } = require('./games');
+const { LOG_KINDS, insertLog } = require('./logs');
+const { ValidationError } = require('../utils/errors');
+const { checkValues, integer, string, url, date, oneOf, HEX_COLOR, MAX_TOTAL } = require('../middleware/validate');
+
+/*
+ * Bulk export/import of players, games and stat logs (CSV or JSON, see routes/export.js and routes/import.js).
+ * Exports have one column per field; the players export adds one column per stat with the total.
+ * An import matches rows to existing records, then creates or updates them in one transaction:
+ * - games:   by game_date + opponent
+ * - players: by name (case-insensitive); stat columns set the player's totals
+ * - logs:    by uid (carried over from the export), else for exports without uids by player, stat,
+ *            amount, kind, game date and created_at; matched rows are skipped, the rest are added.
+ *            Undo/redo rows keep their kind and point at the imported copy of the entry they reverse
+ * Exported ids only tie rows of the same import together (a log's player_id, game_id and reverses_id):
+ * an export from another tracker reuses ids that mean other records here.
+ * Imports are a data load: totals and logs are written as given, without logging total changes
+ * or applying imported log amounts to totals, so an export can be imported as-is.
+ */
+
+const DATASETS = ['players', 'games', 'logs'];
+const MAX_IMPORT_ROWS = 5000;
+
+const PLAYER_COLUMNS = ['id', 'name', 'team', 'color', 'headshot_url', 'status', 'is_featured'];
+const GAME_COLUMNS = ['id', 'game_date', 'opponent', 'location', 'result'];
+const LOG_COLUMNS = [
+  'id', 'uid', 'player_id', 'player_name', 'stat', 'amount', 'game_id', 'game_date', 'opponent',
+  'notes', 'kind', 'reverses_id', 'username', 'created_at'
+];
+
+// Rules for imported rows (see middleware/validate.js). Columns only found in exports
+// (is_featured, username, ...) are accepted and ignored.
+const LOG_UID = /^[A-Za-z0-9-]+$/;
+const LOG_TIMESTAMP = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+const rowRules = {
+  games: {
+    id: integer({ min: 1 }),
+    game_date: date({ required: true }),
+    opponent: string({ required: true, maxLength: 100 }),
+    location: string({ maxLength: 100 }),
+    result: string({ maxLength: 50 })
+  },
+  players: {
+    id: integer({ min: 1 }),
+    name: string({ required: true, maxLength: 100 }),
+    team: string({ required: true, maxLength: 100 }),
+    color: string({ ...HEX_COLOR }),
+    headshot_url: url(),
+    status: oneOf(PLAYER_STATUSES)
+  },
+  logs: {
+    id: integer({ min: 1 }),
+    player_id: integer({ min: 1 }),
+    player_name: string({ maxLength: 100 }),
+    stat: string({ required: true, maxLength: 50 }),
+    amount: integer({ required: true, min: -MAX_TOTAL, max: MAX_TOTAL }),
+    game_id: integer({ min: 1 }),
+    game_date: date(),
+    opponent: string({ maxLength: 100 }),
+    notes: string({ maxLength: 500 }),
+    uid: string({ maxLength: 64, pattern: LOG_UID, patternMessage: 'letters, digits and dashes' }),
+    kind: oneOf(LOG_KINDS),
+    reverses_id: integer({ min: 1 }),
+    created_at: string({ pattern: LOG_TIMESTAMP, patternMessage: 'a timestamp like 2026-01-14 19:30:00' })
+  }
+};
+
+// Players with one column per stat holding their total (empty when they're not on that leaderboard)
+async function exportPlayers(db) {
+  const statTypes = await listStatTypes(db);
+  const roster = await listRoster(db);
+  const totals = await db.all('SELECT player_id, stat, total FROM player_stats');
+
+  const byPlayer = new Map();
+  for (const { player_id, stat, total } of totals) {
+    if (!byPlayer.has(player_id)) byPlayer.set(player_id, {});
+    byPlayer.get(player_id)[stat] = total;
+  }
+
+  const rows = roster
+    .sort((a, b) => a.id - b.id)
+    .map(player => {
+      const row = {};
+      PLAYER_COLUMNS.forEach(column => { row[column] = player[column]; });
+      const playerTotals = byPlayer.get(player.id) || {};
+      statTypes.forEach(({ key }) => { row[key] = key in playerTotals ? playerTotals[key] : null; });
+      return row;
+    });
+
+  return { columns: [...PLAYER_COLUMNS, ...statTypes.map(t => t.key)], rows };
+}
+
+async function exportGames(db) {
+  const rows = await db.all(`SELECT ${GAME_COLUMNS.join(', ')} FROM games ORDER BY game_date ASC, id ASC`);
+  return { columns: GAME_COLUMNS, rows };
+}
+
+async function exportLogs(db) {
+  const rows = await db.all(`
+    SELECT a.id, a.uid, a.player_id, p.name as player_name, a.stat, a.assists_added as amount,
+           a.game_id, a.game_date, a.opponent, a.notes, a.kind, a.reverses_id,
+           u.username, a.created_at
+    FROM assists a
+    JOIN players p ON p.id = a.player_id
+    LEFT JOIN users u ON u.id = a.user_id
+    ORDER BY a.id ASC
+  `);
+  return { columns: LOG_COLUMNS, rows };
+}
+
+const exporters = {
+  players: exportPlayers,
+  games: exportGames,
+  logs: exportLogs
+};
+
+// { players: { columns, rows }, ... } for the requested datasets
+async function exportData(db, datasets = DATASETS) {
+  const result = {};
+  for (const dataset of datasets) {
+    result[dataset] = await exporters[dataset](db);
+  }
+  return result;
+}
+
+// Thrown inside the import transaction to roll a dry run back once it has been reported
+class DryRunComplete extends Error {
+  constructor(result) {
+    super('Dry run complete');
+    this.result = result;
+  }
+}
+
+// Field-by-field differences between an existing row and the imported values
+function diff(existing, values) {
+  const changes = {};
+  for (const [field, value] of Object.entries(values)) {
+    if (existing[field] !== value) {
+      changes[field] = { from: existing[field], to: value };
+    }
+  }
+  return changes;
+}
+
+function trimmed(value) {
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+// Validate every row up front so the caller sees all problems at once
+function checkRows(data, statKeys) {
+  const failures = [];
+
+  for (const dataset of DATASETS) {
+    const rows = data[dataset];
+    if (rows === undefined) continue;
+
+    if (!Array.isArray(rows)) {
+      failures.push({ field: dataset, location: 'body', message: `${dataset} must be an array of rows` });
+      continue;
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      failures.push({ field: dataset, location: 'body', message: `${dataset} has ${rows.length} rows; at most ${MAX_IMPORT_ROWS} can be imported at once` });
+      continue;
+    }
+
+    // Players may carry a total for any tracked stat
+    const rules = { ...rowRules[dataset] };
+    if (dataset === 'players') {
+      statKeys.forEach(key => { rules[key] = integer({ min: 0, max: MAX_TOTAL }); });
+    }
+
+    rows.forEach((row, index) => {
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        failures.push({ field: `${dataset}[${index}]`, location: 'body', message: `${dataset} row ${index + 1} must be an object` });
+        return;
+      }
+      for (const failure of checkValues(rules, row, 'body', { allowUnknown: true })) {
+        failures.push({
+          field: `${dataset}[${index}].${failure.field}`,
+          location: 'body',
+          message: `${dataset} row ${index + 1}: ${failure.message}`
+        });
+      }
+    });
+  }
+
+  return failures;
+}
+
+async function importGames(tx, rows, report, ids) {
+  for (const [index, row] of rows.entries()) {
+    const values = {
+      game_date: row.game_date,
+      opponent: trimmed(row.opponent),
+      location: trimmed(row.location) || null,
+      result: trimmed(row.result) || null
+    };
+
+    const existing = await tx.get(
+      'SELECT * FROM games WHERE game_date = ? AND opponent = ? COLLATE NOCASE ORDER BY id LIMIT 1',
+      [values.game_date, values.opponent]
+    );
+
+    const entry = { dataset: 'games', row: index + 1, label: `${values.game_date} vs ${values.opponent}` };
+    if (existing) {
+      const changes = diff(existing, values);
+      if (Object.keys(changes).length > 0) {
+        await tx.run(
+          'UPDATE games SET game_date = ?, opponent = ?, location = ?, result = ? WHERE id = ?',
+          [values.game_date, values.opponent, values.location, values.result, existing.id]
+        );
+        // Like PATCH /api/games/:id, carry the date and opponent onto the game's logs and rank changes
+        await tx.run(
+          'UPDATE assists SET game_date = ?, opponent = ? WHERE game_id = ?',
+          [values.game_date, values.opponent, existing.id]
+        );
+        await tx.run(
+          'UPDATE rank_events SET game_date = ?, opponent = ? WHERE game_id = ?',
+          [values.game_date, values.opponent, existing.id]
+        );
+        report.add({ ...entry, action: 'update', id: existing.id, changes });
+      } else {
+        report.add({ ...entry, action: 'unchanged', id: existing.id });
+      }
+      if (row.id) ids.set(row.id, existing.id);
+    } else {
+      const { lastID } = await tx.run(
+        'INSERT INTO games (game_date, opponent, location, result) VALUES (?, ?, ?, ?)',
+        [values.game_date, values.opponent, values.location, values.result]
+      );
+      report.add({ ...entry, action: 'create', id: lastID });
+      if (row.id) ids.set(row.id, lastID);
+    }
+  }
+}
+
+async function importPlayers(tx, rows, statKeys, report, ids) {
+  for (const [index, row] of rows.entries()) {
+    const name = trimmed(row.name);
+    const existing = await tx.get('SELECT * FROM players WHERE name = ? COLLATE NOCASE', [name]);
+
+    // Blank color/headshot/status keep the current value (or the default for new players)
+    const values = {
+      name,
+      team: trimmed(row.team),
+      color: row.color || (existing ? existing.color : DEFAULT_COLOR),
+      headshot_url: row.headshot_url || (existing ? existing.headshot_url : null),
+      status: row.status || (existing ? existing.status : 'active')
+    };
+    const entry = { dataset: 'players', row: index + 1, label: name };
+
+    let playerId;
+    let changes = {};
+    if (existing) {
+      playerId = existing.id;
+      changes = diff(existing, values);
+      if (Object.keys(changes).length > 0) {
+        await tx.run(
+          'UPDATE players SET name = ?, team = ?, color = ?, headshot_url = ?, status = ? WHERE id = ?',
+          [values.name, values.team, values.color, values.headshot_url, values.status, playerId]
+        );
+      }
+    } else {
+      ({ lastID: playerId } = await tx.run(
+        'INSERT INTO players (name, team, color, headshot_url, status) VALUES (?, ?, ?, ?, ?)',
+        [values.name, values.team, values.color, values.headshot_url, values.status]
+      ));
+    }
+    if (row.id) ids.set(row.id, playerId);
+
+    // Stat columns set totals; blank ones leave the player's total (or absence) alone
+    for (const stat of statKeys) {
+      const total = row[stat];
+      if (total === undefined || total === null) continue;
+
+      const current = await tx.get('SELECT total FROM player_stats WHERE player_id = ? AND stat = ?', [playerId, stat]);
+      if (current && current.total === total) continue;
+
+      await tx.run(
+        `INSERT INTO player_stats (player_id, stat, total) VALUES (?, ?, ?)
+         ON CONFLICT(player_id, stat) DO UPDATE SET total = excluded.total, updated_at = CURRENT_TIMESTAMP`,
+        [playerId, stat, total]
+      );
+      changes[stat] = { from: current ? current.total : null, to: total };
+    }
+
+    if (!existing) {
+      report.add({ ...entry, action: 'create', id: playerId });
+    } else if (Object.keys(changes).length > 0) {
+      report.add({ ...entry, action: 'update', id: playerId, changes });
+    } else {
+      report.add({ ...entry, action: 'unchanged', id: playerId });
+    }
+    if (!existing || Object.keys(changes).length > 0) {
+      report.touch(playerId);
+    }
+  }
+}
+
+// The log row an imported row is a copy of, if it's already here (see the matching rules above).
+// `claimed` holds rows already matched or added by this import, so identical rows each get their own.
+async function findImportedLog(tx, row, playerId, gameDate, claimed) {
+  if (row.uid) {
+    return tx.get('SELECT id FROM assists WHERE uid = ?', [row.uid]);
+  }
+  if (!row.created_at || !gameDate) return null;
+
+  const candidates = await tx.all(
+    `SELECT id FROM assists
+     WHERE player_id = ? AND stat = ? AND assists_added = ? AND kind = ? AND game_date = ? AND created_at = ?
+     ORDER BY id`,
+    [playerId, row.stat, row.amount, row.kind || 'change', gameDate, row.created_at]
+  );
+  return candidates.find(candidate => !claimed.has(candidate.id)) || null;
+}
+
+async function importLogs(tx, rows, statKeys, report, playerIds, gameIds, failures) {
+  // Exported log ids to the ids of their rows here, so undo/redo rows can point at them
+  const logIds = new Map();
+  const claimed = new Set();
+
+  for (const [index, row] of rows.entries()) {
+    const fail = (field, message) => failures.push({ field: `logs[${index}].${field}`, location: 'body', message: `logs row ${index + 1}: ${message}` });
+    const entry = { dataset: 'logs', row: index + 1 };
+
+    // The player from this import (by exported id), else by name; a bare player_id is one on the roster
+    let player = null;
+    if (playerIds.has(row.player_id)) {
+      player = await tx.get('SELECT id, name FROM players WHERE id = ?', [playerIds.get(row.player_id)]);
+    } else if (row.player_name) {
+      player = await tx.get('SELECT id, name FROM players WHERE name = ? COLLATE NOCASE', [trimmed(row.player_name)]);
+    } else if (row.player_id) {
+      player = await tx.get('SELECT id, name FROM players WHERE id = ?', [row.player_id]);
+    }
+    if (!player) {
+      fail(row.player_name ? 'player_name' : 'player_id', row.player_id || row.player_name
+        ? `player ${row.player_name ? `"${row.player_name}"` : row.player_id} does not exist`
+        : 'player_id or player_name is required');
+      continue;
+    }
+
+    if (!statKeys.includes(row.stat)) {
+      fail('stat', `no tracker exists for stat "${row.stat}"`);
+      continue;
+    }
+
+    // Link the game from this import (by exported id), else by date + opponent when such a game
+    // exists; a bare game_id is one already here
+    let game = null;
+    if (gameIds.has(row.game_id)) {
+      game = await getGame(tx, gameIds.get(row.game_id));
+    } else if (row.game_date && row.opponent) {
+      game = await tx.get(
+        'SELECT * FROM games WHERE game_date = ? AND opponent = ? COLLATE NOCASE ORDER BY id LIMIT 1',
+        [row.game_date, trimmed(row.opponent)]
+      ) || null;
+    } else if (row.game_id) {
+      game = await getGame(tx, row.game_id);
+      if (!game) {
+        fail('game_id', `game ${row.game_id} does not exist`);
+        continue;
+      }
+    }
+
+    const existing = await findImportedLog(tx, row, player.id, game ? game.game_date : row.game_date, claimed);
+    if (existing) {
+      claimed.add(existing.id);
+      if (row.id) logIds.set(row.id, existing.id);
+      report.add({ ...entry, action: 'skip', id: existing.id, label: `Already imported as log entry ${existing.id}` });
+      continue;
+    }
+
+    // Undo and redo rows reverse an entry earlier in the same import
+    const kind = row.kind || 'change';
+    let reversesId = null;
+    if (kind !== 'change') {
+      reversesId = row.reverses_id ? logIds.get(row.reverses_id) : null;
+      if (!reversesId) {
+        fail('reverses_id', row.reverses_id
+          ? `entry ${row.reverses_id}, which this ${kind} reverses, is not earlier in the import`
+          : `${kind} rows need reverses_id`);
+        continue;
+      }
+      const target = await tx.get('SELECT reversed_by_id FROM assists WHERE id = ?', [reversesId]);
+      if (target.reversed_by_id) {
+        fail('reverses_id', `entry ${row.reverses_id} is already reversed`);
+        continue;
+      }
+    } else if (row.reverses_id) {
+      fail('reverses_id', 'only undo and redo rows reverse another entry');
+      continue;
+    }
+
+    const log = await insertLog(tx, {
+      player_id: player.id,
+      stat: row.stat,
+      amount: row.amount,
+      game_id: game ? game.id : null,
+      game_date: row.game_date,
+      opponent: trimmed(row.opponent),
+      notes: trimmed(row.notes),
+      kind,
+      reverses_id: reversesId,
+      uid: row.uid,
+      created_at: row.created_at,
+      rankChanges: false
+    });
+    if (reversesId) {
+      await tx.run('UPDATE assists SET reversed_by_id = ? WHERE id = ?', [log.id, reversesId]);
+    }
+    claimed.add(log.id);
+    if (row.id) logIds.set(row.id, log.id);
+    report.add({
+      ...entry,
+      action: 'create',
+      id: log.id,
+      label: `${row.amount > 0 ? '+' : ''}${row.amount} ${row.stat} for ${player.name} on ${log.game_date}${kind === 'change' ? '' : ` (${kind})`}`
+    });
+  }
+}
+
+// Collects what an import did: per-row changes, counts per dataset and the ids of players it changed
+function createReport(dryRun) {
+  const changes = [];
+  const summary = {};
+  const touched = new Set();
+
+  return {
+    add(change) {
+      changes.push(change);
+      summary[change.dataset] = summary[change.dataset] || {};
+      summary[change.dataset][change.action] = (summary[change.dataset][change.action] || 0) + 1;
+    },
+    touch(playerId) {
+      touched.add(playerId);
+    },
+    result() {
+      return {
+        dry_run: dryRun,
+        summary,
+        changes,
+        touched: [...touched]
+      };
+    }
+  };
+}
+
+/**
+ * Import { players, games, logs } (any subset; arrays of row objects) in one transaction.
+ * Every row is validated first and any failure rejects the whole import with a ValidationError.
+ * With dryRun the import runs and is then rolled back, so the report previews exactly what would change.
+ * Resolves with { dry_run, summary: { dataset: { action: count } }, changes: [...], touched: [playerId, ...] }.
+ * beforeCommit(tx, result), if given, runs inside the transaction of a real import (e.g. to audit it).
+ */
+async function importData(db, data, { dryRun = false, beforeCommit } = {}) {
+  const statKeys = (await listStatTypes(db)).map(t => t.key);
+
+  const failures = checkRows(data, statKeys);
+  if (!DATASETS.some(dataset => Array.isArray(data[dataset]))) {
+    failures.push({ field: 'body', location: 'body', message: `Nothing to import: send at least one of ${DATASETS.join(', ')}` });
+  }
+  if (failures.length > 0) {
+    throw new ValidationError(failures);
+  }
+
+  try {
+    return await db.transaction(async (tx) => {
+      const report = createReport(dryRun);
+      const playerIds = new Map();
+      const gameIds = new Map();
+
+      // Games and players first, so logs can refer to them
+      if (data.games) await importGames(tx, data.games, report, gameIds);
+      if (data.players) await importPlayers(tx, data.players, statKeys, report, playerIds);
+      if (data.logs) await importLogs(tx, data.logs, statKeys, report, playerIds, gameIds, failures);
+
+      if (failures.length > 0) {
+        throw new ValidationError(failures);
+      }
+      if (dryRun) {
+        throw new DryRunComplete(report.result());
+      }
+      const result = report.result();
+      if (beforeCommit) await beforeCommit(tx, result);
+      return result;
+    });
+  } catch (err) {
+    if (err instanceof DryRunComplete) return err.result;
+    throw err;
+  }
+}
+
+module.exports = {
+  DATASETS,
+  exportData,
+  importData
+};
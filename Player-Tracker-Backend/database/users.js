@@ -0,0 +1,134 @@
+// Player-Tracker-Backend/database/users.js
+const crypto = require('crypto');
+
+// Lowest to highest; each role can do everything the roles before it can
+const ROLES = ['viewer', 'scorer', 'admin'];
+
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+const SCRYPT_KEYLEN = 64;
+
+const USER_COLUMNS = 'id, username, role, created_at';
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// scrypt hash stored as "salt:hash" (hex)
+function hashPassword(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => {
+      if (err) return reject(err);
+      resolve(`${salt}:${key.toString('hex')}`);
+    });
+  });
+}
+
+function verifyPassword(password, stored) {
+  return new Promise((resolve, reject) => {
+    const [salt, hash] = String(stored).split(':');
+    if (!salt || !hash) return resolve(false);
+
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => {
+      if (err) return reject(err);
+      const expected = Buffer.from(hash, 'hex');
+      resolve(expected.length === key.length && crypto.timingSafeEqual(expected, key));
+    });
+  });
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function listUsers(db) {
+  return db.all(`SELECT ${USER_COLUMNS} FROM users ORDER BY username ASC`);
+}
+
+function getUser(db, id) {
+  return db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+}
+
+// Writes here (createUser, createToken, revokeToken) take the transaction they run in (see database/db.js)
+async function createUser(tx, { username, password, role = 'viewer' }) {
+  const passwordHash = await hashPassword(password);
+  const { lastID } = await tx.run(
+    'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+    [username, passwordHash, role]
+  );
+  return getUser(tx, lastID);
+}
+
+// Resolves with the user (without the hash) when the credentials match, otherwise null
+async function authenticateUser(db, username, password) {
+  const row = await db.get('SELECT * FROM users WHERE username = ?', [username]);
+  if (!row || !await verifyPassword(password, row.password_hash)) return null;
+  return getUser(db, row.id);
+}
+
+/**
+ * Issue a bearer token for a user. Login sessions expire after SESSION_TTL_HOURS;
+ * pass { expiresInHours: null } for a long-lived API key.
+ * The plain token is only ever returned here.
+ */
+async function createToken(tx, userId, { label = null, expiresInHours = SESSION_TTL_HOURS } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = expiresInHours === null
+    ? null
+    : new Date(Date.now() + expiresInHours * 3600 * 1000).toISOString();
+
+  await tx.run(
+    'INSERT INTO auth_tokens (user_id, token_hash, label, expires_at) VALUES (?, ?, ?, ?)',
+    [userId, hashToken(token), label, expiresAt]
+  );
+  return { token, expires_at: expiresAt };
+}
+
+// The user a token belongs to, or undefined if it's unknown or expired
+function findUserByToken(db, token) {
+  return db.get(`
+    SELECT u.id, u.username, u.role, u.created_at
+    FROM auth_tokens t
+    JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ? AND (t.expires_at IS NULL OR t.expires_at > ?)
+  `, [hashToken(token), new Date().toISOString()]);
+}
+
+function revokeToken(tx, token) {
+  return tx.run('DELETE FROM auth_tokens WHERE token_hash = ?', [hashToken(token)]);
+}
+
+/**
+ * Create the first admin when there are no users yet, from ADMIN_USERNAME / ADMIN_PASSWORD.
+ * The memory backend falls back to admin/admin so demos work out of the box.
+ * Resolves with the created username, or null.
+ */
+async function ensureBootstrapAdmin(db, { allowDefault = false } = {}) {
+  const { count } = await db.get('SELECT COUNT(*) as count FROM users');
+  if (count > 0) return null;
+
+  let username = process.env.ADMIN_USERNAME;
+  let password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    if (!allowDefault) return null;
+    username = 'admin';
+    password = 'admin';
+  }
+
+  await db.transaction(tx => createUser(tx, { username, password, role: 'admin' }));
+  return username;
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  listUsers,
+  getUser,
+  createUser,
+  authenticateUser,
+  createToken,
+  findUserByToken,
+  revokeToken,
+  ensureBootstrapAdmin
+};
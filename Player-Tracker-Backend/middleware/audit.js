@@ -0,0 +1,49 @@
+// Player-Tracker-Backend/middleware/audit.js
+const { recordAudit } = require('../database/audit');
+
+// Request fields never written to the audit log
+const REDACTED_FIELDS = /password|token|secret/i;
+// Longest payload stored per entry (imports can be megabytes of CSV)
+const MAX_PAYLOAD_LENGTH = 10000;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = REDACTED_FIELDS.test(key) ? '[redacted]' : redact(field);
+  }
+  return copy;
+}
+
+// The request's params, query and body as stored in the audit log
+function requestPayload(req) {
+  const payload = redact({ params: req.params, query: req.query, body: req.body });
+  const json = JSON.stringify(payload);
+  if (json.length <= MAX_PAYLOAD_LENGTH) return payload;
+  return { truncated: true, length: json.length, excerpt: json.slice(0, MAX_PAYLOAD_LENGTH) };
+}
+
+/**
+ * Give handlers req.audit(tx, entry): appends an audit entry for this request inside the
+ * handler's transaction, filling in the actor, source IP, method, path and payload.
+ * Mount after authenticate so req.user is known.
+ */
+function auditTrail(req, res, next) {
+  req.audit = (tx, entry) => recordAudit(tx, {
+    user_id: req.user ? req.user.id : null,
+    username: req.user ? req.user.username : null,
+    role: req.user ? req.user.role : null,
+    ip: req.ip,
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    payload: requestPayload(req),
+    ...entry
+  });
+  next();
+}
+
+module.exports = {
+  auditTrail
+};
@@ -0,0 +1,52 @@
+// Player-Tracker-Backend/middleware/auth.js
+const { findUserByToken, hasRole } = require('../database/users');
+const { unauthorized, forbidden, sendError } = require('../utils/errors');
+const { getDatabase } = require('./tenant');
+
+// Token from "Authorization: Bearer <token>" or "X-API-Key: <token>"
+function readToken(req) {
+  const header = req.get('Authorization');
+  if (header) {
+    const match = /^Bearer\s+(\S+)$/i.exec(header);
+    return match ? match[1] : null;
+  }
+  return req.get('X-API-Key') || null;
+}
+
+// Attach req.user (null for anonymous requests); a token that doesn't match a user is rejected
+async function authenticate(req, res, next) {
+  req.user = null;
+  req.token = readToken(req);
+
+  if (!req.token) return next();
+
+  try {
+    const user = await findUserByToken(getDatabase(req), req.token);
+    if (!user) {
+      throw unauthorized('Invalid token', 'The token is unknown or has expired. Log in again.');
+    }
+
+    req.user = user;
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+// Only let through signed-in users with at least the given role (viewer < scorer < admin)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, unauthorized('Authentication required', 'Log in or send an API key to make changes.'));
+    }
+    if (!hasRole(req.user, role)) {
+      return sendError(res, forbidden('Forbidden', `This action requires the ${role} role.`));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  authenticate,
+  requireRole
+};
@@ -1,26 +1,27 @@
 // Player-Tracker-Backend/middleware/cors.js
 const cors = require('cors');
 
+// Comma-separated origins allowed to call the API from a browser, e.g.
+// CORS_ORIGINS=https://tracker.example.com,http://localhost:3000
+// Unset means any origin (the API authenticates with bearer tokens, not cookies)
+const allowedOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
 const corsOptions = {
   origin: function (origin, callback) {
     // Allow requests with no origin (like mobile apps or curl requests)
-    if (!origin) return callback(null, true);
-    
-    // You can add specific domains here if needed
-    // const allowedOrigins = ['http://localhost:3000', 'http://yoursite.com'];
-    // if (allowedOrigins.indexOf(origin) !== -1) {
-    //   callback(null, true);
-    // } else {
-    //   callback(new Error('Not allowed by CORS'));
-    // }
-    
-    // For development, allow all origins
-    callback(null, true);
+    if (!origin || allowedOrigins.length === 0) return callback(null, true);
+
+    // Unlisted origins get no CORS headers, so the browser blocks the response
+    callback(null, allowedOrigins.includes(origin));
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
-  credentials: true,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Accept', 'Idempotency-Key'],
+  // Credentials are only allowed together with an explicit origin list, never for "any origin"
+  credentials: allowedOrigins.length > 0,
   optionsSuccessStatus: 200
 };
 
-module.exports = cors(corsOptions);
\ No newline at end of file
+module.exports = cors(corsOptions);
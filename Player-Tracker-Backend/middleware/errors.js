@@ -0,0 +1,30 @@
+// Player-Tracker-Backend/middleware/errors.js
+const { HttpError, ValidationError, sendError } = require('../utils/errors');
+
+/**
+ * Last-resort error handler, so errors thrown outside a route's try/catch still get the API's
+ * JSON shape instead of Express's HTML page:
+ * - a body that isn't valid JSON is a 400 like any other validation failure (field "body")
+ * - a body over the size limit is a 413; other body-parser errors keep their 4xx status
+ * - anything else is a 500 without the stack trace
+ */
+function handleErrors(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.parse.failed') {
+    return sendError(res, new ValidationError([
+      { field: 'body', location: 'body', message: `Request body is not valid JSON: ${err.message}` }
+    ]));
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(res, new HttpError(413, 'Payload too large', `Request body is larger than the ${err.limit} byte limit.`));
+  }
+  if (err.status >= 400 && err.status < 500 && err.expose) {
+    return sendError(res, new HttpError(err.status, 'Bad request', err.message));
+  }
+
+  console.error('Unhandled error:', err);
+  return sendError(res, new HttpError(500, 'Internal server error', 'Something went wrong. Please try again.'));
+}
+
+module.exports = handleErrors;
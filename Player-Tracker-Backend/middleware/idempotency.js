@@ -0,0 +1,105 @@
+// Player-Tracker-Backend/middleware/idempotency.js
+const crypto = require('crypto');
+const { findResponse, saveResponse } = require('../database/idempotency');
+const { HttpError, badRequest, sendError } = require('../utils/errors');
+const { getDatabase } = require('./tenant');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Printable ASCII without spaces, e.g. a UUID
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+// Responses carrying a new token are never stored
+const UNSTORED_PATHS = ['/auth/login', '/auth/api-keys'];
+// Outcomes that can change without the request changing (signing in again, a new role, waiting)
+const UNSTORED_STATUSES = [401, 403, 429];
+
+// Requests being handled right now, by tracker, user and key: a repeat waits for the original to finish
+const inFlight = new Map();
+
+function fingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body === undefined ? null : req.body)}`)
+    .digest('hex');
+}
+
+/**
+ * Honour an Idempotency-Key header on write requests from signed-in callers: the first response
+ * (anything but a server error or one of UNSTORED_STATUSES) is stored with the key, and a repeat
+ * within the retention window gets that response back, with Idempotent-Replayed: true, instead of
+ * being applied again. Reusing a key for a different request is a 422. Mount after authenticate.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || !req.user || !WRITE_METHODS.includes(req.method) || UNSTORED_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const db = getDatabase(req);
+  const config = req.app.locals.idempotency;
+  // User ids are only unique within a tracker (see database/tenants.js)
+  const id = `${req.tenant.slug || ''}:${req.user.id}:${key}`;
+  const requestFingerprint = fingerprint(req);
+
+  try {
+    if (!KEY_PATTERN.test(key)) {
+      throw badRequest('Invalid Idempotency-Key', 'Idempotency-Key must be 1-255 printable characters without spaces.');
+    }
+
+    let stored;
+    do {
+      while (inFlight.has(id)) {
+        await inFlight.get(id);
+      }
+      stored = await findResponse(db, req.user.id, key, config);
+      // Another repeat may have started while we looked
+    } while (!stored && inFlight.has(id));
+
+    if (stored) {
+      if (stored.fingerprint !== requestFingerprint) {
+        throw new HttpError(422, 'Idempotency key reused',
+          `Idempotency-Key ${key} was already used for ${stored.method} ${stored.path}; send a new key for a different request.`);
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status).json(JSON.parse(stored.response));
+    }
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  let release;
+  inFlight.set(id, new Promise((resolve) => {
+    release = () => {
+      inFlight.delete(id);
+      resolve();
+    };
+  }));
+
+  // Keep the response the handler sends; repeats are held back until it's stored
+  let saving = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500 && !UNSTORED_STATUSES.includes(res.statusCode)) {
+      saving = true;
+      saveResponse(db, {
+        user_id: req.user.id,
+        key,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        fingerprint: requestFingerprint,
+        status: res.statusCode,
+        body
+      }, config)
+        .catch(err => console.error('Storing idempotent response failed:', err))
+        .finally(release);
+    }
+    return json(body);
+  };
+  res.on('close', () => {
+    if (!saving) release();
+  });
+
+  next();
+}
+
+module.exports = {
+  idempotency
+};
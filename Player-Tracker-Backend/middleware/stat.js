@@ -0,0 +1,34 @@
+// Player-Tracker-Backend/middleware/stat.js
+const { getStatType } = require('../database/players');
+const { notFound, sendError } = require('../utils/errors');
+const { getDatabase } = require('./tenant');
+
+// Resolve the :stat URL segment (e.g. /api/trackers/points/...) into req.stat / req.statLabel
+async function resolveStat(req, res, next) {
+  try {
+    const stat = await getStatType(getDatabase(req), req.params.stat);
+    if (!stat) {
+      throw notFound('Tracker not found', `No tracker exists for stat "${req.params.stat}".`);
+    }
+
+    req.stat = stat.key;
+    req.statLabel = stat.label;
+    next();
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+// Pin routes to a single stat (the original /api/players and /api/assists routes track assists)
+function fixedStat(key, label) {
+  return (req, res, next) => {
+    req.stat = key;
+    req.statLabel = label;
+    next();
+  };
+}
+
+module.exports = {
+  resolveStat,
+  fixedStat
+};
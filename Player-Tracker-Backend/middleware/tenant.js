@@ -0,0 +1,30 @@
+// Player-Tracker-Backend/middleware/tenant.js
+const { notFound, sendError } = require('../utils/errors');
+
+// Requests under /api/... are for the main tracker
+function mainTenant(req, res, next) {
+  req.tenant = req.app.locals.tenants.main;
+  next();
+}
+
+// Resolve the :tenant URL segment (/api/t/:tenant/...) into req.tenant (see database/tenants.js)
+function resolveTenant(req, res, next) {
+  const tenant = req.app.locals.tenants.get(req.params.tenant);
+  if (!tenant) {
+    return sendError(res, notFound('Tracker not found', `No hosted tracker is named "${req.params.tenant}".`));
+  }
+
+  req.tenant = tenant;
+  next();
+}
+
+// Data-access module of the tracker a request is for (see database/db.js)
+function getDatabase(req) {
+  return req.tenant.storage.db;
+}
+
+module.exports = {
+  mainTenant,
+  resolveTenant,
+  getDatabase
+};
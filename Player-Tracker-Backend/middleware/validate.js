@@ -0,0 +1,200 @@
+// Player-Tracker-Backend/middleware/validate.js
+const { ValidationError, sendError } = require('../utils/errors');
+
+// Largest amount a single update may add or remove, and the largest total that can be set
+const MAX_AMOUNT = 200;
+const MAX_TOTAL = 100000;
+
+/*
+ * A rule checks one value and returns an error message, or null when the value is fine.
+ * Optional fields may be null (treated as absent) unless the rule says nullable: false.
+ * Route params and query strings arrive as text, so rules may coerce them first (integers
+ * accept digit strings there); JSON bodies must send real numbers.
+ */
+
+function rangeMessage(field, min, max) {
+  if (min !== -Infinity && max !== Infinity) return `${field} must be between ${min} and ${max}`;
+  if (min !== -Infinity) return `${field} must be at least ${min}`;
+  return `${field} must be at most ${max}`;
+}
+
+function integer({ required = false, nullable = true, min = -Infinity, max = Infinity } = {}) {
+  return {
+    required,
+    nullable,
+    coerce: (value) => (typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value),
+    check(value, field) {
+      if (!Number.isSafeInteger(value)) return `${field} must be an integer`;
+      if (value < min || value > max) return rangeMessage(field, min, max);
+      return null;
+    }
+  };
+}
+
+// pattern/patternMessage: e.g. string({ ...HEX_COLOR }) or string({ pattern: /^[a-z]+$/, patternMessage: 'lowercase letters' })
+function string({ required = false, nullable = true, minLength = 1, maxLength = 255, pattern, patternMessage } = {}) {
+  return {
+    required,
+    nullable,
+    check(value, field) {
+      if (typeof value !== 'string') return `${field} must be a string`;
+      const length = value.trim().length;
+      if (length < minLength) return minLength === 1 ? `${field} must not be empty` : `${field} must be at least ${minLength} characters`;
+      if (length > maxLength) return `${field} must be at most ${maxLength} characters`;
+      if (pattern && !pattern.test(value)) return `${field} must be ${patternMessage || `in the format ${pattern}`}`;
+      return null;
+    }
+  };
+}
+
+// Absolute http(s) URL
+function url({ required = false, nullable = true, maxLength = 2000 } = {}) {
+  return {
+    required,
+    nullable,
+    check(value, field) {
+      const message = `${field} must be an http(s) URL`;
+      if (typeof value !== 'string' || value.length > maxLength) return message;
+      try {
+        const { protocol } = new URL(value);
+        return protocol === 'http:' || protocol === 'https:' ? null : message;
+      } catch (err) {
+        return message;
+      }
+    }
+  };
+}
+
+// Calendar date as YYYY-MM-DD (rejects impossible dates such as 2024-02-30)
+function date({ required = false, nullable = true } = {}) {
+  return {
+    required,
+    nullable,
+    check(value, field) {
+      const message = `${field} must be a date in YYYY-MM-DD format`;
+      if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return message;
+      const parsed = new Date(`${value}T00:00:00Z`);
+      return !isNaN(parsed) && parsed.toISOString().startsWith(value) ? null : message;
+    }
+  };
+}
+
+function oneOf(values, { required = false, nullable = true } = {}) {
+  return {
+    required,
+    nullable,
+    check(value, field) {
+      return values.includes(value) ? null : `${field} must be one of: ${values.join(', ')}`;
+    }
+  };
+}
+
+// Marker colors, for string({ ...HEX_COLOR })
+const HEX_COLOR = { pattern: /^#[0-9a-fA-F]{6}$/, patternMessage: 'a hex color like #CEB888' };
+
+// Optional game fields every stat change accepts (see database/logs.js)
+const LOG_FIELDS = {
+  game_id: integer({ min: 1 }),
+  game_date: date(),
+  opponent: string({ maxLength: 100 }),
+  notes: string({ maxLength: 500 })
+};
+
+function checkFields(rules, values, location, { allowUnknown, coerce }, failures) {
+  for (const [field, rule] of Object.entries(rules)) {
+    let value = values[field];
+
+    if (value === undefined || value === null) {
+      if (rule.required) {
+        failures.push({ field, location, message: `${field} is required` });
+      } else if (value === null && !rule.nullable) {
+        failures.push({ field, location, message: `${field} must not be null` });
+      }
+      continue;
+    }
+
+    if (coerce && rule.coerce) {
+      value = rule.coerce(value);
+      values[field] = value;
+    }
+
+    const message = rule.check(value, field);
+    if (message) failures.push({ field, location, message });
+  }
+
+  if (!allowUnknown) {
+    for (const field of Object.keys(values)) {
+      // Own properties only, so names like __proto__ or constructor aren't taken as known fields
+      if (!Object.prototype.hasOwnProperty.call(rules, field)) {
+        failures.push({ field, location, message: `${field} is not an allowed field` });
+      }
+    }
+  }
+}
+
+// Check values that don't come from a request (e.g. imported rows). Returns the failures, if any.
+// Digit strings are coerced for integer rules, as for query strings.
+function checkValues(rules, values, location, { allowUnknown = false } = {}) {
+  const failures = [];
+  checkFields(rules, values, location, { allowUnknown, coerce: true }, failures);
+  return failures;
+}
+
+/**
+ * Validate a request against a schema before the handler runs:
+ *   { params: { id: integer({ required: true, min: 1 }) },
+ *     query: { limit: integer({ min: 1, max: 100 }) },
+ *     body: { amount: integer({ min: 1 }), ... },
+ *     requireOne: [['amount', 'assists_to_add']] }   // body fields where at least one must be sent
+ * Unknown body fields are rejected; unknown query parameters are ignored. Every failing field is
+ * reported in a single 400 response ({ error, message, fields: [{ field, location, message }] }).
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const failures = [];
+
+    if (schema.params) {
+      checkFields(schema.params, req.params, 'params', { allowUnknown: true, coerce: true }, failures);
+    }
+    if (schema.query) {
+      checkFields(schema.query, req.query, 'query', { allowUnknown: true, coerce: true }, failures);
+    }
+    if (schema.body) {
+      const body = req.body;
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        failures.push({ field: 'body', location: 'body', message: 'Request body must be a JSON object' });
+      } else {
+        checkFields(schema.body, body, 'body', { allowUnknown: false, coerce: false }, failures);
+
+        for (const group of schema.requireOne || []) {
+          if (group.every(field => body[field] === undefined)) {
+            failures.push({
+              field: group.join('|'),
+              location: 'body',
+              message: `One of ${group.join(', ')} is required`
+            });
+          }
+        }
+      }
+    }
+
+    if (failures.length > 0) {
+      return sendError(res, new ValidationError(failures));
+    }
+    next();
+  };
+}
+
+module.exports = {
+  MAX_AMOUNT,
+  MAX_TOTAL,
+  HEX_COLOR,
+  LOG_FIELDS,
+  integer,
+  string,
+  url,
+  date,
+  oneOf,
+  checkValues,
+  validate
+};
@@ -1,292 +1,217 @@
 // Player-Tracker-Backend/routes/assists.js
 const express = require('express');
 const router = express.Router();
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { notFound, sendError } = require('../utils/errors');
+const { publish } = require('../utils/events');
+const { requireRole } = require('../middleware/auth');
+const { validate, integer, string, date, oneOf, LOG_FIELDS, MAX_AMOUNT } = require('../middleware/validate');
+const { DEFAULT_STAT, getPlayer } = require('../database/players');
+const { LOG_SORT_FIELDS, SORT_ORDERS, insertLog, listLogs } = require('../database/logs');
+const { reverseEntry } = require('../database/history');
+const { reversalAudit } = require('../database/audit');
+const { getDatabase } = require('../middleware/tenant');
 
-const dbPath = path.join(__dirname, '../database/basketball.db');
+const DEFAULT_LIMIT = 50;
+const RECENT_LIMIT = 10;
 
-// Database connection helper
-function getDatabase() {
-  return new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, (err) => {
-    if (err) {
-      console.error('Error connecting to database:', err);
-    }
-  });
+// Stat this request is scoped to (see middleware/stat.js); the un-prefixed routes track assists
+function getStat(req) {
+  return req.stat || DEFAULT_STAT;
 }
 
-// Get all assist logs with player info
-router.get('/', (req, res) => {
-  const db = getDatabase();
-  
-  const sql = `
-    SELECT a.*, p.name as player_name, p.team as player_team
-    FROM assists a
-    JOIN players p ON a.player_id = p.id
-    ORDER BY a.game_date DESC, a.created_at DESC
-  `;
-  
-  db.all(sql, [], (err, rows) => {
-    db.close(); // Always close the connection
-    
-    if (err) {
-      return res.status(500).json({ 
-        error: 'Database error', 
-        message: err.message 
-      });
-    }
-    
+// Lowercase stat name for messages, e.g. "assists" or "3-pointers made"
+function statNoun(req) {
+  return (req.statLabel || getStat(req)).toLowerCase();
+}
+
+// Filters, sort and paging shared by the list routes (see database/logs.js)
+const listQuery = {
+  game_id: integer({ min: 1 }),
+  opponent: string({ maxLength: 100 }),
+  from: date(),
+  to: date(),
+  sort: oneOf(LOG_SORT_FIELDS),
+  order: oneOf(SORT_ORDERS),
+  cursor: string({ maxLength: 500 }),
+  limit: integer({ min: 1, max: 500 })
+};
+
+// Request schemas (see middleware/validate.js); a game_id supplies the date
+const schemas = {
+  list: { query: { player_id: integer({ min: 1 }), ...listQuery } },
+  player: { params: { playerId: integer({ required: true, min: 1 }) }, query: listQuery },
+  create: {
+    body: {
+      player_id: integer({ required: true, min: 1 }),
+      assists_added: integer({ required: true, min: 1, max: MAX_AMOUNT }),
+      ...LOG_FIELDS,
+      game_id: integer({ nullable: false, min: 1 }),
+      game_date: date({ nullable: false })
+    },
+    requireOne: [['game_date', 'game_id']]
+  },
+  log: { params: { id: integer({ required: true, min: 1 }) } }
+};
+
+// One page of logs for the list routes, with the total and the cursor for the next page
+async function sendLogPage(req, res, { player_id = req.query.player_id, sort = req.query.sort, limit = DEFAULT_LIMIT } = {}) {
+  const { game_id, opponent, from, to, order, cursor } = req.query;
+
+  try {
+    const page = await listLogs(getDatabase(req), {
+      stat: getStat(req),
+      player_id,
+      game_id,
+      opponent,
+      from,
+      to,
+      sort,
+      order,
+      cursor,
+      limit: req.query.limit || limit
+    });
+
     res.json({
       success: true,
-      data: rows,
-      count: rows.length
+      data: page.rows,
+      count: page.rows.length,
+      total: page.total,
+      next_cursor: page.next_cursor
     });
-  });
-});
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+// Get assist logs with player info, newest game first. Page with ?cursor=<next_cursor from the previous page>
+router.get('/', validate(schemas.list), (req, res) => sendLogPage(req, res));
 
 // Get assist logs for a specific player
-router.get('/player/:playerId', (req, res) => {
-  const { playerId } = req.params;
-  const db = getDatabase();
-  
-  const sql = `
-    SELECT a.*, p.name as player_name, p.team as player_team
-    FROM assists a
-    JOIN players p ON a.player_id = p.id
-    WHERE a.player_id = ?
-    ORDER BY a.game_date DESC, a.created_at DESC
-  `;
-  
-  db.all(sql, [playerId], (err, rows) => {
-    db.close(); // Always close the connection
-    
-    if (err) {
-      return res.status(500).json({ 
-        error: 'Database error', 
-        message: err.message 
+router.get('/player/:playerId', validate(schemas.player), (req, res) => sendLogPage(req, res, { player_id: req.params.playerId }));
+
+// Get recent assist logs (last 10 entered, unless ?sort= or ?limit= say otherwise)
+router.get('/recent', validate(schemas.list), (req, res) => sendLogPage(req, res, { sort: req.query.sort || 'created_at', limit: RECENT_LIMIT }));
+
+// Add new assist log
+router.post('/', requireRole('scorer'), validate(schemas.create), async (req, res) => {
+  const { player_id, game_id, game_date, opponent, assists_added, notes } = req.body;
+  const stat = getStat(req);
+
+  try {
+    const result = await getDatabase(req).transaction(async (tx) => {
+      const exists = await tx.get('SELECT id FROM players WHERE id = ?', [player_id]);
+      if (!exists) {
+        throw notFound('Player not found', `Player with ID ${player_id} does not exist.`);
+      }
+
+      // Update player's total and write the log together, or not at all
+      await tx.run(
+        `INSERT INTO player_stats (player_id, stat, total) VALUES (?, ?, ?)
+         ON CONFLICT(player_id, stat) DO UPDATE SET total = total + excluded.total, updated_at = CURRENT_TIMESTAMP`,
+        [player_id, stat, assists_added]
+      );
+
+      const { id: logId } = await insertLog(tx, {
+        player_id,
+        stat,
+        amount: assists_added,
+        game_id,
+        game_date,
+        opponent,
+        notes,
+        user_id: req.user.id
       });
-    }
-    
-    res.json({
-      success: true,
-      data: rows,
-      count: rows.length
-    });
-  });
-});
 
-// Get recent assist logs (last 10)
-router.get('/recent', (req, res) => {
-  const db = getDatabase();
-  
-  const sql = `
-    SELECT a.*, p.name as player_name, p.team as player_team
-    FROM assists a
-    JOIN players p ON a.player_id = p.id
-    ORDER BY a.created_at DESC
-    LIMIT 10
-  `;
-  
-  db.all(sql, [], (err, rows) => {
-    db.close(); // Always close the connection
-    
-    if (err) {
-      return res.status(500).json({ 
-        error: 'Database error', 
-        message: err.message 
+      // Get the newly created assist log with player info
+      const log = await tx.get(`
+        SELECT a.*, p.name as player_name, p.team as player_team, s.total as current_total
+        FROM assists a
+        JOIN players p ON a.player_id = p.id
+        JOIN player_stats s ON s.player_id = a.player_id AND s.stat = a.stat
+        WHERE a.id = ?
+      `, [logId]);
+      const player = await getPlayer(tx, player_id, stat);
+      await req.audit(tx, {
+        action: 'log.create',
+        entity_type: 'log',
+        entity_id: logId,
+        player_id,
+        stat,
+        log_id: logId,
+        before: { total: player.total - assists_added },
+        after: { total: player.total }
       });
-    }
-    
-    res.json({
-      success: true,
-      data: rows,
-      count: rows.length
+      return { log, player };
     });
-  });
-});
 
-// Add new assist log
-router.post('/', (req, res) => {
-  const { player_id, game_date, opponent, assists_added, notes } = req.body;
-  const db = getDatabase();
-  
-  // Validation
-  if (!player_id || !game_date || !assists_added) {
-    db.close();
-    return res.status(400).json({
-      error: 'Missing required fields',
-      message: 'player_id, game_date, and assists_added are required'
-    });
-  }
-  
-  if (assists_added <= 0) {
-    db.close();
-    return res.status(400).json({
-      error: 'Invalid assists value',
-      message: 'assists_added must be a positive number'
+    publish('player', result.player, req.tenant.slug);
+    publish('assist', { action: 'created', log: result.log }, req.tenant.slug);
+
+    res.status(201).json({
+      success: true,
+      message: 'Assist log created successfully',
+      data: result.log
     });
+  } catch (err) {
+    sendError(res, err);
   }
-  
-  db.serialize(() => {
-    // First update player's total assists
-    db.run(
-      'UPDATE players SET assists = assists + ? WHERE id = ?',
-      [assists_added, player_id],
-      function(err) {
-        if (err) {
-          db.close();
-          return res.status(500).json({ 
-            error: 'Database error', 
-            message: err.message 
-          });
-        }
-        
-        if (this.changes === 0) {
-          db.close();
-          return res.status(404).json({ 
-            error: 'Player not found',
-            message: `Player with ID ${player_id} does not exist.` 
-          });
-        }
-        
-        // Then log the assist
-        db.run(
-          `INSERT INTO assists (player_id, game_date, opponent, assists_added, notes) 
-           VALUES (?, ?, ?, ?, ?)`,
-          [player_id, game_date, opponent || null, assists_added, notes || null],
-          function(err) {
-            if (err) {
-              db.close();
-              return res.status(500).json({ 
-                error: 'Database error', 
-                message: err.message 
-              });
-            }
-            
-            const assistLogId = this.lastID;
-            
-            // Get the newly created assist log with player info
-            db.get(`
-              SELECT a.*, p.name as player_name, p.team as player_team, p.assists as current_total
-              FROM assists a
-              JOIN players p ON a.player_id = p.id
-              WHERE a.id = ?
-            `, [assistLogId], (err, newLog) => {
-              db.close(); // Close connection after final operation
-              
-              if (err) {
-                return res.status(500).json({ 
-                  error: 'Database error', 
-                  message: err.message 
-                });
-              }
-              
-              res.status(201).json({
-                success: true,
-                message: 'Assist log created successfully',
-                data: newLog
-              });
-            });
-          }
-        );
-      }
-    );
-  });
 });
 
-// Delete assist log (undo functionality)
-router.delete('/:id', (req, res) => {
+// Undo an assist log: the entry stays in the history and a reversing entry is added (see routes/history.js)
+router.delete('/:id', requireRole('scorer'), validate(schemas.log), async (req, res) => {
   const { id } = req.params;
-  const db = getDatabase();
   
-  db.serialize(() => {
-    // First get the assist log to know how many assists to subtract
-    db.get('SELECT * FROM assists WHERE id = ?', [id], (err, assistLog) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ 
-          error: 'Database error', 
-          message: err.message 
-        });
+  try {
+    const { entry, player } = await getDatabase(req).transaction(async (tx) => {
+      const log = await tx.get('SELECT * FROM assists WHERE id = ? AND stat = ?', [id, getStat(req)]);
+      if (!log) {
+        throw notFound('Assist log not found', `Assist log with ID ${id} does not exist.`);
       }
-      
-      if (!assistLog) {
-        db.close();
-        return res.status(404).json({ 
-          error: 'Assist log not found',
-          message: `Assist log with ID ${id} does not exist.` 
-        });
+
+      const result = await reverseEntry(tx, log, req.user.id);
+      await req.audit(tx, reversalAudit(result));
+      return result;
+    });
+
+    if (player) publish('player', player, req.tenant.slug);
+    publish('assist', { action: 'created', log: entry }, req.tenant.slug);
+
+    res.json({
+      success: true,
+      message: `Assist log reversed and ${-entry.assists_added} ${statNoun(req)} subtracted from player`,
+      data: {
+        deletedLogId: Number(id),
+        reversalLogId: entry.id,
+        assistsSubtracted: -entry.assists_added,
+        playerId: entry.player_id
       }
-      
-      // Subtract the assists from the player
-      db.run(
-        'UPDATE players SET assists = assists - ? WHERE id = ?',
-        [assistLog.assists_added, assistLog.player_id],
-        function(err) {
-          if (err) {
-            db.close();
-            return res.status(500).json({ 
-              error: 'Database error', 
-              message: err.message 
-            });
-          }
-          
-          // Then delete the assist log
-          db.run('DELETE FROM assists WHERE id = ?', [id], function(err) {
-            db.close(); // Close connection after final operation
-            
-            if (err) {
-              return res.status(500).json({ 
-                error: 'Database error', 
-                message: err.message 
-              });
-            }
-            
-            res.json({
-              success: true,
-              message: `Assist log deleted and ${assistLog.assists_added} assists subtracted from player`,
-              data: {
-                deletedLogId: id,
-                assistsSubtracted: assistLog.assists_added,
-                playerId: assistLog.player_id
-              }
-            });
-          });
-        }
-      );
     });
-  });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
 // Get assist statistics
-router.get('/stats/summary', (req, res) => {
-  const db = getDatabase();
-  
-  const sql = `
-    SELECT 
-      COUNT(*) as total_logs,
-      SUM(assists_added) as total_assists_added,
-      COUNT(DISTINCT player_id) as unique_players,
-      MIN(game_date) as earliest_date,
-      MAX(game_date) as latest_date
-    FROM assists
-  `;
-  
-  db.get(sql, [], (err, stats) => {
-    db.close(); // Always close the connection
-    
-    if (err) {
-      return res.status(500).json({ 
-        error: 'Database error', 
-        message: err.message 
-      });
-    }
-    
+router.get('/stats/summary', async (req, res) => {
+  try {
+    const stats = await getDatabase(req).get(`
+      SELECT 
+        COUNT(*) as total_logs,
+        SUM(assists_added) as total_assists_added,
+        COUNT(DISTINCT player_id) as unique_players,
+        MIN(game_date) as earliest_date,
+        MAX(game_date) as latest_date
+      FROM assists
+      WHERE stat = ?
+    `, [getStat(req)]);
+
     res.json({
       success: true,
       data: stats
     });
-  });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,53 @@
+// Player-Tracker-Backend/routes/audit.js
+const express = require('express');
+const router = express.Router();
+const { sendError } = require('../utils/errors');
+const { requireRole } = require('../middleware/auth');
+const { validate, integer, string, date } = require('../middleware/validate');
+const { listAudit } = require('../database/audit');
+const { getDatabase } = require('../middleware/tenant');
+
+const DEFAULT_LIMIT = 50;
+
+// Request schemas (see middleware/validate.js)
+const schemas = {
+  list: {
+    query: {
+      user_id: integer({ min: 1 }),
+      username: string({ maxLength: 100 }),
+      action: string({ maxLength: 50, pattern: /^[a-z_]+(\.[a-z_]+|\.\*)$/, patternMessage: 'an action like stat.add, or a prefix like stat.*' }),
+      entity_type: string({ maxLength: 50 }),
+      entity_id: integer({ min: 1 }),
+      player_id: integer({ min: 1 }),
+      stat: string({ maxLength: 50 }),
+      ip: string({ maxLength: 100 }),
+      from: date(),
+      to: date(),
+      before_id: integer({ min: 1 }),
+      limit: integer({ min: 1, max: 500 })
+    }
+  }
+};
+
+// Entries carry request payloads and source IPs, so the log is admin only
+router.use(requireRole('admin'));
+
+// Audit entries, newest first. Page with ?before_id=<next_before_id from the previous page>
+router.get('/', validate(schemas.list), async (req, res) => {
+  const limit = req.query.limit || DEFAULT_LIMIT;
+
+  try {
+    const rows = await listAudit(getDatabase(req), { ...req.query, limit });
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+      next_before_id: rows.length === limit ? rows[rows.length - 1].id : null
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
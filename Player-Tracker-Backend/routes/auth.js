@@ -0,0 +1,227 @@
+// Player-Tracker-Backend/routes/auth.js
+const express = require('express');
+const router = express.Router();
+const { notFound, badRequest, unauthorized, HttpError, sendError } = require('../utils/errors');
+const { requireRole } = require('../middleware/auth');
+const { validate, integer, string, oneOf } = require('../middleware/validate');
+const {
+  ROLES,
+  hashPassword,
+  listUsers,
+  getUser,
+  createUser,
+  authenticateUser,
+  createToken,
+  revokeToken
+} = require('../database/users');
+const { getDatabase } = require('../middleware/tenant');
+
+// Request schemas (see middleware/validate.js)
+const userParams = { id: integer({ required: true, min: 1 }) };
+
+const schemas = {
+  login: {
+    body: {
+      username: string({ required: true, maxLength: 50 }),
+      password: string({ required: true, maxLength: 200 })
+    }
+  },
+  apiKey: { body: { label: string({ maxLength: 100 }) } },
+  createUser: {
+    body: {
+      username: string({ required: true, maxLength: 50 }),
+      password: string({ required: true, minLength: 8, maxLength: 200 }),
+      role: oneOf(ROLES)
+    }
+  },
+  updateUser: {
+    params: userParams,
+    body: {
+      role: oneOf(ROLES, { nullable: false }),
+      password: string({ nullable: false, minLength: 8, maxLength: 200 })
+    },
+    requireOne: [['role', 'password']]
+  },
+  user: { params: userParams }
+};
+
+// Log in and get a session token for the Authorization header
+router.post('/login', validate(schemas.login), async (req, res) => {
+  const { username, password } = req.body;
+
+  try {
+    const db = getDatabase(req);
+    const user = await authenticateUser(db, username, password);
+    if (!user) {
+      throw unauthorized('Invalid credentials', 'Username or password is incorrect.');
+    }
+
+    const { token, expires_at } = await db.transaction(tx => createToken(tx, user.id, { label: 'login' }));
+
+    res.json({
+      success: true,
+      data: { token, expires_at, user }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Revoke the token this request was made with
+router.post('/logout', requireRole('viewer'), async (req, res) => {
+  try {
+    await getDatabase(req).transaction(tx => revokeToken(tx, req.token));
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// The signed-in user
+router.get('/me', requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+// Issue a long-lived API key for the signed-in user (scoreboard integrations, scripts)
+router.post('/api-keys', requireRole('scorer'), validate(schemas.apiKey), async (req, res) => {
+  const { label } = req.body;
+
+  try {
+    const { token } = await getDatabase(req).transaction(async (tx) => {
+      const created = await createToken(tx, req.user.id, {
+        label: label || 'api-key',
+        expiresInHours: null
+      });
+      await req.audit(tx, { action: 'api_key.create', entity_type: 'user', entity_id: req.user.id, after: { label: label || 'api-key' } });
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it now; it cannot be shown again.',
+      data: { token, label: label || 'api-key', user: req.user }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// List users (admin only)
+router.get('/users', requireRole('admin'), async (req, res) => {
+  try {
+    const rows = await listUsers(getDatabase(req));
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Create a user (admin only)
+router.post('/users', requireRole('admin'), validate(schemas.createUser), async (req, res) => {
+  const { username, password, role = 'viewer' } = req.body;
+
+  try {
+    const user = await getDatabase(req).transaction(async (tx) => {
+      if (await tx.get('SELECT id FROM users WHERE username = ?', [username])) {
+        throw new HttpError(409, 'Username taken', `A user named "${username}" already exists.`);
+      }
+      const created = await createUser(tx, { username, password, role });
+      await req.audit(tx, { action: 'user.create', entity_type: 'user', entity_id: created.id, after: created });
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `User ${user.username} created`,
+      data: user
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Change a user's role or password (admin only)
+router.patch('/users/:id', requireRole('admin'), validate(schemas.updateUser), async (req, res) => {
+  const { id } = req.params;
+  const { role, password } = req.body;
+
+  try {
+    const user = await getDatabase(req).transaction(async (tx) => {
+      const existing = await getUser(tx, id);
+      if (!existing) {
+        throw notFound('User not found', `User with ID ${id} does not exist.`);
+      }
+
+      if (role !== undefined) {
+        await tx.run('UPDATE users SET role = ? WHERE id = ?', [role, id]);
+      }
+      if (password !== undefined) {
+        await tx.run('UPDATE users SET password_hash = ? WHERE id = ?', [await hashPassword(password), id]);
+        // A new password signs the user out everywhere
+        await tx.run('DELETE FROM auth_tokens WHERE user_id = ?', [id]);
+      }
+
+      const updated = await getUser(tx, id);
+      await req.audit(tx, {
+        action: 'user.update',
+        entity_type: 'user',
+        entity_id: id,
+        before: { role: existing.role },
+        after: { role: updated.role, password_changed: password !== undefined }
+      });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: `User ${user.username} updated`,
+      data: user
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Delete a user and their tokens (admin only)
+router.delete('/users/:id', requireRole('admin'), validate(schemas.user), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (id === req.user.id) {
+      throw badRequest('Invalid operation', 'You cannot delete your own account.');
+    }
+
+    const user = await getDatabase(req).transaction(async (tx) => {
+      const existing = await getUser(tx, id);
+      if (!existing) {
+        throw notFound('User not found', `User with ID ${id} does not exist.`);
+      }
+
+      await tx.run('DELETE FROM users WHERE id = ?', [id]);
+      await req.audit(tx, { action: 'user.delete', entity_type: 'user', entity_id: id, before: existing });
+      return existing;
+    });
+
+    res.json({
+      success: true,
+      message: `User ${user.username} deleted`,
+      data: user
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// Player-Tracker-Backend/routes/backups.js
+const express = require('express');
+const router = express.Router();
+const { sendError } = require('../utils/errors');
+const { publish } = require('../utils/events');
+const { requireRole } = require('../middleware/auth');
+const { validate, string } = require('../middleware/validate');
+const {
+  SNAPSHOT_NAME,
+  listSnapshots,
+  takeSnapshot,
+  restoreSnapshot,
+  deleteSnapshot
+} = require('../database/backups');
+const { getDatabase } = require('../middleware/tenant');
+
+// Request schemas (see middleware/validate.js)
+const snapshotParams = {
+  name: string({ required: true, pattern: SNAPSHOT_NAME, patternMessage: 'a snapshot file name like snapshot-20250301T183000000Z-manual.db' })
+};
+
+const schemas = {
+  snapshot: { params: snapshotParams }
+};
+
+// The tracker's backup settings and schedule (see database/backups.js and database/tenants.js)
+function getBackups(req) {
+  return req.tenant.backups;
+}
+
+// Snapshots are files, not rows, so each audit entry gets a transaction of its own
+function audit(req, entry) {
+  return getDatabase(req).transaction(tx => req.audit(tx, { entity_type: 'snapshot', ...entry }));
+}
+
+// Snapshots hold every account and token, so all of this is admin only
+router.use(requireRole('admin'));
+
+// List snapshots (newest first) with the retention policy and the next scheduled snapshot
+router.get('/', (req, res) => {
+  try {
+    const { config, schedule } = getBackups(req);
+    const rows = listSnapshots(config.dir);
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+      policy: {
+        interval_hours: config.intervalHours,
+        retain_count: config.retainCount,
+        retain_days: config.retainDays,
+        next_scheduled_at: schedule.nextAt()
+      }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Take a snapshot now; older snapshots beyond the retention policy are removed
+router.post('/', async (req, res) => {
+  try {
+    const { snapshot, removed } = await takeSnapshot(getDatabase(req), getBackups(req).config, 'manual');
+    await audit(req, { action: 'backup.create', after: { snapshot: snapshot.name, removed: removed.map(s => s.name) } });
+
+    res.status(201).json({
+      success: true,
+      message: `Created snapshot ${snapshot.name}`,
+      data: snapshot,
+      removed: removed.map(s => s.name)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Replace the live data with a snapshot. The current data is saved as a pre-restore snapshot first.
+router.post('/:name/restore', validate(schemas.snapshot), async (req, res) => {
+  try {
+    const { restored, safety, kept_audit_entries } = await restoreSnapshot(getDatabase(req), getBackups(req).config, req.params.name);
+    // Recorded afterwards, after the audit entries made since the snapshot that the restore carried over
+    await audit(req, {
+      action: 'backup.restore',
+      before: { snapshot: safety.name },
+      after: { snapshot: restored.name, kept_audit_entries }
+    });
+
+    // Everything may have changed: live clients reload
+    publish('restored', { snapshot: restored.name, created_at: restored.created_at }, req.tenant.slug);
+
+    res.json({
+      success: true,
+      message: `Restored snapshot from ${restored.created_at}; the previous data was saved as ${safety.name}`,
+      data: { restored, safety, kept_audit_entries }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+router.delete('/:name', validate(schemas.snapshot), async (req, res) => {
+  try {
+    const snapshot = deleteSnapshot(getBackups(req).config.dir, req.params.name);
+    await audit(req, { action: 'backup.delete', before: { snapshot: snapshot.name } });
+
+    res.json({
+      success: true,
+      message: `Deleted snapshot ${snapshot.name}`,
+      data: snapshot
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+// Player-Tracker-Backend/routes/branding.js
+const express = require('express');
+const router = express.Router();
+const { sendError } = require('../utils/errors');
+const { publish } = require('../utils/events');
+const { requireRole } = require('../middleware/auth');
+const { validate, string, HEX_COLOR } = require('../middleware/validate');
+const { getBranding, setBranding } = require('../database/settings');
+const { getDatabase } = require('../middleware/tenant');
+
+// Request schemas (see middleware/validate.js); null puts a field back to its default
+const schemas = {
+  update: {
+    body: {
+      name: string({ maxLength: 100 }),
+      primary_color: string({ ...HEX_COLOR }),
+      secondary_color: string({ ...HEX_COLOR })
+    },
+    requireOne: [['name', 'primary_color', 'secondary_color']]
+  }
+};
+
+// The tracker's name and theme colors, for the front end to apply
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { slug: req.tenant.slug, ...(await getBranding(getDatabase(req))) }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Rename the tracker or change its theme colors (admin only)
+router.patch('/', requireRole('admin'), validate(schemas.update), async (req, res) => {
+  try {
+    const branding = await getDatabase(req).transaction(async (tx) => {
+      const before = await getBranding(tx);
+      await setBranding(tx, req.body);
+      const after = await getBranding(tx);
+      await req.audit(tx, { action: 'branding.update', entity_type: 'setting', before, after });
+      return after;
+    });
+
+    const data = { slug: req.tenant.slug, ...branding };
+    publish('branding', data, req.tenant.slug);
+
+    res.json({
+      success: true,
+      message: `Branding updated for ${branding.name}`,
+      data
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// Player-Tracker-Backend/routes/export.js
+const express = require('express');
+const router = express.Router();
+const { badRequest, sendError } = require('../utils/errors');
+const { requireRole } = require('../middleware/auth');
+const { validate, oneOf } = require('../middleware/validate');
+const { DATASETS, exportData } = require('../database/transfer');
+const { toCsv } = require('../utils/csv');
+const { getDatabase } = require('../middleware/tenant');
+
+// Request schemas (see middleware/validate.js)
+const schemas = {
+  export: {
+    query: {
+      format: oneOf(['json', 'csv']),
+      dataset: oneOf(DATASETS)
+    }
+  }
+};
+
+// Download players, games and stat logs (signed-in users; the logs include who made each change).
+// JSON holds every dataset (or just ?dataset=) and can be sent back to POST /api/import as-is;
+// CSV is one dataset per file, so ?dataset= is required.
+router.get('/', requireRole('viewer'), validate(schemas.export), async (req, res) => {
+  const format = req.query.format || 'json';
+  const { dataset } = req.query;
+  const day = new Date().toISOString().split('T')[0];
+
+  try {
+    if (format === 'csv' && !dataset) {
+      throw badRequest('Missing dataset', `CSV exports hold one dataset: pass dataset=${DATASETS.join('|')}`);
+    }
+
+    const exported = await exportData(getDatabase(req), dataset ? [dataset] : DATASETS);
+
+    if (format === 'csv') {
+      const { columns, rows } = exported[dataset];
+      res.attachment(`tracker-${dataset}-${day}.csv`);
+      res.type('text/csv').send(toCsv(columns, rows));
+      return;
+    }
+
+    const body = { exported_at: new Date().toISOString() };
+    for (const [name, { rows }] of Object.entries(exported)) {
+      body[name] = rows;
+    }
+    res.attachment(`tracker-export-${day}.json`);
+    res.json(body);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
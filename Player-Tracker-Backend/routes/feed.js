@@ -0,0 +1,124 @@
+// Player-Tracker-Backend/routes/feed.js
+const express = require('express');
+const router = express.Router();
+const { sendError } = require('../utils/errors');
+const { publish } = require('../utils/events');
+const { requireRole } = require('../middleware/auth');
+const { validate, integer, oneOf } = require('../middleware/validate');
+const {
+  FEED_FORMATS,
+  FEED_STATUSES,
+  parseFeed,
+  ingestFeed,
+  listFeedEvents,
+  reviewFeedEvent
+} = require('../database/feed');
+const { getDatabase } = require('../middleware/tenant');
+
+const DEFAULT_LIMIT = 100;
+
+// Text content types and the feed format they carry (text/plain is detected from the content)
+const CONTENT_FORMATS = {
+  'application/x-ndjson': 'ndjson',
+  'application/xml': 'xml',
+  'text/xml': 'xml'
+};
+
+// Request schemas (see middleware/validate.js); the plays are checked one by one in database/feed.js
+const schemas = {
+  ingest: { query: { format: oneOf(FEED_FORMATS) } },
+  list: {
+    query: {
+      status: oneOf(FEED_STATUSES),
+      game_id: integer({ min: 1 }),
+      limit: integer({ min: 1, max: 500 })
+    }
+  },
+  event: { params: { id: integer({ required: true, min: 1 }) } }
+};
+
+// ?format= wins, then the content type; JSON bodies arrive already parsed
+function feedFormat(req) {
+  if (req.query.format) return req.query.format;
+  return CONTENT_FORMATS[(req.get('Content-Type') || '').split(';')[0].trim().toLowerCase()] || null;
+}
+
+// Everything here is for scorers: reviewing detected assists is scoring
+router.use(requireRole('scorer'));
+
+// Read an uploaded feed: new assists become pending events, plays already seen are skipped
+router.post('/', validate(schemas.ingest), async (req, res) => {
+  try {
+    const report = await ingestFeed(getDatabase(req), parseFeed(req.body, feedFormat(req)));
+    if (report.detected.length > 0) {
+      publish('feed', { action: 'detected', count: report.detected.length }, req.tenant.slug);
+    }
+
+    res.json({
+      success: true,
+      message: `Detected ${report.detected.length} new assist${report.detected.length === 1 ? '' : 's'} in ${report.received} play${report.received === 1 ? '' : 's'}` +
+        `${report.duplicates ? ` (${report.duplicates} already seen)` : ''}${report.ignored.length ? `; ${report.ignored.length} ignored` : ''}`,
+      data: report
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Detected assists, oldest game first; ?status=pending for the ones waiting for review
+router.get('/events', validate(schemas.list), async (req, res) => {
+  const { status, game_id } = req.query;
+
+  try {
+    const rows = await listFeedEvents(getDatabase(req), { status, game_id, limit: req.query.limit || DEFAULT_LIMIT });
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Approve or reject a pending event and record it in the audit log
+async function review(req, res, decision) {
+  try {
+    const result = await getDatabase(req).transaction(async (tx) => {
+      const reviewed = await reviewFeedEvent(tx, req.params.id, decision, req.user.id);
+      const { event, before, player, log } = reviewed;
+      await req.audit(tx, {
+        action: decision === 'approved' ? 'feed.approve' : 'feed.reject',
+        entity_type: 'feed_event',
+        entity_id: event.id,
+        player_id: event.player_id,
+        stat: event.stat,
+        log_id: log ? log.id : null,
+        before: { status: 'pending', ...(player ? { total: before } : {}) },
+        after: { status: event.status, ...(player ? { total: player.total } : {}) }
+      });
+      return reviewed;
+    });
+
+    const { event, player, log } = result;
+    if (player) {
+      publish('player', player, req.tenant.slug);
+      publish('assist', { action: 'created', log }, req.tenant.slug);
+    }
+    publish('feed', { action: decision, id: event.id }, req.tenant.slug);
+
+    res.json({
+      success: true,
+      message: `${decision === 'approved' ? 'Approved' : 'Rejected'} play ${event.play_id}: assist by ${event.player_name || `player ${event.player_id}`}`,
+      data: result
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
+router.post('/events/:id/approve', validate(schemas.event), (req, res) => review(req, res, 'approved'));
+router.post('/events/:id/reject', validate(schemas.event), (req, res) => review(req, res, 'rejected'));
+
+module.exports = router;
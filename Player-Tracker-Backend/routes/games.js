@@ -0,0 +1,274 @@
+// Player-Tracker-Backend/routes/games.js
+const express = require('express');
+const router = express.Router();
+const { DEFAULT_STAT, playerExists } = require('../database/players');
+const { FEATURED_PLAYER_KEY, getSetting } = require('../database/settings');
+const { listGames, getGame, getBoxLine, getGameLog } = require('../database/games');
+const { notFound, badRequest, HttpError, sendError } = require('../utils/errors');
+const { requireRole } = require('../middleware/auth');
+const { validate, integer, string, date } = require('../middleware/validate');
+const { getDatabase } = require('../middleware/tenant');
+
+const GAME_FIELDS = ['game_date', 'opponent', 'location', 'result'];
+
+// Request schemas (see middleware/validate.js)
+const gameParams = { id: integer({ required: true, min: 1 }) };
+const playerQuery = { player_id: integer({ min: 1 }), stat: string({ maxLength: 50 }) };
+
+const schemas = {
+  log: { query: playerQuery },
+  game: { params: gameParams },
+  box: { params: gameParams, query: playerQuery },
+  create: {
+    body: {
+      game_date: date({ required: true }),
+      opponent: string({ required: true, maxLength: 100 }),
+      location: string({ maxLength: 100 }),
+      result: string({ maxLength: 50 })
+    }
+  },
+  update: {
+    params: gameParams,
+    body: {
+      game_date: date({ nullable: false }),
+      opponent: string({ nullable: false, maxLength: 100 }),
+      location: string({ maxLength: 100 }),
+      result: string({ maxLength: 50 })
+    },
+    requireOne: [GAME_FIELDS]
+  }
+};
+
+// ?stat= wins, then the tracker scope (/api/trackers/:stat/games), then assists
+function getStat(req) {
+  return req.query.stat || req.stat || DEFAULT_STAT;
+}
+
+// ?player_id= or the featured player
+async function resolvePlayer(db, req) {
+  const playerId = req.query.player_id || await getSetting(db, FEATURED_PLAYER_KEY);
+  if (!playerId) {
+    throw badRequest('Missing player', 'Pass player_id or set a featured player');
+  }
+
+  const player = await playerExists(db, playerId);
+  if (!player) {
+    throw notFound('Player not found', `Player with ID ${playerId} does not exist.`);
+  }
+  return player;
+}
+
+// List all games (most recent first)
+router.get('/', async (req, res) => {
+  try {
+    const rows = await listGames(getDatabase(req));
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Game-by-game log for a player (default: featured) and stat: amount per game and career total after it
+router.get('/log', validate(schemas.log), async (req, res) => {
+  try {
+    const db = getDatabase(req);
+    const player = await resolvePlayer(db, req);
+    const stat = getStat(req);
+
+    const rows = await getGameLog(db, player.id, stat);
+    if (rows === null) {
+      throw notFound('Player not found', `${player.name} is not on the ${stat} leaderboard.`);
+    }
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+      player: { id: player.id, name: player.name },
+      stat
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Get a single game
+router.get('/:id', validate(schemas.game), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const game = await getGame(getDatabase(req), id);
+    if (!game) {
+      throw notFound('Game not found', `Game with ID ${id} does not exist.`);
+    }
+
+    res.json({
+      success: true,
+      data: game
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Box line for one player (default: featured) in a game: net amount per stat
+router.get('/:id/box', validate(schemas.box), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const db = getDatabase(req);
+    const game = await getGame(db, id);
+    if (!game) {
+      throw notFound('Game not found', `Game with ID ${id} does not exist.`);
+    }
+
+    const player = await resolvePlayer(db, req);
+    const lines = await getBoxLine(db, game.id, player.id);
+
+    res.json({
+      success: true,
+      data: {
+        game,
+        player: { id: player.id, name: player.name },
+        stats: Object.fromEntries(lines.map(line => [line.stat, line.amount]))
+      }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// All log rows recorded against a game
+router.get('/:id/logs', validate(schemas.game), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const rows = await getDatabase(req).all(`
+      SELECT a.*, p.name as player_name, p.team as player_team
+      FROM assists a
+      JOIN players p ON a.player_id = p.id
+      WHERE a.game_id = ?
+      ORDER BY a.created_at ASC, a.id ASC
+    `, [id]);
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Create a game
+router.post('/', requireRole('scorer'), validate(schemas.create), async (req, res) => {
+  const { game_date, opponent, location, result } = req.body;
+
+  try {
+    const db = getDatabase(req);
+    const game = await db.transaction(async (tx) => {
+      const { lastID } = await tx.run(
+        'INSERT INTO games (game_date, opponent, location, result) VALUES (?, ?, ?, ?)',
+        [game_date, opponent, location || null, result || null]
+      );
+
+      const created = await getGame(tx, lastID);
+      await req.audit(tx, { action: 'game.create', entity_type: 'game', entity_id: lastID, after: created });
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Game created successfully',
+      data: game
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Update a game; date/opponent changes are copied onto its log rows and rank changes
+router.patch('/:id', requireRole('scorer'), validate(schemas.update), async (req, res) => {
+  const { id } = req.params;
+  const fields = GAME_FIELDS.filter(field => req.body[field] !== undefined);
+
+  try {
+    const game = await getDatabase(req).transaction(async (tx) => {
+      const existing = await getGame(tx, id);
+      if (!existing) {
+        throw notFound('Game not found', `Game with ID ${id} does not exist.`);
+      }
+
+      await tx.run(
+        `UPDATE games SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => req.body[field]), id]
+      );
+
+      const updated = await getGame(tx, id);
+      await tx.run(
+        'UPDATE assists SET game_date = ?, opponent = ? WHERE game_id = ?',
+        [updated.game_date, updated.opponent, id]
+      );
+      await tx.run(
+        'UPDATE rank_events SET game_date = ?, opponent = ? WHERE game_id = ?',
+        [updated.game_date, updated.opponent, id]
+      );
+      await req.audit(tx, { action: 'game.update', entity_type: 'game', entity_id: id, before: existing, after: updated });
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: 'Game updated successfully',
+      data: game
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Delete a game that has no log rows
+router.delete('/:id', requireRole('admin'), validate(schemas.game), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    await getDatabase(req).transaction(async (tx) => {
+      const existing = await getGame(tx, id);
+      if (!existing) {
+        throw notFound('Game not found', `Game with ID ${id} does not exist.`);
+      }
+
+      // Only entries that still count block the delete (the same ones undo would take back)
+      const { count } = await tx.get(
+        `SELECT COUNT(*) as count FROM assists
+         WHERE game_id = ? AND kind IN ('change', 'redo') AND reversed_by_id IS NULL`,
+        [id]
+      );
+      if (count > 0) {
+        throw new HttpError(409, 'Game has logs', `Game ${id} has ${count} log entries that still count. Undo them first.`);
+      }
+
+      // Undone entries, their reversals and the rank changes they caused keep the game's date and opponent, just not the link
+      const { changes: unlinked } = await tx.run('UPDATE assists SET game_id = NULL WHERE game_id = ?', [id]);
+      await tx.run('UPDATE rank_events SET game_id = NULL WHERE game_id = ?', [id]);
+      await tx.run('DELETE FROM games WHERE id = ?', [id]);
+      await req.audit(tx, { action: 'game.delete', entity_type: 'game', entity_id: id, before: { ...existing, unlinked_logs: unlinked } });
+    });
+
+    res.json({
+      success: true,
+      message: 'Game deleted successfully',
+      data: { deletedGameId: id }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+// Player-Tracker-Backend/routes/history.js
+const express = require('express');
+const router = express.Router();
+const { notFound, HttpError, sendError } = require('../utils/errors');
+const { publish } = require('../utils/events');
+const { requireRole } = require('../middleware/auth');
+const { validate, integer } = require('../middleware/validate');
+const {
+  listHistory,
+  getUndoTarget,
+  getRedoTarget,
+  reverseEntry
+} = require('../database/history');
+const { reversalAudit } = require('../database/audit');
+const { getDatabase } = require('../middleware/tenant');
+
+const DEFAULT_LIMIT = 10;
+
+// Request schemas (see middleware/validate.js)
+const schemas = {
+  list: { query: { limit: integer({ min: 1, max: 100 }) } },
+  entry: { params: { id: integer({ required: true, min: 1 }) } }
+};
+
+// Reverse a log entry and record it in the audit log, in the caller's transaction
+async function reverseAndAudit(req, tx, entry) {
+  const result = await reverseEntry(tx, entry, req.user.id);
+  await req.audit(tx, reversalAudit(result));
+  return result;
+}
+
+// Publish the reversal to live clients (/api/stream) and respond with it
+function sendReversal(req, res, result) {
+  const { entry, reversed, player } = result;
+  // Describe the change being taken back (undo) or re-applied (redo)
+  const amount = entry.kind === 'undo' ? reversed.assists_added : entry.assists_added;
+
+  if (player) publish('player', player, req.tenant.slug);
+  publish('assist', { action: 'created', log: entry }, req.tenant.slug);
+
+  res.json({
+    success: true,
+    message: `${entry.kind === 'undo' ? 'Undid' : 'Redid'} ${amount > 0 ? '+' : ''}${amount} ${entry.stat_label.toLowerCase()} for ${entry.player_name}`,
+    data: result
+  });
+}
+
+// History is per scorer: everything below only sees the caller's own actions
+router.use(requireRole('scorer'));
+
+// The caller's last N log entries, plus which entries undo/redo would reverse next
+router.get('/', validate(schemas.list), async (req, res) => {
+  const limit = req.query.limit || DEFAULT_LIMIT;
+
+  try {
+    const db = getDatabase(req);
+    const [rows, undoTarget, redoTarget] = await Promise.all([
+      listHistory(db, req.user.id, limit),
+      getUndoTarget(db, req.user.id),
+      getRedoTarget(db, req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+      next_undo: undoTarget ? undoTarget.id : null,
+      next_redo: redoTarget ? redoTarget.id : null
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Undo the caller's most recent change that is still in effect
+router.post('/undo', async (req, res) => {
+  try {
+    const result = await getDatabase(req).transaction(async (tx) => {
+      const target = await getUndoTarget(tx, req.user.id);
+      if (!target) {
+        throw new HttpError(409, 'Nothing to undo', 'You have no changes left to undo.');
+      }
+      return reverseAndAudit(req, tx, target);
+    });
+
+    sendReversal(req, res, result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Re-apply the caller's most recently undone change
+router.post('/redo', async (req, res) => {
+  try {
+    const result = await getDatabase(req).transaction(async (tx) => {
+      const target = await getRedoTarget(tx, req.user.id);
+      if (!target) {
+        throw new HttpError(409, 'Nothing to redo', 'There is no undone change to redo.');
+      }
+      return reverseAndAudit(req, tx, target);
+    });
+
+    sendReversal(req, res, result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Reverse one specific log entry (any scorer's) with a new entry for the opposite amount
+router.post('/:id/undo', validate(schemas.entry), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await getDatabase(req).transaction(async (tx) => {
+      const entry = await tx.get('SELECT * FROM assists WHERE id = ?', [id]);
+      if (!entry) {
+        throw notFound('Log entry not found', `Log entry with ID ${id} does not exist.`);
+      }
+      return reverseAndAudit(req, tx, entry);
+    });
+
+    sendReversal(req, res, result);
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,88 @@
+// Player-Tracker-Backend/routes/import.js
+const express = require('express');
+const router = express.Router();
+const { badRequest, sendError } = require('../utils/errors');
+const { publish } = require('../utils/events');
+const { requireRole } = require('../middleware/auth');
+const { validate, oneOf } = require('../middleware/validate');
+const { getPlayer } = require('../database/players');
+const { DATASETS, importData } = require('../database/transfer');
+const { parseCsv } = require('../utils/csv');
+const { getDatabase } = require('../middleware/tenant');
+
+// Request schemas (see middleware/validate.js); the body is checked row by row in database/transfer.js
+const schemas = {
+  import: {
+    query: {
+      dataset: oneOf(DATASETS),
+      dry_run: oneOf(['true', 'false'])
+    }
+  }
+};
+
+// { players, games, logs } from the request: a JSON export, a JSON array of ?dataset= rows, or a CSV of ?dataset=
+function readImport(req) {
+  const { dataset } = req.query;
+  const body = req.body;
+
+  if (typeof body === 'string' || Array.isArray(body)) {
+    if (!dataset) {
+      throw badRequest('Missing dataset', `Pass dataset=${DATASETS.join('|')} to say what the rows are`);
+    }
+    if (Array.isArray(body)) return { [dataset]: body };
+
+    try {
+      return { [dataset]: parseCsv(body) };
+    } catch (err) {
+      throw badRequest('Invalid CSV', err.message);
+    }
+  }
+
+  if (!body || typeof body !== 'object') {
+    throw badRequest('Invalid import', 'Send a JSON object of datasets, a JSON array of rows, or CSV text');
+  }
+  return dataset ? { [dataset]: body[dataset] } : body;
+}
+
+// Live clients get the new or changed players on every leaderboard they're on
+async function publishPlayers(db, ids, tenant) {
+  for (const id of ids) {
+    const rows = await db.all('SELECT stat FROM player_stats WHERE player_id = ?', [id]);
+    for (const { stat } of rows) {
+      publish('player', await getPlayer(db, id, stat), tenant);
+    }
+  }
+}
+
+// Import players, games and stat logs (admin only) in one transaction; ?dry_run=true previews the changes
+router.post('/', requireRole('admin'), validate(schemas.import), async (req, res) => {
+  const dryRun = req.query.dry_run === 'true';
+
+  try {
+    const db = getDatabase(req);
+    const { touched, ...report } = await importData(db, readImport(req), {
+      dryRun,
+      // The payload excerpt is capped, so the audit entry keeps the full list of changes instead
+      beforeCommit: (tx, result) => req.audit(tx, {
+        action: 'import.apply',
+        entity_type: 'import',
+        after: { summary: result.summary, changes: result.changes }
+      })
+    });
+    if (!dryRun) await publishPlayers(db, touched, req.tenant.slug);
+
+    const counts = Object.entries(report.summary)
+      .map(([dataset, actions]) => `${dataset}: ${Object.entries(actions).map(([action, n]) => `${n} ${action}`).join(', ')}`)
+      .join('; ');
+
+    res.json({
+      success: true,
+      message: `${dryRun ? 'Dry run (nothing saved)' : 'Imported'}: ${counts || 'no rows'}`,
+      data: report
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -1,280 +1,500 @@
 // Player-Tracker-Backend/routes/players.js
 const express = require('express');
 const router = express.Router();
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { notFound, badRequest, HttpError, sendError } = require('../utils/errors');
+const { publish } = require('../utils/events');
+const { requireRole } = require('../middleware/auth');
+const { validate, integer, string, url, oneOf, HEX_COLOR, LOG_FIELDS, MAX_AMOUNT, MAX_TOTAL } = require('../middleware/validate');
+const {
+  DEFAULT_STAT,
+  DEFAULT_COLOR,
+  PLAYER_STATUSES,
+  listPlayers,
+  getPlayer,
+  getFeaturedPlayer,
+  listRoster,
+  getRosterPlayer,
+  playerExists
+} = require('../database/players');
+const { getSetting, setSetting, FEATURED_PLAYER_KEY } = require('../database/settings');
+const { insertLog } = require('../database/logs');
+const { getDatabase } = require('../middleware/tenant');
 
-const dbPath = path.join(__dirname, '../database/basketball.db');
+// Stat this request is scoped to (see middleware/stat.js); the un-prefixed routes track assists
+function getStat(req) {
+  return req.stat || DEFAULT_STAT;
+}
 
-// Database connection helper
-function getDatabase() {
-  return new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, (err) => {
-    if (err) {
-      console.error('Error connecting to database:', err);
-    }
-  });
+// Lowercase stat name for messages, e.g. "assists" or "3-pointers made"
+function statNoun(req) {
+  return (req.statLabel || getStat(req)).toLowerCase();
 }
 
-// Get all players (sorted by assists descending)
-router.get('/', (req, res) => {
-  const db = getDatabase();
-  
-  const sql = `
-    SELECT * FROM players 
-    ORDER BY assists DESC, name ASC
-  `;
-  
-  db.all(sql, [], (err, rows) => {
-    db.close(); // Always close the connection
-    
-    if (err) {
-      return res.status(500).json({ 
-        error: 'Database error', 
-        message: err.message 
-      });
+// Editable roster fields
+const PROFILE_FIELDS = ['name', 'team', 'color', 'headshot_url', 'status'];
+
+// Request schemas (see middleware/validate.js); the assists_* names are the original routes' field names
+const playerParams = { id: integer({ required: true, min: 1 }) };
+
+const schemas = {
+  player: { params: playerParams },
+  create: {
+    body: {
+      name: string({ required: true, maxLength: 100 }),
+      team: string({ required: true, maxLength: 100 }),
+      color: string({ ...HEX_COLOR }),
+      headshot_url: url(),
+      status: oneOf(PLAYER_STATUSES),
+      total: integer({ min: 0, max: MAX_TOTAL })
     }
-    
+  },
+  update: {
+    params: playerParams,
+    body: {
+      name: string({ nullable: false, maxLength: 100 }),
+      team: string({ nullable: false, maxLength: 100 }),
+      color: string({ nullable: false, ...HEX_COLOR }),
+      headshot_url: url(),
+      status: oneOf(PLAYER_STATUSES, { nullable: false })
+    },
+    requireOne: [PROFILE_FIELDS]
+  },
+  remove: {
+    params: playerParams,
+    query: { force: oneOf(['true', 'false']) }
+  },
+  setFeatured: { body: { player_id: integer({ required: true, min: 1 }) } },
+  setTotal: {
+    params: playerParams,
+    body: { total: integer({ nullable: false, min: 0, max: MAX_TOTAL }), assists: integer({ nullable: false, min: 0, max: MAX_TOTAL }), ...LOG_FIELDS },
+    requireOne: [['total', 'assists']]
+  },
+  add: {
+    params: playerParams,
+    body: { amount: integer({ nullable: false, min: 1, max: MAX_AMOUNT }), assists_to_add: integer({ nullable: false, min: 1, max: MAX_AMOUNT }), ...LOG_FIELDS },
+    requireOne: [['amount', 'assists_to_add']]
+  },
+  reduce: {
+    params: playerParams,
+    body: { amount: integer({ nullable: false, min: 1, max: MAX_AMOUNT }), assists_to_remove: integer({ nullable: false, min: 1, max: MAX_AMOUNT }), ...LOG_FIELDS },
+    requireOne: [['amount', 'assists_to_remove']]
+  }
+};
+
+// Get all players on the stat's leaderboard (sorted by total descending)
+router.get('/', async (req, res) => {
+  try {
+    const rows = await listPlayers(getDatabase(req), getStat(req));
+
     res.json({
       success: true,
       data: rows,
       count: rows.length
     });
-  });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-// Get single player by ID
-router.get('/:id', (req, res) => {
-  const { id } = req.params;
-  const db = getDatabase();
-  
-  db.get('SELECT * FROM players WHERE id = ?', [id], (err, row) => {
-    db.close(); // Always close the connection
-    
-    if (err) {
-      return res.status(500).json({ 
-        error: 'Database error', 
-        message: err.message 
+// Every player on the roster, whichever leaderboards they're on
+router.get('/roster', async (req, res) => {
+  try {
+    const rows = await listRoster(getDatabase(req));
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// The given fields of a row, for before/after values in the audit log
+function pick(row, fields) {
+  return Object.fromEntries(fields.map(field => [field, row[field]]));
+}
+
+// Tell live clients about a player's new details on every leaderboard they're on
+async function publishProfile(db, id, tenant) {
+  const rows = await db.all('SELECT stat FROM player_stats WHERE player_id = ?', [id]);
+  for (const { stat } of rows) {
+    publish('player', await getPlayer(db, id, stat), tenant);
+  }
+}
+
+// Add a player to the roster (admin only); a total puts them on this stat's leaderboard
+router.post('/', requireRole('admin'), validate(schemas.create), async (req, res) => {
+  const { name, team, color, headshot_url, status, total } = req.body;
+  const stat = getStat(req);
+
+  try {
+    const db = getDatabase(req);
+    const player = await db.transaction(async (tx) => {
+      if (await tx.get('SELECT id FROM players WHERE name = ? COLLATE NOCASE', [name.trim()])) {
+        throw new HttpError(409, 'Player exists', `A player named "${name.trim()}" already exists.`);
+      }
+
+      const { lastID } = await tx.run(
+        'INSERT INTO players (name, team, color, headshot_url, status) VALUES (?, ?, ?, ?, ?)',
+        [name.trim(), team.trim(), color || DEFAULT_COLOR, headshot_url || null, status || 'active']
+      );
+
+      // A starting (career) total is a baseline, not a change, so it isn't logged
+      if (total !== undefined && total !== null) {
+        await tx.run('INSERT INTO player_stats (player_id, stat, total) VALUES (?, ?, ?)', [lastID, stat, total]);
+      }
+
+      const created = await getRosterPlayer(tx, lastID);
+      await req.audit(tx, {
+        action: 'player.create',
+        entity_type: 'player',
+        entity_id: lastID,
+        player_id: lastID,
+        stat: total !== undefined && total !== null ? stat : null,
+        after: total !== undefined && total !== null ? { ...created, total } : created
       });
-    }
-    
+      return created;
+    });
+    await publishProfile(db, player.id, req.tenant.slug);
+
+    res.status(201).json({
+      success: true,
+      message: `${player.name} added to the roster`,
+      data: player
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Get the featured player (the one the tracker follows)
+router.get('/featured', async (req, res) => {
+  try {
+    const row = await getFeaturedPlayer(getDatabase(req), getStat(req));
     if (!row) {
-      return res.status(404).json({ 
-        error: 'Player not found',
-        message: `Player with ID ${id} does not exist.` 
-      });
+      throw notFound('Player not found', `The featured player is not set or not on the ${statNoun(req)} leaderboard`);
     }
-    
+
     res.json({
       success: true,
       data: row
     });
-  });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Set the featured player
+router.put('/featured', requireRole('admin'), validate(schemas.setFeatured), async (req, res) => {
+  const { player_id } = req.body;
+
+  try {
+    const player = await getDatabase(req).transaction(async (tx) => {
+      const existing = await playerExists(tx, player_id);
+      if (!existing) {
+        throw notFound('Player not found', `Player with ID ${player_id} does not exist.`);
+      }
+
+      const previous = await getSetting(tx, FEATURED_PLAYER_KEY);
+      await setSetting(tx, FEATURED_PLAYER_KEY, player_id);
+      await req.audit(tx, {
+        action: 'player.feature',
+        entity_type: 'setting',
+        player_id,
+        before: { featured_player_id: previous === null ? null : Number(previous) },
+        after: { featured_player_id: player_id }
+      });
+      return (await getPlayer(tx, player_id, getStat(req))) || { ...existing, is_featured: 1 };
+    });
+
+    publish('featured', { id: player.id, name: player.name }, req.tenant.slug);
+
+    res.json({
+      success: true,
+      message: `${player.name} is now the featured player`,
+      data: player
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-// Update player assists
-router.put('/:id/assists', (req, res) => {
+// Get single player by ID
+router.get('/:id', validate(schemas.player), async (req, res) => {
   const { id } = req.params;
-  const { assists, game_date, opponent, notes } = req.body;
-  const db = getDatabase();
-  
-  if (assists === undefined || assists === null) {
-    db.close();
-    return res.status(400).json({
-      error: 'Missing required field',
-      message: 'Assists field is required'
+
+  try {
+    const row = await getPlayer(getDatabase(req), id, getStat(req));
+    if (!row) {
+      throw notFound('Player not found', `Player with ID ${id} does not exist.`);
+    }
+
+    res.json({
+      success: true,
+      data: row
     });
+  } catch (err) {
+    sendError(res, err);
   }
-  
-  // Start a transaction
-  db.serialize(() => {
-    // Update player assists
-    db.run(
-      'UPDATE players SET assists = ? WHERE id = ?',
-      [assists, id],
-      function(err) {
-        if (err) {
-          db.close();
-          return res.status(500).json({ 
-            error: 'Database error', 
-            message: err.message 
-          });
-        }
-        
-        if (this.changes === 0) {
-          db.close();
-          return res.status(404).json({ 
-            error: 'Player not found',
-            message: `Player with ID ${id} does not exist.` 
-          });
-        }
-        
-        // If game info provided, log the assist update
-        if (game_date) {
-          const assistsAdded = assists - (req.body.previous_assists || 0);
-          
-          db.run(
-            `INSERT INTO assists (player_id, game_date, opponent, assists_added, notes) 
-             VALUES (?, ?, ?, ?, ?)`,
-            [id, game_date, opponent || null, assistsAdded, notes || null],
-            function(err) {
-              if (err) {
-                console.error('Error logging assist:', err);
-              }
-              
-              // Get updated player data
-              db.get('SELECT * FROM players WHERE id = ?', [id], (err, updatedPlayer) => {
-                db.close(); // Close connection after final operation
-                
-                if (err) {
-                  return res.status(500).json({ 
-                    error: 'Database error', 
-                    message: err.message 
-                  });
-                }
-                
-                res.json({
-                  success: true,
-                  message: 'Player assists updated successfully',
-                  data: updatedPlayer,
-                  assistLogId: this.lastID
-                });
-              });
-            }
-          );
-        } else {
-          // Just return updated player without logging assist
-          db.get('SELECT * FROM players WHERE id = ?', [id], (err, updatedPlayer) => {
-            db.close(); // Close connection after final operation
-            
-            if (err) {
-              return res.status(500).json({ 
-                error: 'Database error', 
-                message: err.message 
-              });
-            }
-            
-            res.json({
-              success: true,
-              message: 'Player assists updated successfully',
-              data: updatedPlayer
-            });
-          });
-        }
+});
+
+// Edit a player's name, team, color, headshot or status (admin only)
+router.patch('/:id', requireRole('admin'), validate(schemas.update), async (req, res) => {
+  const { id } = req.params;
+  const fields = PROFILE_FIELDS.filter(field => req.body[field] !== undefined);
+  const values = fields.map(field => (typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field]));
+
+  try {
+    const db = getDatabase(req);
+    const player = await db.transaction(async (tx) => {
+      const before = await getRosterPlayer(tx, id);
+      if (!before) {
+        throw notFound('Player not found', `Player with ID ${id} does not exist.`);
       }
-    );
-  });
+      if (req.body.name && await tx.get('SELECT id FROM players WHERE name = ? COLLATE NOCASE AND id != ?', [req.body.name.trim(), id])) {
+        throw new HttpError(409, 'Player exists', `A player named "${req.body.name.trim()}" already exists.`);
+      }
+
+      await tx.run(
+        `UPDATE players SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...values, id]
+      );
+
+      const after = await getRosterPlayer(tx, id);
+      await req.audit(tx, {
+        action: 'player.update',
+        entity_type: 'player',
+        entity_id: id,
+        player_id: id,
+        before: pick(before, fields),
+        after: pick(after, fields)
+      });
+      return after;
+    });
+    await publishProfile(db, id, req.tenant.slug);
+
+    res.json({
+      success: true,
+      message: `${player.name} updated`,
+      data: player
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-// Add assists to player (increment)
-router.post('/:id/add-assists', (req, res) => {
+// Remove a player (admin only). Players with logged changes need ?force=true, which deletes their
+// totals and log history too; the featured player can't be deleted
+router.delete('/:id', requireRole('admin'), validate(schemas.remove), async (req, res) => {
   const { id } = req.params;
-  const { assists_to_add, game_date, opponent, notes } = req.body;
-  const db = getDatabase();
-  
-  if (assists_to_add === undefined || assists_to_add === null || assists_to_add <= 0) {
-    db.close();
-    return res.status(400).json({
-      error: 'Invalid assists value',
-      message: 'assists_to_add must be a positive number'
+  const force = req.query.force === 'true';
+
+  try {
+    const player = await getDatabase(req).transaction(async (tx) => {
+      const existing = await getRosterPlayer(tx, id);
+      if (!existing) {
+        throw notFound('Player not found', `Player with ID ${id} does not exist.`);
+      }
+      if (existing.is_featured) {
+        throw new HttpError(409, 'Player is featured', `${existing.name} is the featured player. Feature someone else first.`);
+      }
+
+      const { count } = await tx.get('SELECT COUNT(*) as count FROM assists WHERE player_id = ?', [id]);
+      if (count > 0 && !force) {
+        throw new HttpError(
+          409,
+          'Player has logs',
+          `${existing.name} has ${count} log entries. Mark them retired instead, or pass force=true to delete the history too.`
+        );
+      }
+
+      // Keep the deleted totals in the audit log; the player's log rows and milestones go with them
+      // (other players' milestones keep the name of whoever they passed)
+      const totals = await tx.all('SELECT stat, total FROM player_stats WHERE player_id = ?', [id]);
+      await tx.run('DELETE FROM assists WHERE player_id = ?', [id]);
+      await tx.run('DELETE FROM rank_events WHERE player_id = ?', [id]);
+      await tx.run('DELETE FROM player_stats WHERE player_id = ?', [id]);
+      await tx.run('DELETE FROM players WHERE id = ?', [id]);
+      await req.audit(tx, {
+        action: 'player.delete',
+        entity_type: 'player',
+        entity_id: existing.id,
+        player_id: existing.id,
+        before: { ...existing, totals, log_count: count }
+      });
+      return existing;
+    });
+
+    publish('player_removed', { id: player.id, name: player.name }, req.tenant.slug);
+
+    res.json({
+      success: true,
+      message: `${player.name} removed from the roster`,
+      data: { deletedPlayerId: player.id }
     });
+  } catch (err) {
+    sendError(res, err);
   }
-  
-  db.serialize(() => {
-    // Get current assists
-    db.get('SELECT assists FROM players WHERE id = ?', [id], (err, row) => {
-      if (err) {
-        db.close();
-        return res.status(500).json({ 
-          error: 'Database error', 
-          message: err.message 
-        });
+});
+
+// Audit fields for a change to a player's total; `before` is null when they weren't on the leaderboard
+function statAudit(action, player, before, log) {
+  return {
+    action,
+    entity_type: 'player_stat',
+    entity_id: player.id,
+    player_id: player.id,
+    stat: player.stat,
+    log_id: log ? log.id : null,
+    before: { total: before },
+    after: { total: player.total }
+  };
+}
+
+// Tell live clients (/api/stream) about a committed change
+function publishChange({ player, log }, tenant) {
+  publish('player', player, tenant);
+  if (log) {
+    publish('assist', { action: 'created', log }, tenant);
+  }
+}
+
+// Set a player's total (joins the stat's leaderboard if they're not on it yet)
+router.put(['/:id/assists', '/:id/total'], requireRole('scorer'), validate(schemas.setTotal), async (req, res) => {
+  const { id } = req.params;
+  const { game_id, game_date, opponent, notes } = req.body;
+  const total = req.body.total ?? req.body.assists;
+  const stat = getStat(req);
+
+  try {
+    const result = await getDatabase(req).transaction(async (tx) => {
+      if (!await playerExists(tx, id)) {
+        throw notFound('Player not found', `Player with ID ${id} does not exist.`);
       }
-      
-      if (!row) {
-        db.close();
-        return res.status(404).json({ 
-          error: 'Player not found',
-          message: `Player with ID ${id} does not exist.` 
-        });
+
+      const current = await tx.get(
+        'SELECT total FROM player_stats WHERE player_id = ? AND stat = ?',
+        [id, stat]
+      );
+      await tx.run(
+        `INSERT INTO player_stats (player_id, stat, total) VALUES (?, ?, ?)
+         ON CONFLICT(player_id, stat) DO UPDATE SET total = excluded.total, updated_at = CURRENT_TIMESTAMP`,
+        [id, stat, total]
+      );
+
+      // Log the difference against the stored total so the history always adds up
+      const amount = total - (current ? current.total : 0);
+      const log = amount !== 0
+        ? await insertLog(tx, { player_id: id, stat, amount, game_id, game_date, opponent, notes, user_id: req.user.id })
+        : null;
+
+      const player = await getPlayer(tx, id, stat);
+      await req.audit(tx, statAudit('stat.set', player, current ? current.total : null, log));
+      return { player, log };
+    });
+    publishChange(result, req.tenant.slug);
+
+    res.json({
+      success: true,
+      message: `Player ${statNoun(req)} updated successfully`,
+      data: result.player,
+      assistLogId: result.log ? result.log.id : null
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Add to a player's total (increment)
+router.post(['/:id/add-assists', '/:id/add'], requireRole('scorer'), validate(schemas.add), async (req, res) => {
+  const { id } = req.params;
+  const { game_id, game_date, opponent, notes } = req.body;
+  const amount = req.body.amount ?? req.body.assists_to_add;
+  const stat = getStat(req);
+
+  try {
+    const result = await getDatabase(req).transaction(async (tx) => {
+      if (!await playerExists(tx, id)) {
+        throw notFound('Player not found', `Player with ID ${id} does not exist.`);
       }
-      
-      const newAssists = row.assists + assists_to_add;
-      
-      // Update player
-      db.run(
-        'UPDATE players SET assists = ? WHERE id = ?',
-        [newAssists, id],
-        function(err) {
-          if (err) {
-            db.close();
-            return res.status(500).json({ 
-              error: 'Database error', 
-              message: err.message 
-            });
-          }
-          
-          // Log the assist addition
-          db.run(
-            `INSERT INTO assists (player_id, game_date, opponent, assists_added, notes) 
-             VALUES (?, ?, ?, ?, ?)`,
-            [id, game_date || new Date().toISOString().split('T')[0], opponent || null, assists_to_add, notes || null],
-            function(err) {
-              if (err) {
-                console.error('Error logging assist:', err);
-              }
-              
-              // Get updated player
-              db.get('SELECT * FROM players WHERE id = ?', [id], (err, updatedPlayer) => {
-                db.close(); // Close connection after final operation
-                
-                if (err) {
-                  return res.status(500).json({ 
-                    error: 'Database error', 
-                    message: err.message 
-                  });
-                }
-                
-                res.json({
-                  success: true,
-                  message: `Successfully added ${assists_to_add} assists to ${updatedPlayer.name}`,
-                  data: updatedPlayer,
-                  assistLogId: this.lastID
-                });
-              });
-            }
-          );
-        }
+
+      // Increment in SQL so concurrent scorers can't overwrite each other
+      await tx.run(
+        `INSERT INTO player_stats (player_id, stat, total) VALUES (?, ?, ?)
+         ON CONFLICT(player_id, stat) DO UPDATE SET total = total + excluded.total, updated_at = CURRENT_TIMESTAMP`,
+        [id, stat, amount]
       );
+
+      const log = await insertLog(tx, { player_id: id, stat, amount, game_id, game_date, opponent, notes, user_id: req.user.id });
+      const player = await getPlayer(tx, id, stat);
+      await req.audit(tx, statAudit('stat.add', player, player.total - amount, log));
+      return { player, log };
     });
-  });
+    publishChange(result, req.tenant.slug);
+
+    res.json({
+      success: true,
+      message: `Successfully added ${amount} ${statNoun(req)} to ${result.player.name}`,
+      data: result.player,
+      assistLogId: result.log ? result.log.id : null
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
 });
 
-// Get Braden Smith specifically
-router.get('/braden/smith', (req, res) => {
-  const db = getDatabase();
-  
-  db.get('SELECT * FROM players WHERE is_braden = 1', [], (err, row) => {
-    db.close(); // Always close the connection
-    
-    if (err) {
-      return res.status(500).json({ 
-        error: 'Database error', 
-        message: err.message 
-      });
-    }
-    
-    if (!row) {
-      return res.status(404).json({ 
-        error: 'Player not found',
-        message: 'Braden Smith not found in database' 
-      });
-    }
-    
+// Remove from a player's total (decrement)
+router.post(['/:id/reduce-assists', '/:id/reduce'], requireRole('scorer'), validate(schemas.reduce), async (req, res) => {
+  const { id } = req.params;
+  const { game_id, game_date, opponent, notes } = req.body;
+  const amount = req.body.amount ?? req.body.assists_to_remove;
+  const stat = getStat(req);
+
+  try {
+    const result = await getDatabase(req).transaction(async (tx) => {
+      const current = await getPlayer(tx, id, stat);
+      if (!current) {
+        throw notFound('Player not found', `Player with ID ${id} is not on the ${statNoun(req)} leaderboard.`);
+      }
+
+      // Check if reduction would result in a negative total
+      if (current.total - amount < 0) {
+        throw badRequest(
+          'Invalid operation',
+          `Cannot remove ${amount} ${statNoun(req)}. Player only has ${current.total} ${statNoun(req)}.`
+        );
+      }
+
+      await tx.run(
+        `UPDATE player_stats SET total = total - ?, updated_at = CURRENT_TIMESTAMP
+         WHERE player_id = ? AND stat = ?`,
+        [amount, id, stat]
+      );
+
+      // Log the removal as a negative entry so undo can reverse it
+      const log = await insertLog(tx, { player_id: id, stat, amount: -amount, game_id, game_date, opponent, notes, user_id: req.user.id });
+      const player = await getPlayer(tx, id, stat);
+      await req.audit(tx, statAudit('stat.reduce', player, current.total, log));
+      return { player, log };
+    });
+    publishChange(result, req.tenant.slug);
+
     res.json({
       success: true,
-      data: row
+      message: `Successfully removed ${amount} ${statNoun(req)} from ${result.player.name}`,
+      data: result.player,
+      assistLogId: result.log ? result.log.id : null
     });
-  });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Deprecated alias for GET /featured, kept for older widget embeds
+router.get('/braden/smith', (req, res) => {
+  res.redirect(308, `${req.baseUrl}/featured`);
 });
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,60 @@
+// Player-Tracker-Backend/routes/projections.js
+const express = require('express');
+const router = express.Router();
+const { DEFAULT_STAT, playerExists } = require('../database/players');
+const { FEATURED_PLAYER_KEY, getSetting } = require('../database/settings');
+const { CONFIDENCE_LEVELS, DEFAULT_CONFIDENCE, projectPlayer } = require('../database/projections');
+const { notFound, badRequest, sendError } = require('../utils/errors');
+const { validate, integer, string, oneOf } = require('../middleware/validate');
+const { getDatabase } = require('../middleware/tenant');
+
+// Request schemas (see middleware/validate.js)
+const schemas = {
+  projection: {
+    query: {
+      player_id: integer({ min: 1 }),
+      stat: string({ maxLength: 50 }),
+      window: integer({ min: 2, max: 200 }),
+      confidence: oneOf(Object.keys(CONFIDENCE_LEVELS))
+    }
+  }
+};
+
+// ?stat= wins, then the tracker scope (/api/trackers/:stat/projections), then assists
+function getStat(req) {
+  return req.query.stat || req.stat || DEFAULT_STAT;
+}
+
+// When the player (default: featured) should pass everyone ahead of them, and the record
+router.get('/', validate(schemas.projection), async (req, res) => {
+  try {
+    const db = getDatabase(req);
+    const stat = getStat(req);
+
+    const playerId = req.query.player_id || await getSetting(db, FEATURED_PLAYER_KEY);
+    if (!playerId) {
+      throw badRequest('Missing player', 'Pass player_id or set a featured player');
+    }
+    const player = await playerExists(db, playerId);
+    if (!player) {
+      throw notFound('Player not found', `Player with ID ${playerId} does not exist.`);
+    }
+
+    const projection = await projectPlayer(db, player.id, stat, {
+      window: req.query.window || null,
+      confidence: Number(req.query.confidence || DEFAULT_CONFIDENCE)
+    });
+    if (!projection) {
+      throw notFound('Player not found', `${player.name} is not on the ${stat} leaderboard.`);
+    }
+
+    res.json({
+      success: true,
+      data: projection
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+// Player-Tracker-Backend/routes/stats.js
+const express = require('express');
+const router = express.Router();
+const { DEFAULT_STAT, playerExists } = require('../database/players');
+const {
+  SPLITS,
+  SEASON_PATTERN,
+  getPlayerGames,
+  playerSummary,
+  bestGames,
+  streaks,
+  splits,
+  getRankHistory,
+  getSeasonLeaders,
+  getBestGames
+} = require('../database/stats');
+const { RANK_EVENT_KINDS, listRankEvents } = require('../database/ranks');
+const { notFound, sendError } = require('../utils/errors');
+const { validate, integer, string, oneOf, MAX_AMOUNT } = require('../middleware/validate');
+const { getDatabase } = require('../middleware/tenant');
+
+const DEFAULT_LIMIT = 10;
+const DEFAULT_STREAK_MIN = 5;
+
+// Request schemas (see middleware/validate.js); every route takes ?stat= and ?season=
+const filters = {
+  stat: string({ maxLength: 50 }),
+  season: string({ pattern: SEASON_PATTERN, patternMessage: 'a season like 2025-26' })
+};
+const playerParams = { playerId: integer({ required: true, min: 1 }) };
+
+const schemas = {
+  leaderboard: { query: { ...filters, limit: integer({ min: 1, max: 100 }) } },
+  player: { params: playerParams, query: filters },
+  bestGames: { params: playerParams, query: { ...filters, limit: integer({ min: 1, max: 100 }) } },
+  streaks: { params: playerParams, query: { ...filters, min: integer({ min: 1, max: MAX_AMOUNT }) } },
+  splits: { params: playerParams, query: { ...filters, by: oneOf(SPLITS) } },
+  rankChanges: {
+    query: {
+      stat: filters.stat,
+      player_id: integer({ min: 1 }),
+      other_player_id: integer({ min: 1 }),
+      involving: integer({ min: 1 }),
+      kind: oneOf(RANK_EVENT_KINDS),
+      before_id: integer({ min: 1 }),
+      limit: integer({ min: 1, max: 500 })
+    }
+  }
+};
+
+// ?stat= wins, then the tracker scope (/api/trackers/:stat/stats), then assists
+function getStat(req) {
+  return req.query.stat || req.stat || DEFAULT_STAT;
+}
+
+// The :playerId player and their games on the stat's leaderboard (for ?season=, if given)
+async function loadPlayerGames(req) {
+  const db = getDatabase(req);
+  const stat = getStat(req);
+
+  const player = await playerExists(db, req.params.playerId);
+  if (!player) {
+    throw notFound('Player not found', `Player with ID ${req.params.playerId} does not exist.`);
+  }
+  const lines = await getPlayerGames(db, player.id, stat, { season: req.query.season || null });
+  if (!lines) {
+    throw notFound('Player not found', `${player.name} is not on the ${stat} leaderboard.`);
+  }
+  return { player, stat, lines };
+}
+
+// Answer a per-player route with `build(lines, req)` alongside the player, stat and season
+function playerRoute(build) {
+  return async (req, res) => {
+    try {
+      const { player, stat, lines } = await loadPlayerGames(req);
+
+      res.json({
+        success: true,
+        data: {
+          player: { id: player.id, name: player.name },
+          stat,
+          season: req.query.season || null,
+          ...build(lines, req)
+        }
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+}
+
+// Season totals and per-game averages for everyone on the leaderboard, newest season first
+router.get('/seasons', validate(schemas.leaderboard), async (req, res) => {
+  try {
+    const rows = await getSeasonLeaders(getDatabase(req), getStat(req), { season: req.query.season || null });
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// The best single games by anyone on the leaderboard
+router.get('/best-games', validate(schemas.leaderboard), async (req, res) => {
+  try {
+    const rows = await getBestGames(getDatabase(req), getStat(req), {
+      season: req.query.season || null,
+      limit: req.query.limit || DEFAULT_LIMIT
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Who passed whom and when, newest first; page with ?before_id=<next_before_id>
+router.get('/rank-changes', validate(schemas.rankChanges), async (req, res) => {
+  try {
+    const limit = req.query.limit || 50;
+    const rows = await listRankEvents(getDatabase(req), {
+      stat: getStat(req),
+      player_id: req.query.player_id,
+      other_player_id: req.query.other_player_id,
+      involving: req.query.involving,
+      kind: req.query.kind,
+      before_id: req.query.before_id,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length,
+      next_before_id: rows.length === limit ? rows[rows.length - 1].id : null
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// A player's games, total, average per game and best game, with the same for each season
+router.get('/players/:playerId', validate(schemas.player), playerRoute(lines => playerSummary(lines)));
+
+router.get('/players/:playerId/seasons', validate(schemas.player), playerRoute(lines => ({
+  seasons: playerSummary(lines).seasons
+})));
+
+// A player's best games, highest first
+router.get('/players/:playerId/best-games', validate(schemas.bestGames), playerRoute((lines, req) => ({
+  games: bestGames(lines, req.query.limit || DEFAULT_LIMIT)
+})));
+
+// Consecutive games with at least ?min= (default 5)
+router.get('/players/:playerId/streaks', validate(schemas.streaks), playerRoute((lines, req) => (
+  streaks(lines, req.query.min || DEFAULT_STREAK_MIN)
+)));
+
+// Totals and averages ?by=opponent (default), location or month
+router.get('/players/:playerId/splits', validate(schemas.splits), playerRoute((lines, req) => {
+  const by = req.query.by || 'opponent';
+  return { by, splits: splits(lines, by) };
+}));
+
+// The player's place on the leaderboard over time: each day it changed
+router.get('/players/:playerId/rank-history', validate(schemas.player), async (req, res) => {
+  try {
+    const db = getDatabase(req);
+    const stat = getStat(req);
+
+    const player = await playerExists(db, req.params.playerId);
+    if (!player) {
+      throw notFound('Player not found', `Player with ID ${req.params.playerId} does not exist.`);
+    }
+    const history = await getRankHistory(db, player.id, stat, { season: req.query.season || null });
+    if (!history) {
+      throw notFound('Player not found', `${player.name} is not on the ${stat} leaderboard.`);
+    }
+
+    res.json({
+      success: true,
+      data: { ...history, season: req.query.season || null },
+      count: history.points.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
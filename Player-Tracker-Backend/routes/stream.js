@@ -0,0 +1,65 @@
+// Player-Tracker-Backend/routes/stream.js
+const express = require('express');
+const router = express.Router();
+const { subscribe } = require('../utils/events');
+const { DEFAULT_STAT, listPlayers, getStatType } = require('../database/players');
+const { validate, string } = require('../middleware/validate');
+const { getDatabase } = require('../middleware/tenant');
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const CLIENT_RETRY_MS = 3000;
+
+function writeEvent(res, { id, type, data }) {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// Server-Sent Events stream of leaderboard changes.
+// Sends a `snapshot` of the ?stat= leaderboard (default assists) on connect, then `player`, `assist`,
+// `featured`, `player_removed`, `feed` (play-by-play assists detected or reviewed), `branding`
+// (new name or colors) and `restored` (a backup was restored: reload everything) events as they
+// happen, for this request's tracker only.
+// Player and assist events carry `stat` so clients can filter.
+router.get('/', validate({ query: { stat: string({ maxLength: 50 }) } }), async (req, res) => {
+  const stat = req.query.stat || DEFAULT_STAT;
+  let players;
+  try {
+    const db = getDatabase(req);
+    if (!await getStatType(db, stat)) {
+      return res.status(404).json({
+        error: 'Tracker not found',
+        message: `No tracker exists for stat "${stat}".`
+      });
+    }
+    players = await listPlayers(db, stat);
+  } catch (err) {
+    return res.status(500).json({
+      error: 'Database error',
+      message: err.message
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+  writeEvent(res, { type: 'snapshot', data: players });
+
+  const unsubscribe = subscribe(event => writeEvent(res, event), req.tenant.slug);
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+// Player-Tracker-Backend/routes/tenants.js
+const express = require('express');
+const router = express.Router();
+const { notFound, sendError } = require('../utils/errors');
+const { requireRole } = require('../middleware/auth');
+const { validate, string, HEX_COLOR } = require('../middleware/validate');
+const { getBranding } = require('../database/settings');
+const { TENANT_SLUG } = require('../database/tenants');
+const { getDatabase } = require('../middleware/tenant');
+
+// Request schemas (see middleware/validate.js)
+const schemas = {
+  create: {
+    body: {
+      slug: string({ required: true, maxLength: 40, pattern: TENANT_SLUG, patternMessage: 'lowercase letters, digits and dashes' }),
+      name: string({ maxLength: 100 }),
+      primary_color: string({ ...HEX_COLOR }),
+      secondary_color: string({ ...HEX_COLOR }),
+      admin_username: string({ required: true, maxLength: 50 }),
+      admin_password: string({ required: true, minLength: 8, maxLength: 200 })
+    }
+  }
+};
+
+// Every hosted tracker (see database/tenants.js)
+function getTenants(req) {
+  return req.app.locals.tenants;
+}
+
+// A tracker with its branding, as listed here
+async function describe(tenant) {
+  return { slug: tenant.slug, ...(await getBranding(tenant.storage.db)) };
+}
+
+// Hosted trackers are managed from the main tracker only
+router.use((req, res, next) => {
+  if (req.tenant.slug) {
+    return sendError(res, notFound('Not found', 'Hosted trackers are managed from the main tracker.'));
+  }
+  next();
+});
+
+// List the hosted trackers with their names and theme colors
+router.get('/', async (req, res) => {
+  try {
+    const rows = await Promise.all(getTenants(req).list().map(describe));
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Create a hosted tracker with its first admin (admin only)
+router.post('/', requireRole('admin'), validate(schemas.create), async (req, res) => {
+  const { slug, name, primary_color, secondary_color, admin_username, admin_password } = req.body;
+
+  try {
+    const tenant = await getTenants(req).create({
+      slug,
+      name,
+      primary_color,
+      secondary_color,
+      admin: { username: admin_username, password: admin_password }
+    });
+    const tracker = await describe(tenant);
+
+    // The tracker lives in its own database; the main tracker's log records who created it
+    await getDatabase(req).transaction(async (tx) => {
+      await req.audit(tx, {
+        action: 'tenant.create',
+        entity_type: 'tenant',
+        after: { ...tracker, admin_username }
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Tracker "${slug}" created at /api/t/${slug}`,
+      data: { ...tracker, admin_username }
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
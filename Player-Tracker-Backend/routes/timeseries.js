@@ -0,0 +1,68 @@
+// Player-Tracker-Backend/routes/timeseries.js
+const express = require('express');
+const router = express.Router();
+const { DEFAULT_STAT, playerExists } = require('../database/players');
+const { FEATURED_PLAYER_KEY, getSetting } = require('../database/settings');
+const { BUCKETS, getTimeSeries } = require('../database/timeseries');
+const { notFound, badRequest, sendError } = require('../utils/errors');
+const { validate, integer, string, date, oneOf } = require('../middleware/validate');
+const { getDatabase } = require('../middleware/tenant');
+
+const DEFAULT_LEADERS = 3;
+
+// Request schemas (see middleware/validate.js)
+const schemas = {
+  series: {
+    query: {
+      bucket: oneOf(BUCKETS),
+      player_id: integer({ min: 1 }),
+      stat: string({ maxLength: 50 }),
+      leaders: integer({ min: 0, max: 10 }),
+      from: date(),
+      to: date()
+    }
+  }
+};
+
+// ?stat= wins, then the tracker scope (/api/trackers/:stat/timeseries), then assists
+function getStat(req) {
+  return req.query.stat || req.stat || DEFAULT_STAT;
+}
+
+// Cumulative totals per day, week, month or game for a player (default: featured) and the top leaders
+router.get('/', validate(schemas.series), async (req, res) => {
+  try {
+    const db = getDatabase(req);
+    const stat = getStat(req);
+
+    const playerId = req.query.player_id || await getSetting(db, FEATURED_PLAYER_KEY);
+    if (!playerId) {
+      throw badRequest('Missing player', 'Pass player_id or set a featured player');
+    }
+    const player = await playerExists(db, playerId);
+    if (!player) {
+      throw notFound('Player not found', `Player with ID ${playerId} does not exist.`);
+    }
+
+    const series = await getTimeSeries(db, stat, {
+      bucket: req.query.bucket || 'game',
+      playerId: player.id,
+      leaders: req.query.leaders ?? DEFAULT_LEADERS,
+      from: req.query.from || null,
+      to: req.query.to || null
+    });
+    if (!series) {
+      throw notFound('Player not found', `${player.name} is not on the ${stat} leaderboard.`);
+    }
+
+    res.json({
+      success: true,
+      data: series,
+      count: series.buckets.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
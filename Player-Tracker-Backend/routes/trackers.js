@@ -0,0 +1,39 @@
+// Player-Tracker-Backend/routes/trackers.js
+const express = require('express');
+const router = express.Router();
+const playersRouter = require('./players');
+const assistsRouter = require('./assists');
+const gamesRouter = require('./games');
+const projectionsRouter = require('./projections');
+const timeseriesRouter = require('./timeseries');
+const statsRouter = require('./stats');
+const { listStatTypes } = require('../database/players');
+const { resolveStat } = require('../middleware/stat');
+const { sendError } = require('../utils/errors');
+const { getDatabase } = require('../middleware/tenant');
+
+// List the record chases this backend hosts (one per stat type)
+router.get('/', async (req, res) => {
+  try {
+    const rows = await listStatTypes(getDatabase(req));
+
+    res.json({
+      success: true,
+      data: rows,
+      count: rows.length
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// Same player and log routes as /api/players and /api/assists, scoped to one stat
+router.use('/:stat', resolveStat);
+router.use('/:stat/players', playersRouter);
+router.use('/:stat/logs', assistsRouter);
+router.use('/:stat/games', gamesRouter);
+router.use('/:stat/projections', projectionsRouter);
+router.use('/:stat/timeseries', timeseriesRouter);
+router.use('/:stat/stats', statsRouter);
+
+module.exports = router;
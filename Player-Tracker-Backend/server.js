@@ -1,190 +1,197 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const path = require('path');
-const cors = require('cors');
+const cors = require('./middleware/cors');
+const { openStorage } = require('./database/storage');
+const { getTenantConfig, openTenants } = require('./database/tenants');
+const { getBackupConfig, scheduleSnapshots } = require('./database/backups');
+const { getIdempotencyConfig } = require('./database/idempotency');
+const { getFeedConfig, watchFeedFile } = require('./database/feed');
+const { publish } = require('./utils/events');
+const playersRouter = require('./routes/players');
+const assistsRouter = require('./routes/assists');
+const streamRouter = require('./routes/stream');
+const trackersRouter = require('./routes/trackers');
+const gamesRouter = require('./routes/games');
+const authRouter = require('./routes/auth');
+const historyRouter = require('./routes/history');
+const exportRouter = require('./routes/export');
+const importRouter = require('./routes/import');
+const backupsRouter = require('./routes/backups');
+const auditRouter = require('./routes/audit');
+const projectionsRouter = require('./routes/projections');
+const timeseriesRouter = require('./routes/timeseries');
+const statsRouter = require('./routes/stats');
+const feedRouter = require('./routes/feed');
+const brandingRouter = require('./routes/branding');
+const tenantsRouter = require('./routes/tenants');
+const { fixedStat } = require('./middleware/stat');
+const { authenticate } = require('./middleware/auth');
+const { auditTrail } = require('./middleware/audit');
+const { idempotency } = require('./middleware/idempotency');
+const { mainTenant, resolveTenant } = require('./middleware/tenant');
+const handleErrors = require('./middleware/errors');
+const { notFound, sendError } = require('./utils/errors');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "loopback" or a hop count) so the audit log
+// records the client's address from X-Forwarded-For rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // Middleware
+// CORS first, so error responses from the body parsers below can be read by the browser too
+app.use(cors);
+// Imports can be far larger than other requests, and may be CSV text
+app.use(['/api/import', '/api/t/:tenant/import'], bodyParser.json({ limit: '5mb' }), bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
+// Play-by-play feeds too, as JSON, NDJSON or XML
+app.use(['/api/feed', '/api/t/:tenant/feed'], bodyParser.json({ limit: '5mb' }), bodyParser.text({
+  type: ['application/x-ndjson', 'application/xml', 'text/xml', 'text/plain'],
+  limit: '5mb'
+}));
 app.use(bodyParser.json());
-app.use(cors());
 
 // Serve static files from the public folder
 // app.use(express.static('../'));
 
-// Demo data - no database required
-let players = [
-  { id: 1, name: "Bobby Hurley", assists: 1076, team: "Duke", color: "#001A57", is_braden: 0 },
-  { id: 2, name: "Chris Corchiani", assists: 1038, team: "NC State", color: "#CC0000", is_braden: 0 },
-  { id: 3, name: "Ed Cota", assists: 1030, team: "North Carolina", color: "#7BAFD4", is_braden: 0 },
-  { id: 4, name: "Jason Brickman", assists: 1007, team: "Long Island University", color: "#002D62", is_braden: 0 },
-  { id: 5, name: "Keith Jennings", assists: 983, team: "East Tennessee State", color: "#003366", is_braden: 0 },
-  { id: 6, name: "Steve Blake", assists: 972, team: "Maryland", color: "#E03A3E", is_braden: 0 },
-  { id: 7, name: "Sherman Douglas", assists: 960, team: "Syracuse", color: "#F76900", is_braden: 0 },
-  { id: 8, name: "Tony Miller", assists: 956, team: "Marquette", color: "#003366", is_braden: 0 },
-  { id: 9, name: "Aaron Miles", assists: 954, team: "Kansas", color: "#0051BA", is_braden: 0 },
-  { id: 10, name: "Greg Anthony", assists: 950, team: "Nevada-Las Vegas", color: "#BA0C2F", is_braden: 0 },
-  { id: 11, name: "Braden Smith", assists: 758, team: "Purdue", color: "#CEB888", is_braden: 1 }
-];
-
-// Store assist history for undo functionality
-let assistHistory = [];
-
-// API Routes
-app.get('/api/players', (req, res) => {
-  const sortedPlayers = [...players].sort((a, b) => b.assists - a.assists);
-  res.json({
-    success: true,
-    data: sortedPlayers,
-    count: sortedPlayers.length
-  });
-});
+// The API, served for the main tracker at /api and for each hosted tracker at /api/t/:tenant
+const api = express.Router();
 
-app.post('/api/players/:id/add-assists', (req, res) => {
-  const { id } = req.params;
-  const { assists_to_add } = req.body;
-  
-  const player = players.find(p => p.id == id);
-  if (!player) {
-    return res.status(404).json({ 
-      error: 'Player not found',
-      message: `Player with ID ${id} does not exist.` 
-    });
-  }
-  
-  if (!assists_to_add || assists_to_add < 1) {
-    return res.status(400).json({
-      error: 'Invalid assists value',
-      message: 'assists_to_add must be a positive number'
-    });
-  }
-  
-  // Store previous state for undo
-  assistHistory.push({
-    playerId: player.id,
-    previousAssists: player.assists,
-    assistsAdded: assists_to_add,
-    timestamp: new Date().toISOString()
-  });
-  
-  // Update player assists
-  player.assists += assists_to_add;
-  
-  res.json({
-    success: true,
-    message: `Successfully added ${assists_to_add} assists to ${player.name}`,
-    data: player,
-    assistLogId: assistHistory.length // Simple ID based on array length
-  });
-});
+// Identify the caller from their bearer token / API key; write routes check the role (see middleware/auth.js)
+api.use(authenticate);
+// Write routes record each change with its actor and request (see middleware/audit.js)
+api.use(auditTrail);
+// Write requests with an Idempotency-Key are applied once; repeats get the original response
+api.use(idempotency);
 
-// Reduce player assists (IN-MEMORY VERSION)
-app.post('/api/players/:id/reduce-assists', (req, res) => {
-  const { id } = req.params;
-  const { assists_to_remove } = req.body;
-  
-  const player = players.find(p => p.id == id);
-  if (!player) {
-    return res.status(404).json({ 
-      error: 'Player not found',
-      message: `Player with ID ${id} does not exist.` 
-    });
-  }
-  
-  if (!assists_to_remove || assists_to_remove < 1) {
-    return res.status(400).json({
-      error: 'Invalid assists value',
-      message: 'assists_to_remove must be a positive number'
-    });
-  }
-  
-  // Check if reduction would result in negative assists
-  if (player.assists - assists_to_remove < 0) {
-    return res.status(400).json({
-      error: 'Invalid operation',
-      message: `Cannot remove ${assists_to_remove} assists. Player only has ${player.assists} assists.`
-    });
-  }
-  
-  // Store previous state for undo
-  assistHistory.push({
-    playerId: player.id,
-    previousAssists: player.assists,
-    assistsAdded: -assists_to_remove, // Negative for reduction
-    timestamp: new Date().toISOString()
-  });
-  
-  // Update player assists
-  player.assists -= assists_to_remove;
-  
-  res.json({
-    success: true,
-    message: `Successfully removed ${assists_to_remove} assists from ${player.name}`,
-    data: player,
-    assistLogId: assistHistory.length // Simple ID based on array length
-  });
-});
+// API Routes (served from the tracker's storage)
+// /players and /assists are the assists tracker; /trackers/:stat/... serves every stat
+api.use('/auth', authRouter);
+api.use('/players', fixedStat('assists', 'Assists'), playersRouter);
+api.use('/assists', fixedStat('assists', 'Assists'), assistsRouter);
+api.use('/trackers', trackersRouter);
+api.use('/games', gamesRouter);
+api.use('/history', historyRouter);
+api.use('/projections', projectionsRouter);
+api.use('/timeseries', timeseriesRouter);
+api.use('/stats', statsRouter);
+api.use('/feed', feedRouter);
+api.use('/export', exportRouter);
+api.use('/import', importRouter);
+api.use('/backups', backupsRouter);
+api.use('/audit', auditRouter);
+api.use('/stream', streamRouter);
+api.use('/branding', brandingRouter);
+api.use('/tenants', tenantsRouter);
 
-app.delete('/api/assists/:id', (req, res) => {
-  const { id } = req.params;
-  const logIndex = parseInt(id) - 1;
-  
-  if (logIndex < 0 || logIndex >= assistHistory.length) {
-    return res.status(404).json({ 
-      error: 'Assist log not found',
-      message: `Assist log with ID ${id} does not exist.` 
-    });
-  }
-  
-  const log = assistHistory[logIndex];
-  const player = players.find(p => p.id == log.playerId);
-  
-  if (player) {
-    // Subtract the previously added assists (works for both positive and negative)
-    player.assists -= log.assistsAdded;
-  }
-  
-  // Remove from history
-  assistHistory.splice(logIndex, 1);
-  
-  res.json({
-    success: true,
-    message: `Successfully undone ${Math.abs(log.assistsAdded)} assists`,
-    data: {
-      deletedLogId: id,
-      assistsSubtracted: log.assistsAdded,
-      playerId: log.playerId
-    }
-  });
-});
-
-app.get('/api/assists/recent', (req, res) => {
-  const recent = assistHistory.length > 0 ? assistHistory[assistHistory.length - 1] : null;
-  res.json({
-    success: true,
-    data: recent
-  });
-});
-
-app.get('/api/health', (req, res) => {
+api.get('/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     message: 'Basketball Assist Tracker API is running',
+    storage: req.tenant.storage.backend,
+    tracker: req.tenant.slug,
     timestamp: new Date().toISOString()
   });
 });
 
+// Hosted trackers first, so /api/t/... isn't read as a main tracker route (see database/tenants.js)
+app.use('/api/t/:tenant', resolveTenant, api);
+app.use('/api', mainTenant, api);
+
+// Unknown API routes get a JSON 404 rather than Express's HTML page
+app.use('/api', (req, res) => {
+  sendError(res, notFound('Not found', `No API route for ${req.method} ${req.originalUrl.split('?')[0]}`));
+});
+
 // Serve the main page
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Basketball Assist Tracker running on http://localhost:${PORT}`);
-  console.log(`📊 API: http://localhost:${PORT}/api/players`);
-  console.log(`🌐 Frontend: http://localhost:${PORT}`);
-  console.log(`❤️  Health: http://localhost:${PORT}/api/health`);
-  console.log(`➕ Add Assists: POST http://localhost:${PORT}/api/players/11/add-assists`);
-  console.log(`➖ Reduce Assists: POST http://localhost:${PORT}/api/players/11/reduce-assists`);
-});
\ No newline at end of file
+// Malformed bodies and anything a route didn't catch, in the API's JSON error shape
+app.use(handleErrors);
+
+openStorage()
+  .then(async (storage) => {
+    app.locals.idempotency = getIdempotencyConfig();
+
+    // Scheduled snapshots for the database file (the memory demo only snapshots on demand)
+    const backupConfig = getBackupConfig();
+    if (storage.backend === 'memory') backupConfig.intervalHours = 0;
+    const schedule = scheduleSnapshots(storage.db, backupConfig, {
+      onSnapshot: ({ snapshot }) => console.log(`💾 Scheduled snapshot ${snapshot.name}`),
+      onError: (err) => console.error('❌ Scheduled snapshot failed:', err.message)
+    });
+
+    // Hosted trackers, each with its own database and snapshots
+    const tenants = await openTenants({ slug: null, storage, backups: { config: backupConfig, schedule } }, {
+      config: getTenantConfig(),
+      backupConfig,
+      onSnapshot: (slug, { snapshot }) => console.log(`💾 Scheduled snapshot ${snapshot.name} (${slug})`),
+      onError: (slug, err) => console.error(`❌ Scheduled snapshot failed (${slug}):`, err.message)
+    });
+    app.locals.tenants = tenants;
+
+    // Tail a play-by-play feed file, if one is configured; detected assists wait for review
+    const feedConfig = getFeedConfig();
+    const feedWatch = feedConfig.watchFile
+      ? watchFeedFile(storage.db, feedConfig.watchFile, {
+        intervalMs: feedConfig.intervalMs,
+        onIngest: (report) => {
+          if (report.detected.length === 0) return;
+          console.log(`📥 Feed: ${report.detected.length} new assist(s) waiting for review`);
+          publish('feed', { action: 'detected', count: report.detected.length });
+        },
+        onError: (err) => console.error('❌ Reading the feed failed:', err.message)
+      })
+      : null;
+
+    if (storage.bootstrapAdmin) {
+      console.log(`👤 Created admin user "${storage.bootstrapAdmin}"${storage.backend === 'memory' && !process.env.ADMIN_PASSWORD ? ' (password "admin", demo only)' : ''}`);
+    }
+
+    const server = app.listen(PORT, () => {
+      console.log(`🚀 Basketball Assist Tracker running on http://localhost:${PORT}`);
+      console.log(`💾 Storage: ${storage.backend}${storage.backend === 'sqlite' ? ` (${storage.filename})` : ' (demo data, not persisted)'}`);
+      console.log(`📊 API: http://localhost:${PORT}/api/players`);
+      console.log(`🌐 Frontend: http://localhost:${PORT}`);
+      console.log(`🏀 Trackers: http://localhost:${PORT}/api/trackers`);
+      console.log(`🏢 Hosted trackers: ${tenants.list().length} at http://localhost:${PORT}/api/t/:tracker${storage.backend === 'sqlite' ? ` (${getTenantConfig().dir})` : ''}`);
+      console.log(`📡 Live updates: http://localhost:${PORT}/api/stream`);
+      console.log(`🔐 Login: POST http://localhost:${PORT}/api/auth/login`);
+      console.log(`🔮 Projections: http://localhost:${PORT}/api/projections`);
+      console.log(`📈 Time series: http://localhost:${PORT}/api/timeseries?bucket=game`);
+      console.log(`🧮 Stats: http://localhost:${PORT}/api/stats/seasons`);
+      console.log(`📥 Feed: POST http://localhost:${PORT}/api/feed${feedWatch ? ` (watching ${feedConfig.watchFile})` : ''}`);
+      console.log(`📦 Export: http://localhost:${PORT}/api/export?format=json`);
+      console.log(`📜 Audit log: http://localhost:${PORT}/api/audit`);
+      console.log(`🗄️  Backups: ${backupConfig.dir}${schedule.nextAt() ? ` (next snapshot ${schedule.nextAt()})` : ''}`);
+      console.log(`❤️  Health: http://localhost:${PORT}/api/health`);
+      console.log(`➕ Add Assists: POST http://localhost:${PORT}/api/players/:id/add-assists`);
+      console.log(`➖ Reduce Assists: POST http://localhost:${PORT}/api/players/:id/reduce-assists`);
+    });
+
+    // Close the shared connection on shutdown so the WAL is checkpointed
+    const shutdown = () => {
+      schedule.stop();
+      if (feedWatch) feedWatch.stop();
+      server.close(() => {
+        tenants.close()
+          .then(() => storage.close())
+          .catch((err) => console.error('Error closing database:', err))
+          .finally(() => process.exit(0));
+      });
+      // Live update streams never end on their own
+      server.closeAllConnections();
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  })
+  .catch((err) => {
+    console.error('❌ Failed to start:', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,91 @@
+// Player-Tracker-Backend/utils/csv.js
+// Minimal RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks.
+
+function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of objects to CSV text with a header line; columns fix the order
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Split CSV text into records (arrays of strings). Throws on an unterminated quote.
+function parseRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  // Ignore a byte order mark left by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  // Blank lines (e.g. trailing ones) aren't rows
+  return records.filter(r => r.length > 1 || r[0] !== '');
+}
+
+// CSV text with a header line to objects keyed by column name; empty cells become null
+function parseCsv(text) {
+  const [header, ...records] = parseRecords(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+  return records.map((record, index) => {
+    if (record.length > columns.length) {
+      throw new Error(`Line ${index + 2} has ${record.length} fields but the header has ${columns.length}`);
+    }
+    const row = {};
+    columns.forEach((column, i) => {
+      const value = record[i];
+      row[column] = value === undefined || value === '' ? null : value;
+    });
+    return row;
+  });
+}
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
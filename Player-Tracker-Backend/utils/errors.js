@@ -0,0 +1,65 @@
+// Player-Tracker-Backend/utils/errors.js
+
+// Error carrying the HTTP status and the { error, message } body the API responds with
+class HttpError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// 400 listing every field that failed validation (see middleware/validate.js)
+class ValidationError extends HttpError {
+  constructor(fields) {
+    super(400, 'Validation failed', fields.map(f => f.message).join('; '));
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+function notFound(error, message) {
+  return new HttpError(404, error, message);
+}
+
+function badRequest(error, message) {
+  return new HttpError(400, error, message);
+}
+
+function unauthorized(error, message) {
+  return new HttpError(401, error, message);
+}
+
+function forbidden(error, message) {
+  return new HttpError(403, error, message);
+}
+
+// Send an error in the API's JSON shape; anything unexpected is reported as a database error
+function sendError(res, err) {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({
+      success: false,
+      error: err.error,
+      message: err.message,
+      ...(err.fields ? { fields: err.fields } : {})
+    });
+  }
+
+  console.error('Request failed:', err);
+  return res.status(500).json({
+    success: false,
+    error: 'Database error',
+    message: err.message
+  });
+}
+
+module.exports = {
+  HttpError,
+  ValidationError,
+  notFound,
+  badRequest,
+  unauthorized,
+  forbidden,
+  sendError
+};
@@ -0,0 +1,28 @@
+// Player-Tracker-Backend/utils/events.js
+const { EventEmitter } = require('events');
+
+// In-process hub for leaderboard changes; /api/stream forwards these to connected clients.
+// Every change belongs to one tracker: null for the main one, else a hosted tracker's slug
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let nextEventId = 1;
+
+// Publish a change (e.g. 'player' with the updated row, 'assist' with { action, log }) to a tracker's clients
+function publish(type, data, tenant = null) {
+  emitter.emit('change', { id: nextEventId++, type, data, tenant });
+}
+
+// Subscribe to one tracker's changes. Returns a function that removes the listener.
+function subscribe(listener, tenant = null) {
+  const forward = (event) => {
+    if (event.tenant === tenant) listener(event);
+  };
+  emitter.on('change', forward);
+  return () => emitter.off('change', forward);
+}
+
+module.exports = {
+  publish,
+  subscribe
+};
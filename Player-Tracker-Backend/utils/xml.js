@@ -0,0 +1,65 @@
+// Player-Tracker-Backend/utils/xml.js
+// Minimal XML reading for flat feeds (see database/feed.js): elements with attributes and plain
+// text content. Comments, the XML declaration and elements not asked for are skipped.
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decode(match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+// Every <name ...> or <name .../> element with one of the given names, in document order:
+// [{ name, attributes, text }]. An element wrapping others of those names has no text, and the
+// ones inside it follow it. Throws when an element isn't closed.
+function readElements(text, names) {
+  const source = text.replace(/<!--[\s\S]*?-->/g, '');
+  const elements = [];
+  const pattern = new RegExp(`<(${names.join('|')})(\\s[^>]*?)?(/?)>`, 'g');
+  const opening = new RegExp(`<(${names.join('|')})[\\s/>]`);
+  let match;
+
+  while ((match = pattern.exec(source)) !== null) {
+    const [, name, attributeSource = '', selfClosing] = match;
+    let content = '';
+
+    if (!selfClosing) {
+      const end = source.indexOf(`</${name}>`, pattern.lastIndex);
+      if (end === -1) throw new Error(`<${name}> is never closed`);
+      content = source.slice(pattern.lastIndex, end);
+
+      if (opening.test(content)) {
+        content = '';
+      } else {
+        pattern.lastIndex = end + name.length + 3;
+      }
+    }
+
+    const cdata = /^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/.exec(content);
+    elements.push({
+      name,
+      attributes: parseAttributes(attributeSource),
+      text: cdata ? cdata[1] : decode(content).trim()
+    });
+  }
+  return elements;
+}
+
+module.exports = {
+  readElements
+};
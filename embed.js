@@ -0,0 +1,67 @@
+// Assist Tracker embed loader: add the tracker to any page with one script tag.
+//
+//   <script src="https://<tracker site>/embed.js" data-stat="assists" data-layout="compact"
+//           data-sections="timeline,leaderboard" data-theme="dark" data-height="auto" async></script>
+//
+// Options (all optional):
+//   data-stat      stat to track (default assists)
+//   data-layout    full (default) or compact
+//   data-sections  comma-separated: timeline (the court), leaderboard, chart (default all three)
+//   data-theme     light or dark (default: the visitor's choice)
+//   data-readonly  "0" shows the scorer controls and login; embeds are read-only by default
+//   data-api       API base URL, when the tracker isn't using the default one
+//   data-tracker   hosted tracker to show (its slug, as in /api/t/<slug>); default the main tracker
+//   data-width     any CSS width (default 100%)
+//   data-height    pixels, or auto (default) to grow and shrink with the tracker's content
+//   data-target    CSS selector of the element to put the tracker in (default: right after the script)
+// The snippet generator on the tracker page (#embed) writes this tag for you.
+(function() {
+  const WIDGET_OPTIONS = ['stat', 'layout', 'sections', 'theme', 'readonly', 'api', 'tracker'];
+  const DEFAULT_HEIGHT = 600;
+  const frames = [];
+
+  function cssSize(value, fallback) {
+    if (!value) return fallback;
+    return /^\d+$/.test(value) ? `${value}px` : value;
+  }
+
+  function mount(script) {
+    const src = new URL(script.src, window.location.href);
+    const query = new URLSearchParams([['embed', '1']]);
+    WIDGET_OPTIONS.forEach(name => {
+      if (script.dataset[name] !== undefined) query.set(name, script.dataset[name]);
+    });
+
+    const autoHeight = !script.dataset.height || script.dataset.height === 'auto';
+    const iframe = document.createElement('iframe');
+    iframe.src = `${new URL('./', src).href}?${query}`;
+    iframe.title = script.dataset.title || 'Stat tracker';
+    iframe.loading = 'lazy';
+    iframe.style.border = '0';
+    iframe.style.display = 'block';
+    iframe.style.maxWidth = '100%';
+    iframe.style.width = cssSize(script.dataset.width, '100%');
+    iframe.style.height = autoHeight ? `${DEFAULT_HEIGHT}px` : cssSize(script.dataset.height);
+
+    const target = script.dataset.target ? document.querySelector(script.dataset.target) : null;
+    if (target) {
+      target.appendChild(iframe);
+    } else {
+      script.parentNode.insertBefore(iframe, script.nextSibling);
+    }
+    frames.push({ iframe, origin: src.origin, autoHeight });
+  }
+
+  // The tracker reports its height (see reportEmbedSize in script.js)
+  window.addEventListener('message', function(e) {
+    if (!e.data || e.data.type !== 'assist-tracker:resize') return;
+    const frame = frames.find(f => f.iframe.contentWindow === e.source && f.origin === e.origin);
+    if (frame && frame.autoHeight && Number.isFinite(e.data.height)) {
+      frame.iframe.style.height = `${Math.max(0, Math.round(e.data.height))}px`;
+    }
+  });
+
+  // Each tag runs this file once, so several trackers can share a page
+  const script = document.currentScript;
+  if (script) mount(script);
+})();
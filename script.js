@@ -1,40 +1,110 @@
+// Hosted tracker (?tracker=<slug>): its API is under /api/t/<slug>, and its session, outbox and
+// branding are kept apart from other trackers opened in the same browser
+const TRACKER_SLUG = (function() {
+  const slug = new URLSearchParams(window.location.search).get('tracker');
+  return slug && /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/.test(slug) ? slug : null;
+})();
+
+// localStorage key for this tracker's copy of a value (the main tracker keeps the plain key)
+function trackerStorageKey(key) {
+  return TRACKER_SLUG ? `${key}:${TRACKER_SLUG}` : key;
+}
+
 // API base (supports ?api= override)
 const BASE_API_URL = (function() {
   const params = new URLSearchParams(window.location.search);
   const override = params.get('api');
+  let base;
   
   // For Vercel deployment, use demo mode if no API override
   if (override) {
-    return override;
+    base = override;
   } else if (window.location.hostname.includes('vercel.app')) {
     // In Vercel deployment, use demo data
     console.log('Running in demo mode on Vercel');
     return null; // This will trigger demo data
+  } else {
+    // Local development - point to your backend server
+    base = 'http://localhost:3001/api'; // Updated to full backend URL
   }
-  
-  // Local development - point to your backend server
-  return 'http://localhost:3001/api'; // Updated to full backend URL
+
+  return TRACKER_SLUG ? `${base.replace(/\/+$/, '')}/t/${TRACKER_SLUG}` : base;
 })();
 
-// Embed mode
+// localStorage key for the signed-in session. A token is only kept (and sent) for the API that
+// issued it: with ?api= (or an embed's data-api) the key names that API, so a link pointing the
+// page at another server never reads the session of the default one
+function sessionStorageKey(key) {
+  const scoped = trackerStorageKey(key);
+  return new URLSearchParams(window.location.search).get('api') ? `${scoped}@${BASE_API_URL}` : scoped;
+}
+
+// Embed mode (?embed=1, set by embed.js); sections, layout and read-only are applied by CSS classes from index.html
 const EMBED_MODE = (function() {
   const params = new URLSearchParams(window.location.search);
   return params.get('embed') === '1';
 })();
 
-// In-memory state
+// Embed options the snippet generator offers (embed.js turns data-* attributes into these query parameters)
+const EMBED_SECTIONS = ['timeline', 'leaderboard', 'chart'];
+const EMBED_DEFAULT_HEIGHT = 600;
+
+// Tracked stat (supports ?stat= override, e.g. ?stat=points)
+let currentStat = new URLSearchParams(window.location.search).get('stat') || 'assists';
+let statTypes = [{ key: 'assists', label: 'Assists' }];
+
+// In-memory state: the leaderboard as the server last confirmed it, and as shown (plus changes still in the outbox)
+let confirmedPlayers = [];
 let players = [];
-let lastAssistLogId = null; // for server-side undo
+let featuredPlayerId = null; // remembered across stats whose leaderboard the featured player isn't on yet
 let lastLocalChange = null; // for client-side undo in demo mode
+
+// Server-side undo/redo history for the signed-in scorer (/api/history)
+let historyEntries = [];
+let nextUndoId = null;
+let nextRedoId = null;
+const HISTORY_LIMIT = 5;
 let isMutating = false; // pause operations during mutations
 let hasShownError = false;
 let isLoading = true;
-let errorCount = 0;
-const MAX_ERROR_COUNT = 3;
 
 // Track current state for change detection
 let lastKnownState = null;
 
+// Tracker name and theme colors (/api/branding); the defaults are the stylesheet's own
+const DEFAULT_BRANDING = { name: 'Assist Tracker', primary_color: '#CEB888', secondary_color: '#000000' };
+let branding = { ...DEFAULT_BRANDING };
+
+// Signed-in account (token from POST /api/auth/login); changes need a scorer or admin
+let authToken = localStorage.getItem(sessionStorageKey('authToken'));
+let currentUser = null;
+const ROLES = ['viewer', 'scorer', 'admin'];
+
+// Record-chase projection for the hero card (/api/projections), refreshed shortly after totals change
+let projectionTimer = null;
+let projectionRequest = 0;
+const PROJECTION_DELAY_MS = 500;
+
+// Live updates (Server-Sent Events from /api/stream)
+let liveSource = null;
+let liveRetryTimer = null;
+let liveRetryDelay = 1000;
+const LIVE_RETRY_MIN_MS = 1000;
+const LIVE_RETRY_MAX_MS = 30000;
+
+// Offline support: changes wait in an outbox (IndexedDB) and are sent in order, each with its own
+// Idempotency-Key, so nothing is lost when the connection drops; the last leaderboard seen per stat
+// is kept for when the API can't be reached. sw.js keeps the page itself available offline.
+const OFFLINE_DB_NAME = TRACKER_SLUG ? `assist-tracker-${TRACKER_SLUG}` : 'assist-tracker';
+const OFFLINE_DB_VERSION = 1;
+const OUTBOX_RETRY_MS = 15000;
+let offlineDb = null; // promise of the IndexedDB database (null inside when IndexedDB isn't available)
+let outbox = []; // queued changes, oldest first
+let isOffline = false;
+let isFlushing = false;
+let sendingKey = null; // the change being sent right now, which can no longer be cancelled
+let outboxRetryTimer = null;
+
 // Debug info
 console.log('🔄 Script loaded on:', window.location.hostname);
 console.log('🔗 BASE_API_URL:', BASE_API_URL);
@@ -58,14 +128,78 @@ async function bootstrapUI() {
   
   // Initialize theme first
   initializeTheme();
+  loadBranding();
   
   // Initial load
+  await loadSession();
+  await loadStatTypes();
+  await loadOutbox();
   await refreshPlayers();
+  loadGames();
+  flushOutbox();
 
   document.getElementById('addAssists').addEventListener('click', addAssists);
   document.getElementById('reduceAssists').addEventListener('click', reduceAssists);
   document.getElementById('undoButton').addEventListener('click', undoLastUpdate);
   document.getElementById('undoButton').disabled = true;
+  document.getElementById('redoButton')?.addEventListener('click', redoLastUpdate);
+  document.getElementById('historyList')?.addEventListener('click', function(e) {
+    const button = e.target.closest('[data-undo-id]');
+    if (button) undoEntry(parseInt(button.dataset.undoId));
+  });
+  loadHistory();
+  loadRoster();
+  loadFeedEvents();
+  document.getElementById('statSelect')?.addEventListener('change', function(e) {
+    switchStat(e.target.value);
+  });
+  document.getElementById('trendBucket')?.addEventListener('change', function(e) {
+    trendBucket = e.target.value;
+    scheduleTrendRefresh();
+  });
+  document.getElementById('statsSplit')?.addEventListener('change', function(e) {
+    statsSplit = e.target.value;
+    scheduleStatsRefresh();
+  });
+  document.getElementById('featuredSelect')?.addEventListener('change', function(e) {
+    setFeaturedPlayer(parseInt(e.target.value));
+  });
+  document.getElementById('loginForm')?.addEventListener('submit', function(e) {
+    e.preventDefault();
+    logIn();
+  });
+  document.getElementById('logoutButton')?.addEventListener('click', logOut);
+  document.getElementById('rosterForm')?.addEventListener('submit', function(e) {
+    e.preventDefault();
+    saveRosterPlayer();
+  });
+  document.getElementById('rosterCancel')?.addEventListener('click', resetRosterForm);
+  document.getElementById('brandingForm')?.addEventListener('submit', function(e) {
+    e.preventDefault();
+    saveBranding();
+  });
+  document.getElementById('brandingReset')?.addEventListener('click', () => saveBranding(true));
+  document.getElementById('exportCsv')?.addEventListener('click', () => downloadExport('csv'));
+  document.getElementById('exportJson')?.addEventListener('click', () => downloadExport('json'));
+  document.getElementById('importPreview')?.addEventListener('click', () => runImport(true));
+  document.getElementById('importApply')?.addEventListener('click', () => runImport(false));
+  ['importFile', 'transferDataset'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', resetImportPreview);
+  });
+  document.getElementById('feedUpload')?.addEventListener('click', uploadFeed);
+  document.getElementById('feedApproveAll')?.addEventListener('click', approveAllFeedEvents);
+  document.getElementById('feedList')?.addEventListener('click', function(e) {
+    const approveButton = e.target.closest('[data-feed-approve]');
+    const rejectButton = e.target.closest('[data-feed-reject]');
+    if (approveButton) reviewFeedEvent(parseInt(approveButton.dataset.feedApprove), 'approve');
+    if (rejectButton) reviewFeedEvent(parseInt(rejectButton.dataset.feedReject), 'reject');
+  });
+  document.getElementById('rosterList')?.addEventListener('click', function(e) {
+    const editButton = e.target.closest('[data-edit-id]');
+    const deleteButton = e.target.closest('[data-delete-id]');
+    if (editButton) editRosterPlayer(parseInt(editButton.dataset.editId));
+    if (deleteButton) deleteRosterPlayer(parseInt(deleteButton.dataset.deleteId));
+  });
   document.getElementById('assistInput').addEventListener('keypress', function(e) {
     if (e.key === 'Enter') {
       addAssists();
@@ -80,18 +214,36 @@ async function bootstrapUI() {
     });
   }
 
-  console.log('✅ Auto-refresh disabled. Leaderboard updates only on assist changes.');
+  // Push updates from other scorers and viewers instead of polling
+  connectLiveUpdates();
+
+  // Offline support: the page stays available without a connection and queued changes go out when it returns
+  registerServiceWorker();
+  window.addEventListener('online', () => {
+    forceRefreshPlayers();
+    flushOutbox();
+  });
+  window.addEventListener('offline', () => setOffline(true));
 
    // Initialize chart when canvas is present
    initTrendChart();
 
-   // NOTE: embed copy button handler removed (embed CTA & button were deleted from index.html)
+  if (EMBED_MODE) {
+    reportEmbedSize();
+  } else {
+    initEmbedGenerator();
+  }
 }
 
 // Enhanced theme initialization
 function initializeTheme() {
-    const savedTheme = localStorage.getItem('theme') || 'light';
-    setTheme(savedTheme);
+    // An embed's theme option wins over (and doesn't overwrite) the visitor's saved choice
+    const embedTheme = EMBED_MODE ? new URLSearchParams(window.location.search).get('theme') : null;
+    if (embedTheme === 'light' || embedTheme === 'dark') {
+      setTheme(embedTheme, { persist: false });
+    } else {
+      setTheme(localStorage.getItem('theme') || 'light');
+    }
     
     // Force a re-render to ensure dark mode styles apply
     setTimeout(() => {
@@ -113,7 +265,7 @@ async function refreshPlayers() {
       return;
     }
     
-    const res = await fetch(`${BASE_API_URL}/players`);
+    const res = await fetch(`${trackerUrl()}/players`);
     
     if (!res.ok) {
       throw new Error(`HTTP ${res.status}: ${res.statusText}`);
@@ -122,30 +274,17 @@ async function refreshPlayers() {
     const json = await res.json();
     if (!json.success) throw new Error('Failed to load players');
 
+    setOffline(false);
+    saveLeaderboard(currentStat, json.data);
+
     // Create state fingerprint for change detection
-    const currentState = json.data.map(p => `${p.id}-${p.assists}`).join('|');
+    const currentState = json.data.map(p => `${p.id}-${p.total}`).join('|');
     
     // Only update if state actually changed
     if (lastKnownState !== currentState) {
       lastKnownState = currentState;
-      
-      // Normalize and decorate colors for non-Braden players deterministically
-      players = json.data
-        .map(p => ({
-          id: p.id,
-          name: p.name,
-          team: p.team,
-          assists: p.assists,
-          isBraden: !!p.is_braden,
-          color: stringToColor(p.team || p.name)
-        }))
-        .sort((a, b) => b.assists - a.assists);
-
-      renderPlayerMarkers();
-      renderLeaderboard();
-      updateProgressBar();
-      setError(null);
-      errorCount = 0; // Reset error count on success
+      confirmedPlayers = json.data.map(normalizePlayer);
+      showPlayers();
       
       console.log('🔄 Leaderboard updated (state changed)');
     } else {
@@ -153,24 +292,163 @@ async function refreshPlayers() {
     }
   } catch (e) {
     console.error('Refresh failed:', e);
-    errorCount++;
-    
-    if (errorCount >= MAX_ERROR_COUNT) {
-      setError('Unable to connect to server. Using demo data.');
-      loadDemoData();
-    } else {
-      setError(`Connection issue (${errorCount}/${MAX_ERROR_COUNT}). Retrying on next action...`);
-    }
-    
-    // Use demo data if API fails
-    if (players.length === 0) {
-      loadDemoData();
+    setOffline(true);
+
+    // Keep what's on screen; after a reload (or a stat switch) fall back to the last leaderboard seen
+    if (confirmedPlayers.length === 0) {
+      await loadSavedLeaderboard(currentStat);
     }
   } finally {
     showLoading(false);
   }
 }
 
+// Render `players`: the confirmed leaderboard with queued changes applied on top
+function showPlayers() {
+  players = withPendingChanges(confirmedPlayers).sort((a, b) => b.total - a.total);
+  renderPlayerMarkers();
+  renderLeaderboard();
+  updateProgressBar();
+}
+
+// Normalize an API player row (the roster color wins; older rows fall back to a deterministic color)
+function normalizePlayer(p) {
+  return {
+    id: p.id,
+    name: p.name,
+    team: p.team,
+    total: p.total,
+    isFeatured: !!p.is_featured,
+    color: p.color || stringToColor(p.team || p.name),
+    headshotUrl: p.headshot_url || null,
+    status: p.status || 'active'
+  };
+}
+
+// Player names and teams are admin-entered; escape them before building markup
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+// API base for the current stat's tracker (/trackers/:stat/players, /trackers/:stat/logs)
+function trackerUrl() {
+  return `${BASE_API_URL}/trackers/${encodeURIComponent(currentStat)}`;
+}
+
+// Lowercase unit for the current stat, e.g. "assists" or "3-pointers made"
+function statUnit() {
+  const stat = statTypes.find(t => t.key === currentStat);
+  return (stat ? stat.label : currentStat).toLowerCase();
+}
+
+// Fetch the available trackers and build the stat picker (demo mode only has assists)
+async function loadStatTypes() {
+  if (BASE_API_URL && !window.location.hostname.includes('vercel.app')) {
+    try {
+      const res = await fetch(`${BASE_API_URL}/trackers`);
+      const json = await res.json();
+      if (json.success && json.data.length > 0) {
+        statTypes = json.data;
+      }
+    } catch (e) {
+      console.error('Loading trackers failed:', e);
+    }
+  }
+
+  if (!statTypes.some(t => t.key === currentStat)) {
+    currentStat = statTypes[0].key;
+  }
+  renderStatSelect();
+}
+
+function renderStatSelect() {
+  const select = document.getElementById('statSelect');
+  const title = document.getElementById('leaderboardTitle');
+  const stat = statTypes.find(t => t.key === currentStat);
+
+  if (title && stat) {
+    title.textContent = `All-Time ${stat.label} Leaders`;
+  }
+  if (!select) return;
+
+  select.innerHTML = '';
+  statTypes.forEach(type => {
+    const option = document.createElement('option');
+    option.value = type.key;
+    option.textContent = type.label;
+    option.selected = type.key === currentStat;
+    select.appendChild(option);
+  });
+  select.classList.toggle('d-none', statTypes.length < 2);
+}
+
+// Switch the leaderboard, markers, progress bar and live stream to another stat's record chase
+async function switchStat(stat) {
+  if (stat === currentStat) return;
+
+  currentStat = stat;
+  // Server history spans every stat; only the demo-mode local undo is per leaderboard
+  lastLocalChange = null;
+  updateHistoryButtons();
+
+  const params = new URLSearchParams(window.location.search);
+  params.set('stat', stat);
+  window.history.replaceState(null, '', `${window.location.pathname}?${params}`);
+
+  renderStatSelect();
+  renderEmbedSnippets();
+  confirmedPlayers = [];
+  players = [];
+  await forceRefreshPlayers();
+  connectLiveUpdates();
+}
+
+// Fill the game picker so new entries are recorded against a game (API mode only)
+async function loadGames() {
+  const row = document.getElementById('gameRow');
+  const select = document.getElementById('gameSelect');
+  if (!row || !select || !BASE_API_URL || window.location.hostname.includes('vercel.app')) return;
+
+  try {
+    const res = await fetch(`${BASE_API_URL}/games`);
+    const json = await res.json();
+    if (!json.success) throw new Error('Failed to load games');
+
+    const selected = select.value;
+    select.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+    json.data.forEach(game => {
+      const option = document.createElement('option');
+      option.value = game.id;
+      option.textContent = `${game.game_date} vs. ${game.opponent}`;
+      select.appendChild(option);
+    });
+    select.value = selected;
+    row.classList.toggle('d-none', json.data.length === 0);
+  } catch (e) {
+    console.error('Loading games failed:', e);
+  }
+}
+
+// game_id when a game is picked, otherwise today's date
+function gameFields() {
+  const select = document.getElementById('gameSelect');
+  const gameId = select ? parseInt(select.value) : NaN;
+  return isNaN(gameId)
+    ? { game_date: new Date().toISOString().split('T')[0] }
+    : { game_id: gameId };
+}
+
+// The player the tracker is following (configured server-side via PUT /players/featured)
+function getFeaturedPlayer() {
+  return players.find(p => p.isFeatured);
+}
+
+function playerInitials(name) {
+  return name.split(' ').filter(Boolean).map(n => n[0]).join('').toUpperCase();
+}
+
 // Force refresh regardless of state changes (for manual updates)
 async function forceRefreshPlayers() {
   lastKnownState = null; // Reset state to force update
@@ -180,24 +458,22 @@ async function forceRefreshPlayers() {
 // Load demo data when API is unavailable
 function loadDemoData() {
   console.log('📊 Loading demo data...');
-  players = [
-    { id: 1, name: "Bobby Hurley", assists: 1076, team: "Duke", color: "#001A57", isBraden: false },
-    { id: 2, name: "Chris Corchiani", assists: 1038, team: "NC State", color: "#CC0000", isBraden: false },
-    { id: 3, name: "Ed Cota", assists: 1030, team: "North Carolina", color: "#7BAFD4", isBraden: false },
-    { id: 4, name: "Jason Brickman", assists: 1007, team: "Long Island University", color: "#002D62", isBraden: false },
-    { id: 5, name: "Keith Jennings", assists: 983, team: "East Tennessee State", color: "#003366", isBraden: false },
-    { id: 6, name: "Steve Blake", assists: 972, team: "Maryland", color: "#E03A3E", isBraden: false },
-    { id: 7, name: "Sherman Douglas", assists: 960, team: "Syracuse", color: "#F76900", isBraden: false },
-    { id: 8, name: "Tony Miller", assists: 956, team: "Marquette", color: "#003366", isBraden: false },
-    { id: 9, name: "Aaron Miles", assists: 954, team: "Kansas", color: "#0051BA", isBraden: false },
-    { id: 10, name: "Greg Anthony", assists: 950, team: "Nevada-Las Vegas", color: "#BA0C2F", isBraden: false },
-    { id: 11, name: "Braden Smith", assists: 758, team: "Purdue", color: "#CEB888", isBraden: true }
-  ].sort((a, b) => b.assists - a.assists);
-
-  console.log('✅ Demo data loaded, player count:', players.length);
-  renderPlayerMarkers();
-  renderLeaderboard();
-  updateProgressBar();
+  confirmedPlayers = [
+    { id: 1, name: "Bobby Hurley", total: 1076, team: "Duke", color: "#001A57", isFeatured: false },
+    { id: 2, name: "Chris Corchiani", total: 1038, team: "NC State", color: "#CC0000", isFeatured: false },
+    { id: 3, name: "Ed Cota", total: 1030, team: "North Carolina", color: "#7BAFD4", isFeatured: false },
+    { id: 4, name: "Jason Brickman", total: 1007, team: "Long Island University", color: "#002D62", isFeatured: false },
+    { id: 5, name: "Keith Jennings", total: 983, team: "East Tennessee State", color: "#003366", isFeatured: false },
+    { id: 6, name: "Steve Blake", total: 972, team: "Maryland", color: "#E03A3E", isFeatured: false },
+    { id: 7, name: "Sherman Douglas", total: 960, team: "Syracuse", color: "#F76900", isFeatured: false },
+    { id: 8, name: "Tony Miller", total: 956, team: "Marquette", color: "#003366", isFeatured: false },
+    { id: 9, name: "Aaron Miles", total: 954, team: "Kansas", color: "#0051BA", isFeatured: false },
+    { id: 10, name: "Greg Anthony", total: 950, team: "Nevada-Las Vegas", color: "#BA0C2F", isFeatured: false },
+    { id: 11, name: "Braden Smith", total: 758, team: "Purdue", color: "#CEB888", isFeatured: true }
+  ];
+
+  console.log('✅ Demo data loaded, player count:', confirmedPlayers.length);
+  showPlayers();
 }
 
 // Deterministic pastel color from string
@@ -210,15 +486,15 @@ function stringToColor(str) {
   return `hsl(${hue}, 65%, 40%)`;
 }
 
-function setTheme(mode) {
+function setTheme(mode, { persist = true } = {}) {
   if (mode === 'dark') {
     document.documentElement.classList.add('theme-dark');
-    localStorage.setItem('theme', 'dark');
+    if (persist) localStorage.setItem('theme', 'dark');
     const btn = document.getElementById('themeToggle');
     if (btn) btn.textContent = '☀️';
   } else {
     document.documentElement.classList.remove('theme-dark');
-    localStorage.setItem('theme', 'light');
+    if (persist) localStorage.setItem('theme', 'light');
     const btn = document.getElementById('themeToggle');
     if (btn) btn.textContent = '🌙';
   }
@@ -243,14 +519,14 @@ function setError(message) {
   }
 }
 
-// Enhanced error display
+// Enhanced error display; messages are plain text (server messages and names included), so they are escaped
 function showError(message) {
   const banner = document.getElementById('errorBanner');
   if (!banner) return;
   
   banner.innerHTML = `
     <div class="d-flex align-items-center justify-content-between">
-      <span>❌ ${message}</span>
+      <span>❌ ${escapeHtml(message)}</span>
       <button type="button" class="btn-close btn-close-sm" onclick="setError(null)"></button>
     </div>
   `;
@@ -279,27 +555,26 @@ function renderPlayerMarkers() {
   const existingMarkers = document.querySelectorAll('.player-marker');
   existingMarkers.forEach(marker => marker.remove());
   
-  // Find Braden Smith
-  const braden = players.find(player => player.isBraden);
-  if (!braden) {
-    console.error('Braden Smith not found in players');
+  const featured = getFeaturedPlayer();
+  if (!featured) {
+    console.error('Featured player not found in players');
     return;
   }
   
-  const maxAssists = players[0].assists;
-  const minAssists = braden.assists;
+  const maxAssists = players[0].total;
+  const minAssists = featured.total;
   const assistRange = Math.max(maxAssists - minAssists, 1); // Avoid division by zero
   
   players.forEach((player, index) => {
     // Calculate position on timeline
-    const playerPosition = ((player.assists - minAssists) / assistRange) * timelineWidth;
+    const playerPosition = ((player.total - minAssists) / assistRange) * timelineWidth;
     
     const marker = document.createElement('div');
-    marker.className = `player-marker ${player.isBraden ? 'braden' : 'other'}`;
+    marker.className = `player-marker ${player.isFeatured ? 'featured' : 'other'}`;
     marker.style.left = `${timelineLeft + playerPosition}px`;
-    marker.style.backgroundColor = player.isBraden ? '' : player.color;
-    marker.textContent = player.isBraden ? 'BS' : player.name.split(' ').map(n => n[0]).join('');
-    marker.title = `${player.name}: ${player.assists} assists`;
+    marker.style.backgroundColor = player.isFeatured ? '' : player.color;
+    marker.textContent = playerInitials(player.name);
+    marker.title = `${player.name}: ${player.total} ${statUnit()}`;
     
     // Stagger animation
     marker.style.animationDelay = `${index * 0.1}s`;
@@ -335,7 +610,7 @@ function renderLeaderboard() {
   players.forEach((player, index) => {
     const rank = index + 1;
     const card = document.createElement('div');
-    card.className = `player-card ${player.isBraden ? 'active' : ''}`;
+    card.className = `player-card ${player.isFeatured ? 'active' : ''}`;
     card.dataset.playerId = player.id;
     card.style.setProperty('--index', index);
     
@@ -343,20 +618,21 @@ function renderLeaderboard() {
     let badgeClass = 'bg-secondary';
     if (rank === 1) badgeClass = 'bg-warning text-dark';
     else if (rank <= 3) badgeClass = 'bg-success';
-    else if (player.isBraden) badgeClass = 'bg-warning text-dark';
+    else if (player.isFeatured) badgeClass = 'bg-warning text-dark';
     
     card.innerHTML = `
       <div class="d-flex justify-content-between align-items-center">
         <div class="d-flex align-items-center">
           <span class="badge ${badgeClass} me-3 rank-badge">${rank}</span>
           <div class="flex-grow-1">
-            <h6 class="mb-1 fw-bold player-name">${player.name}</h6>
-            <small class="text-muted d-block player-team">${player.team}</small>
+            <h6 class="mb-1 fw-bold player-name">${escapeHtml(player.name)}</h6>
+            <small class="text-muted d-block player-team">${escapeHtml(player.team)}${player.status === 'retired' ? ' · Retired' : ''}</small>
           </div>
         </div>
         <div class="text-end">
-          <strong class="h5 mb-0 player-assists">${player.assists.toLocaleString()}</strong>
-          <div class="text-muted small">assists</div>
+          <strong class="h5 mb-0 player-assists">${player.total.toLocaleString()}</strong>
+          <div class="text-muted small">${statUnit()}</div>
+          ${player.pending ? `<div class="pending-total small" title="Not confirmed by the server yet">${player.pending > 0 ? '+' : ''}${player.pending} pending</div>` : ''}
         </div>
       </div>
     `;
@@ -367,208 +643,746 @@ function renderLeaderboard() {
     
     leaderboard.appendChild(card);
   });
+
+  renderFeaturedSelect();
 }
 
 // Enhanced updateProgressBar with smooth counting
 function updateProgressBar() {
-  const braden = players.find(player => player.isBraden);
-  if (!braden) {
-    console.error('Braden Smith not found for progress bar');
+  const featured = getFeaturedPlayer();
+  if (!featured) {
+    // The featured player may simply have no total for this stat yet
+    const counter = document.getElementById('featuredAssists');
+    const smallText = document.querySelector('#featuredCard small');
+    if (counter) counter.textContent = '0';
+    if (smallText) {
+      smallText.textContent = `No ${statUnit()} recorded yet`;
+      smallText.className = 'text-muted';
+    }
+    ['progressBar', 'featuredProgress'].forEach(id => {
+      const bar = document.getElementById(id);
+      if (bar) bar.style.width = '0%';
+    });
+    renderProjection(null);
+    scheduleTrendRefresh();
+    scheduleStatsRefresh();
     return;
   }
+
+  featuredPlayerId = featured.id;
+  renderFeaturedCard(featured);
   
-  const recordAssists = players[0].assists;
-  const progressPercentage = Math.min((braden.assists / recordAssists) * 100, 100);
+  const recordAssists = players[0].total;
+  const progressPercentage = Math.min((featured.total / recordAssists) * 100, 100);
   
   const progressBar = document.getElementById('progressBar');
-  const bradenProgress = document.getElementById('bradenProgress');
-  const bradenAssists = document.getElementById('bradenAssists');
+  const featuredProgress = document.getElementById('featuredProgress');
+  const featuredAssists = document.getElementById('featuredAssists');
   
   // Smooth progress bar animation
   if (progressBar) {
     progressBar.style.width = `${progressPercentage}%`;
   }
-  if (bradenProgress) {
-    bradenProgress.style.width = `${progressPercentage}%`;
+  if (featuredProgress) {
+    featuredProgress.style.width = `${progressPercentage}%`;
   }
   
   // Animated counter
-  if (bradenAssists) {
-    animateValue(bradenAssists, parseInt(bradenAssists.textContent.replace(/,/g, '')) || 0, braden.assists, 800);
+  if (featuredAssists) {
+    animateValue(featuredAssists, parseInt(featuredAssists.textContent.replace(/,/g, '')) || 0, featured.total, 800);
   }
   
   // Update "needs X assists" text
-  const neededAssists = recordAssists - braden.assists;
-  const smallText = document.querySelector('#bradenCard small');
+  const neededAssists = recordAssists - featured.total;
+  const smallText = document.querySelector('#featuredCard small');
   if (smallText) {
-    smallText.textContent = `Needs ${neededAssists} assists to break record`;
+    smallText.textContent = `Needs ${neededAssists} ${statUnit()} to break record`;
     smallText.className = neededAssists <= 100 ? 'text-success fw-bold' : 'text-muted';
   }
+
+  scheduleProjectionRefresh();
+  scheduleTrendRefresh();
+  scheduleStatsRefresh();
 }
 
-// Trend chart (simple rolling cumulative illustration)
-let trendChart;
-function initTrendChart() {
-  const canvas = document.getElementById('assistTrendChart');
-  if (!canvas || typeof Chart === 'undefined') return;
+// Totals can change several times a second during a game; fetch one projection once they settle
+function scheduleProjectionRefresh() {
+  clearTimeout(projectionTimer);
+  if (isDemoMode()) {
+    renderProjection(null);
+    return;
+  }
+  // Keep the last projection while the API can't be reached
+  if (isOffline) return;
+  projectionTimer = setTimeout(loadProjection, PROJECTION_DELAY_MS);
+}
 
-  // Generate mock monthly labels and values based on current Braden assists
-  const braden = players.find(p => p.isBraden) || { assists: 758 };
-  const months = ['Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr'];
-  const step = Math.max(Math.floor(braden.assists / months.length) - 40, 80);
-  const values = months.map((_, i) => Math.max(0, Math.min(braden.assists, (i + 1) * step)));
-
-  const data = {
-    labels: months,
-    datasets: [{
-      label: 'Cumulative Assists',
-      data: values,
-      borderColor: '#CEB888',
-      backgroundColor: 'rgba(206,184,136,0.15)',
-      fill: true,
-      tension: 0.35,
-      pointRadius: 3
-    }]
-  };
+async function loadProjection() {
+  const request = ++projectionRequest;
+  try {
+    const res = await fetch(`${trackerUrl()}/projections`);
+    const json = await res.json();
+    // A newer request (or a stat switch) supersedes this one
+    if (request !== projectionRequest) return;
+    renderProjection(json.success ? json.data : null);
+  } catch (e) {
+    console.warn('Could not load projection:', e);
+    if (request === projectionRequest) renderProjection(null);
+  }
+}
 
-  const options = {
-    responsive: true,
-    maintainAspectRatio: false,
-    plugins: { legend: { display: false } },
-    scales: {
-      x: { grid: { display: false } },
-      y: { grid: { color: 'rgba(0,0,0,0.06)' } }
-    }
-  };
+// e.g. "Mar 9, 2026" for a YYYY-MM-DD date
+function formatGameDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+    month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC'
+  });
+}
 
-  trendChart = new Chart(canvas.getContext('2d'), { type: 'line', data, options });
+// "in ~21 games (Mar 9, 2026; 16–28 games)" for a projection target
+function describeTarget(target) {
+  const { games, date } = target;
+  if (games.estimate === null) return '(not projected at the current pace)';
+
+  const when = date.estimate ? `, ${formatGameDate(date.estimate)}` : '';
+  const range = games.low !== null && games.high !== null && games.low !== games.high
+    ? `; <span class="projection-range">${games.low}–${games.high} games</span>`
+    : games.low !== null && games.high === null ? `; <span class="projection-range">${games.low}+ games</span>` : '';
+  return `in ~${games.estimate} game${games.estimate === 1 ? '' : 's'}${when}${range}`;
 }
 
-// Animate numeric values
-function animateValue(element, start, end, duration) {
-  const startTime = performance.now();
-  const difference = end - start;
-  
-  // If no change needed, return early
-  if (difference === 0) return;
-  
-  function updateValue(currentTime) {
-    const elapsed = currentTime - startTime;
-    const progress = Math.min(elapsed / duration, 1);
-    
-    // Easing function
-    const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-    const value = Math.floor(start + (difference * easeOutQuart));
-    
-    element.textContent = value.toLocaleString();
-    
-    if (progress < 1) {
-      requestAnimationFrame(updateValue);
+// Pace, next player to pass and the record, under the "needs X" line
+function renderProjection(projection) {
+  const summary = document.getElementById('projectionSummary');
+  if (!summary) return;
+
+  if (!projection) {
+    summary.classList.add('d-none');
+    summary.innerHTML = '';
+    return;
+  }
+
+  const { basis, targets, record, holds_record: holdsRecord } = projection;
+  const lines = [];
+  if (basis.average === null) {
+    lines.push('Not enough game history to project yet');
+  } else {
+    lines.push(`Averaging ${basis.average.toFixed(1)} ${statUnit()} per game over ${basis.games} game${basis.games === 1 ? '' : 's'}`);
+    if (holdsRecord) {
+      lines.push('Holds the record');
     } else {
-      element.textContent = end.toLocaleString();
+      const next = targets[0];
+      if (next !== record) {
+        lines.push(`Passes ${escapeHtml(next.player.name)} ${describeTarget(next)}`);
+      }
+      lines.push(`Breaks the record ${describeTarget(record)}`);
     }
   }
-  
-  requestAnimationFrame(updateValue);
+
+  summary.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+  summary.title = basis.average_range
+    ? `${basis.confidence}% range: ${basis.average_range.low}–${basis.average_range.high} per game`
+    : '';
+  summary.classList.remove('d-none');
 }
 
-// Highlight a specific player
-function highlightPlayer(playerId) {
-  // Remove active class from all cards
-  document.querySelectorAll('.player-card').forEach(card => {
-    card.classList.remove('active');
-  });
-  
-  // Add active class to selected player
-  const playerCard = document.querySelector(`.player-card[data-player-id="${playerId}"]`);
-  if (playerCard) {
-    playerCard.classList.add('active');
-    
-    // Scroll into view if needed
-    playerCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+// Fill the hero card with the featured player's name and team
+function renderFeaturedCard(featured) {
+  const card = document.getElementById('featuredCard');
+  if (!card) return;
+
+  const name = card.querySelector('h5');
+  const team = card.querySelector('p');
+  const image = card.querySelector('img');
+  if (name) name.textContent = featured.name;
+  if (team) team.textContent = featured.team;
+  if (image) {
+    // Keep the placeholder from the markup for players without a headshot
+    image.dataset.placeholder = image.dataset.placeholder || image.getAttribute('src');
+    image.src = featured.headshotUrl || image.dataset.placeholder;
+    image.alt = featured.name;
   }
+  renderPageTitle(featured);
 }
 
-// Animate assist addition
-function animateAssistAddition(assistsAdded) {
-  const counter = document.getElementById('bradenAssists');
-  const card = document.getElementById('bradenCard');
-  
-  // Pulse animation
-  if (card) {
-    card.classList.add('assist-added');
-    setTimeout(() => {
-      card.classList.remove('assist-added');
-    }, 600);
+// "<featured> Assist Tracker", or "<featured> · <name>" for a renamed tracker
+function renderPageTitle(featured = getFeaturedPlayer()) {
+  if (!featured) {
+    document.title = branding.name;
+  } else if (branding.name === DEFAULT_BRANDING.name) {
+    document.title = `${featured.name} ${branding.name}`;
+  } else {
+    document.title = `${featured.name} · ${branding.name}`;
   }
-  
-  // Show success message
-  showSuccessMessage(`+${assistsAdded} assists added!`);
 }
 
-// Animate assist removal
-function animateAssistRemoval(assistsRemoved) {
-  const counter = document.getElementById('bradenAssists');
-  const card = document.getElementById('bradenCard');
-  
-  // Shake animation
-  if (card) {
-    card.classList.add('assist-removed');
-    setTimeout(() => {
-      card.classList.remove('assist-removed');
-    }, 600);
-  }
-  
-  // Show danger message
-  showDangerMessage(`-${assistsRemoved} assists removed!`);
+// Populate the featured player picker from the current roster
+function renderFeaturedSelect() {
+  const select = document.getElementById('featuredSelect');
+  if (!select) return;
+
+  const featured = getFeaturedPlayer();
+  select.innerHTML = '';
+  [...players]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(player => {
+      const option = document.createElement('option');
+      option.value = player.id;
+      option.textContent = player.name;
+      option.selected = !!featured && featured.id === player.id;
+      select.appendChild(option);
+    });
 }
 
-// Show success message
-function showSuccessMessage(message) {
-  const existingBanner = document.querySelector('.success-banner');
-  if (existingBanner) {
-    existingBanner.remove();
-  }
-  
-  const banner = document.createElement('div');
-  banner.className = 'success-banner';
-  banner.innerHTML = `
-    <div class="d-flex align-items-center justify-content-between">
-      <span>✅ ${message}</span>
-      <button type="button" class="btn-close btn-close-sm" onclick="this.parentElement.parentElement.remove()"></button>
-    </div>
-  `;
-  
-  const errorBanner = document.getElementById('errorBanner');
-  if (errorBanner) {
-    errorBanner.parentNode.insertBefore(banner, errorBanner.nextSibling);
+// Switch the featured player (server-side when connected, locally in demo mode)
+async function setFeaturedPlayer(playerId) {
+  if (isDemoMode()) {
+    applyFeaturedPlayer(playerId);
+    return;
   }
-  
-  setTimeout(() => {
-    if (banner.parentNode) {
-      banner.style.opacity = '0';
-      banner.style.transform = 'translateY(-10px)';
-      setTimeout(() => {
-        if (banner.parentNode) {
-          banner.remove();
-        }
-      }, 300);
+
+  try {
+    isMutating = true;
+    showLoading(true);
+
+    const res = await authFetch(`${BASE_API_URL}/players/featured`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ player_id: playerId })
+    });
+
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.message || `HTTP ${res.status}`);
     }
-  }, 3000);
-}
 
-// Show danger message
-function showDangerMessage(message) {
-  const existingBanner = document.querySelector('.danger-banner');
-  if (existingBanner) {
-    existingBanner.remove();
+    const json = await res.json();
+    if (!json.success) throw new Error(json.message || 'Failed to change featured player');
+
+    applyFeaturedPlayer(json.data.id);
+    showSuccessMessage(`Now tracking ${json.data.name}`);
+  } catch (e) {
+    console.error('Change featured player failed:', e);
+    showError(e.message || 'Failed to change featured player. Please try again.');
+    renderFeaturedSelect();
+  } finally {
+    isMutating = false;
+    showLoading(false);
   }
-  
-  const banner = document.createElement('div');
+}
+
+function applyFeaturedPlayer(playerId) {
+  featuredPlayerId = playerId;
+  confirmedPlayers.forEach(p => {
+    p.isFeatured = p.id === playerId;
+  });
+  showPlayers();
+}
+
+// Inside an embed: tell the loader (embed.js) our height so the iframe fits without scrollbars
+function reportEmbedSize() {
+  if (window.parent === window) return;
+
+  let lastHeight = 0;
+  const report = () => {
+    const height = Math.ceil(document.documentElement.scrollHeight);
+    if (height === lastHeight) return;
+    lastHeight = height;
+    window.parent.postMessage({ type: 'assist-tracker:resize', height }, '*');
+  };
+
+  if (typeof ResizeObserver !== 'undefined') {
+    new ResizeObserver(report).observe(document.body);
+  } else {
+    window.addEventListener('resize', report);
+  }
+  report();
+}
+
+// The embed options currently picked in the generator
+function readEmbedForm() {
+  const sections = [...document.querySelectorAll('input[name="embedSection"]:checked')].map(input => input.value);
+  return {
+    layout: document.getElementById('embedLayout').value,
+    theme: document.getElementById('embedTheme').value,
+    sections,
+    readonly: document.getElementById('embedReadonly').checked,
+    width: document.getElementById('embedWidth').value.trim() || '100%',
+    height: document.getElementById('embedHeight').value.trim() || 'auto'
+  };
+}
+
+// Options that differ from the widget's defaults, as [name, value] pairs
+function embedParams(options) {
+  const params = [['stat', currentStat]];
+  if (TRACKER_SLUG) params.push(['tracker', TRACKER_SLUG]);
+  if (options.layout !== 'full') params.push(['layout', options.layout]);
+  if (options.sections.length < EMBED_SECTIONS.length) params.push(['sections', options.sections.join(',')]);
+  if (options.theme) params.push(['theme', options.theme]);
+  if (!options.readonly) params.push(['readonly', '0']);
+  // Only pass the API along when this page was pointed at a non-default one
+  const api = new URLSearchParams(window.location.search).get('api');
+  if (api) params.push(['api', api]);
+  return params;
+}
+
+// Where the widget is served from: this page without its query string
+function widgetBaseUrl() {
+  return new URL('./', window.location.href).href;
+}
+
+function widgetUrl(options) {
+  const query = new URLSearchParams([['embed', '1'], ...embedParams(options)]);
+  return `${widgetBaseUrl()}?${query}`;
+}
+
+function renderEmbedSnippets() {
+  if (EMBED_MODE || !document.getElementById('embedForm')) return;
+
+  const options = readEmbedForm();
+  const attributes = [
+    ...embedParams(options),
+    ['width', options.width],
+    ['height', options.height]
+  ].map(([name, value]) => ` data-${name}="${escapeHtml(value)}"`).join('');
+
+  const height = /^\d+$/.test(options.height) ? options.height : EMBED_DEFAULT_HEIGHT;
+  const scriptSnippet = `<script src="${widgetBaseUrl()}embed.js"${attributes} async></script>`;
+  const iframeSnippet = `<iframe src="${escapeHtml(widgetUrl(options))}" title="${escapeHtml(statTypes.find(t => t.key === currentStat)?.label || 'Stat')} tracker" ` +
+    `width="${escapeHtml(options.width)}" height="${height}" style="border:0;max-width:100%" loading="lazy"></iframe>`;
+
+  document.getElementById('embedScriptSnippet').textContent = scriptSnippet;
+  document.getElementById('embedIframeSnippet').textContent = iframeSnippet;
+  document.getElementById('embedPreview').href = widgetUrl(options);
+}
+
+function initEmbedGenerator() {
+  const form = document.getElementById('embedForm');
+  if (!form) return;
+
+  form.addEventListener('input', renderEmbedSnippets);
+  form.addEventListener('change', renderEmbedSnippets);
+  document.getElementById('embed').addEventListener('click', async function(e) {
+    const button = e.target.closest('[data-copy]');
+    if (!button) return;
+
+    const code = document.getElementById(button.dataset.copy).textContent;
+    try {
+      await navigator.clipboard.writeText(code);
+      showSuccessMessage('Embed code copied');
+    } catch (err) {
+      // Clipboard access can be blocked (e.g. over plain http); select the code for a manual copy
+      const range = document.createRange();
+      range.selectNodeContents(document.getElementById(button.dataset.copy));
+      window.getSelection().removeAllRanges();
+      window.getSelection().addRange(range);
+    }
+  });
+  renderEmbedSnippets();
+}
+
+// Career stats card: the featured player's seasons, best game, streaks and splits (/api/stats),
+// and the milestones card: who they passed, or were passed by, and when
+let statsTimer = null;
+let statsRequest = 0;
+let statsSplit = 'opponent';
+const STATS_STREAK_MIN = 5;
+const TIMELINE_LIMIT = 12;
+const SPLIT_LABELS = { opponent: 'Opponent', location: 'Location', month: 'Month' };
+
+// Like the trend, reload once totals stop changing; demo data has no log to build stats from
+function scheduleStatsRefresh() {
+  clearTimeout(statsTimer);
+  if (isDemoMode() || !getFeaturedPlayer()) {
+    renderCareerStats(null);
+    renderRankTimeline(null, []);
+    return;
+  }
+  if (isOffline) return;
+  statsTimer = setTimeout(loadCareerStats, PROJECTION_DELAY_MS);
+}
+
+async function loadCareerStats() {
+  const request = ++statsRequest;
+  const featured = getFeaturedPlayer();
+  if (!featured) return;
+
+  try {
+    const base = `${trackerUrl()}/stats/players/${featured.id}`;
+    const [summary, streaks, splits, milestones] = await Promise.all([
+      fetch(base),
+      fetch(`${base}/streaks?min=${STATS_STREAK_MIN}`),
+      fetch(`${base}/splits?by=${statsSplit}`),
+      fetch(`${trackerUrl()}/stats/rank-changes?involving=${featured.id}&limit=${TIMELINE_LIMIT}`)
+    ].map(p => p.then(res => res.json())));
+    if (request !== statsRequest) return;
+    renderCareerStats(summary.success && streaks.success && splits.success
+      ? { summary: summary.data, streaks: streaks.data, splits: splits.data }
+      : null);
+    renderRankTimeline(featured, milestones.success ? milestones.data : []);
+  } catch (e) {
+    console.warn('Could not load career stats:', e);
+  }
+}
+
+// "12 vs. Illinois (Dec 10, 2024)"
+function describeStatGame(game) {
+  return `${game.amount} vs. ${escapeHtml(game.opponent)} (${formatGameDate(game.game_date)})`;
+}
+
+function describeStreak(streak) {
+  return `${streak.games} game${streak.games === 1 ? '' : 's'}, ${formatGameDate(streak.start.game_date)}–${formatGameDate(streak.end.game_date)}`;
+}
+
+function renderCareerStats(stats) {
+  const card = document.getElementById('careerStats');
+  if (!card) return;
+
+  // Nothing to show until the featured player has games logged
+  card.classList.toggle('d-none', !stats || stats.summary.games === 0);
+  if (!stats || stats.summary.games === 0) return;
+
+  const { summary, streaks, splits } = stats;
+  const stat = statTypes.find(t => t.key === currentStat);
+  document.getElementById('careerStatsTitle').textContent = `${summary.player.name}: ${stat ? stat.label : currentStat} by season`;
+
+  const row = (cells) => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`;
+  const seasons = summary.seasons.map(season => row([
+    escapeHtml(season.season), season.games, season.total, season.average.toFixed(1), season.best_game.amount
+  ]));
+  if (summary.seasons.length > 1) {
+    seasons.push(row(['<strong>Total</strong>', summary.games, summary.total, summary.average.toFixed(1), summary.best_game.amount]));
+  }
+  document.getElementById('statsSeasons').innerHTML = seasons.join('');
+
+  const highlights = [`Best game: ${describeStatGame(summary.best_game)}`];
+  if (streaks.longest) highlights.push(`Longest ${streaks.min}+ streak: ${describeStreak(streaks.longest)}`);
+  if (streaks.current && streaks.current.games > 1) highlights.push(`Current ${streaks.min}+ streak: ${streaks.current.games} games`);
+  document.getElementById('statsHighlights').innerHTML = highlights.map(item => `<li>${item}</li>`).join('');
+
+  document.getElementById('statsSplitLabel').textContent = SPLIT_LABELS[splits.by];
+  document.getElementById('statsSplits').innerHTML = splits.splits.map(split => row([
+    escapeHtml(split.label ?? 'Not recorded'), split.games, split.total, split.average.toFixed(1)
+  ])).join('');
+}
+
+// 1st, 2nd, 3rd, 4th ... 11th, 12th, 13th ... 21st
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+// A rank change as the featured player sees it: their own moves, or someone moving past them
+function describeRankEvent(event, playerId) {
+  const player = escapeHtml(event.player_name);
+  const other = escapeHtml(event.other_player_name);
+  if (event.player_id === playerId) {
+    return event.kind === 'passed'
+      ? `Passed <strong>${other}</strong> for ${ordinal(event.rank)}`
+      : `Fell behind <strong>${other}</strong> to ${ordinal(event.rank)}`;
+  }
+  return event.kind === 'passed'
+    ? `Passed by <strong>${player}</strong>, who moved up to ${ordinal(event.rank)}`
+    : `Moved ahead of <strong>${player}</strong>, who dropped to ${ordinal(event.rank)}`;
+}
+
+// Newest first; a step up is a filled marker, a step down a muted one
+function renderRankTimeline(featured, events) {
+  const card = document.getElementById('rankTimeline');
+  if (!card) return;
+
+  card.classList.toggle('d-none', !featured || events.length === 0);
+  if (!featured || events.length === 0) return;
+
+  document.getElementById('rankTimelineTitle').textContent = `${featured.name}: milestones`;
+  document.getElementById('rankTimelineList').innerHTML = events.map((event) => {
+    const gainedPlace = (event.player_id === featured.id) === (event.kind === 'passed');
+    const when = `${formatGameDate(event.game_date)}${event.opponent ? ` vs. ${escapeHtml(event.opponent)}` : ''}`;
+    return `<li class="${gainedPlace ? 'passed' : 'fell-behind'}">
+      <span class="rank-date">${when}</span>
+      ${describeRankEvent(event, featured.id)}
+    </li>`;
+  }).join('');
+}
+
+// Trend chart: the featured player's cumulative total from the log (/api/timeseries),
+// with the record line and the next leaders for comparison
+let trendChart;
+let trendBucket = 'game';
+let trendTimer = null;
+let trendRequest = 0;
+let trendBuckets = [];
+const TREND_LEADERS = 3;
+const RECORD_COLOR = '#dc3545';
+
+function initTrendChart() {
+  const canvas = document.getElementById('assistTrendChart');
+  if (!canvas || typeof Chart === 'undefined') return;
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { display: true, position: 'bottom', labels: { boxWidth: 12, font: { size: 11 } } },
+      tooltip: {
+        callbacks: {
+          // Game buckets show the opponent as well as the date
+          title: (items) => {
+            const bucket = trendBuckets[items[0].dataIndex - 1];
+            return bucket && bucket.game ? `${items[0].label} vs. ${bucket.game.opponent}` : items[0].label;
+          }
+        }
+      }
+    },
+    scales: {
+      x: { grid: { display: false } },
+      y: { grid: { color: 'rgba(0,0,0,0.06)' } }
+    }
+  };
+
+  trendChart = new Chart(canvas.getContext('2d'), { type: 'line', data: { labels: [], datasets: [] }, options });
+  scheduleTrendRefresh();
+}
+
+// Like the projection, reload once totals stop changing
+function scheduleTrendRefresh() {
+  if (!trendChart) return;
+  clearTimeout(trendTimer);
+  if (isDemoMode()) {
+    renderTrendChart(demoTrendData());
+    return;
+  }
+  if (isOffline) return;
+  trendTimer = setTimeout(loadTrend, PROJECTION_DELAY_MS);
+}
+
+async function loadTrend() {
+  const request = ++trendRequest;
+  try {
+    const res = await fetch(`${trackerUrl()}/timeseries?bucket=${trendBucket}&leaders=${TREND_LEADERS}`);
+    const json = await res.json();
+    if (request !== trendRequest) return;
+    // The featured player may not be on this stat's leaderboard yet
+    renderTrendChart(json.success ? json.data : demoTrendData());
+  } catch (e) {
+    console.warn('Could not load trend:', e);
+  }
+}
+
+// Demo data has no log: one point per player at their current total
+function demoTrendData() {
+  const featured = getFeaturedPlayer();
+  const others = players.filter(p => !featured || p.id !== featured.id).slice(0, TREND_LEADERS);
+  const toSeries = p => ({
+    player: { id: p.id, name: p.name, color: p.color, total: p.total, is_featured: p.isFeatured },
+    start_total: p.total,
+    points: []
+  });
+
+  return {
+    bucket: trendBucket,
+    buckets: [],
+    series: [featured, ...others].filter(Boolean).map(toSeries),
+    record: players[0] ? { player_id: players[0].id, name: players[0].name, total: players[0].total } : null
+  };
+}
+
+// Axis label for a bucket, e.g. "Oct 8", "Wk of Oct 6" or "Oct 2025"
+function trendLabel(bucket) {
+  const date = new Date(`${bucket.date}T00:00:00Z`);
+  if (trendBucket === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+  }
+  const day = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return trendBucket === 'week' ? `Wk of ${day}` : day;
+}
+
+function renderTrendChart(data) {
+  const title = document.getElementById('trendTitle');
+  const stat = statTypes.find(t => t.key === currentStat);
+  if (title && stat) title.textContent = `${stat.label} Trends`;
+  document.getElementById('trendEmpty')?.classList.toggle('d-none', data.buckets.length > 0);
+  if (!trendChart) return;
+
+  trendBuckets = data.buckets;
+  // A "Start" point holds the total before the first bucket (career totals from before tracking)
+  const labels = data.buckets.length > 0 ? ['Start', ...data.buckets.map(trendLabel)] : ['Now'];
+  const line = series => [series.start_total, ...series.points.map(point => point.total)];
+
+  const featured = data.series.find(series => series.player.is_featured);
+  const leaders = data.series.filter(series => series !== featured);
+  const datasets = [];
+  if (featured) {
+    datasets.push({
+      label: featured.player.name,
+      data: line(featured),
+      borderColor: '#CEB888',
+      backgroundColor: 'rgba(206,184,136,0.15)',
+      fill: true,
+      tension: 0.25,
+      pointRadius: 3,
+      order: 0
+    });
+  }
+  if (data.record && (!featured || data.record.player_id !== featured.player.id)) {
+    datasets.push({
+      label: `Record: ${data.record.name} (${data.record.total.toLocaleString()})`,
+      data: labels.map(() => data.record.total),
+      borderColor: RECORD_COLOR,
+      borderDash: [6, 4],
+      borderWidth: 2,
+      pointRadius: 0,
+      fill: false,
+      order: 1
+    });
+  }
+  // The record holder's line would sit on the record line
+  leaders
+    .filter(series => !data.record || series.player.id !== data.record.player_id)
+    .forEach(series => {
+      datasets.push({
+        label: series.player.name,
+        data: line(series),
+        borderColor: series.player.color,
+        borderWidth: 1,
+        pointRadius: 0,
+        fill: false,
+        tension: 0.25,
+        order: 2
+      });
+    });
+
+  trendChart.data.labels = labels;
+  trendChart.data.datasets = datasets;
+  trendChart.update();
+}
+
+// Animate numeric values
+function animateValue(element, start, end, duration) {
+  const startTime = performance.now();
+  const difference = end - start;
+  
+  // If no change needed, return early
+  if (difference === 0) return;
+  
+  function updateValue(currentTime) {
+    const elapsed = currentTime - startTime;
+    const progress = Math.min(elapsed / duration, 1);
+    
+    // Easing function
+    const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+    const value = Math.floor(start + (difference * easeOutQuart));
+    
+    element.textContent = value.toLocaleString();
+    
+    if (progress < 1) {
+      requestAnimationFrame(updateValue);
+    } else {
+      element.textContent = end.toLocaleString();
+    }
+  }
+  
+  requestAnimationFrame(updateValue);
+}
+
+// Highlight a specific player
+function highlightPlayer(playerId) {
+  // Remove active class from all cards
+  document.querySelectorAll('.player-card').forEach(card => {
+    card.classList.remove('active');
+  });
+  
+  // Add active class to selected player
+  const playerCard = document.querySelector(`.player-card[data-player-id="${playerId}"]`);
+  if (playerCard) {
+    playerCard.classList.add('active');
+    
+    // Scroll into view if needed
+    playerCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+}
+
+// Animate assist addition
+function animateAssistAddition(assistsAdded) {
+  const counter = document.getElementById('featuredAssists');
+  const card = document.getElementById('featuredCard');
+  
+  // Pulse animation
+  if (card) {
+    card.classList.add('assist-added');
+    setTimeout(() => {
+      card.classList.remove('assist-added');
+    }, 600);
+  }
+  
+  // Show success message
+  showSuccessMessage(`+${assistsAdded} ${statUnit()} added!`);
+}
+
+// Animate assist removal
+function animateAssistRemoval(assistsRemoved) {
+  const counter = document.getElementById('featuredAssists');
+  const card = document.getElementById('featuredCard');
+  
+  // Shake animation
+  if (card) {
+    card.classList.add('assist-removed');
+    setTimeout(() => {
+      card.classList.remove('assist-removed');
+    }, 600);
+  }
+  
+  // Show danger message
+  showDangerMessage(`-${assistsRemoved} ${statUnit()} removed!`);
+}
+
+// Show success message, escaped like showError
+function showSuccessMessage(message) {
+  const existingBanner = document.querySelector('.success-banner');
+  if (existingBanner) {
+    existingBanner.remove();
+  }
+  
+  const banner = document.createElement('div');
+  banner.className = 'success-banner';
+  banner.innerHTML = `
+    <div class="d-flex align-items-center justify-content-between">
+      <span>✅ ${escapeHtml(message)}</span>
+      <button type="button" class="btn-close btn-close-sm" onclick="this.parentElement.parentElement.remove()"></button>
+    </div>
+  `;
+  
+  const errorBanner = document.getElementById('errorBanner');
+  if (errorBanner) {
+    errorBanner.parentNode.insertBefore(banner, errorBanner.nextSibling);
+  }
+  
+  setTimeout(() => {
+    if (banner.parentNode) {
+      banner.style.opacity = '0';
+      banner.style.transform = 'translateY(-10px)';
+      setTimeout(() => {
+        if (banner.parentNode) {
+          banner.remove();
+        }
+      }, 300);
+    }
+  }, 3000);
+}
+
+// Show danger message, escaped like showError
+function showDangerMessage(message) {
+  const existingBanner = document.querySelector('.danger-banner');
+  if (existingBanner) {
+    existingBanner.remove();
+  }
+  
+  const banner = document.createElement('div');
   banner.className = 'danger-banner';
   banner.innerHTML = `
     <div class="d-flex align-items-center justify-content-between">
-      <span>⚠️ ${message}</span>
+      <span>⚠️ ${escapeHtml(message)}</span>
       <button type="button" class="btn-close btn-close-sm" onclick="this.parentElement.parentElement.remove()"></button>
     </div>
   `;
@@ -602,17 +1416,17 @@ async function addAssists() {
   const assistsToAdd = parseInt(input.value);
   
   if (isNaN(assistsToAdd) || assistsToAdd < 1) {
-    showError('Please enter a valid number of assists');
+    showError(`Please enter a valid number of ${statUnit()}`);
     return;
   }
 
-  // Always allow demo mode operation on Vercel
-  if (!BASE_API_URL || window.location.hostname.includes('vercel.app') || errorCount >= MAX_ERROR_COUNT) {
-    let braden = players.find(player => player.isBraden);
+  // Demo mode (no API) changes the local data only
+  if (isDemoMode()) {
+    let featured = getFeaturedPlayer();
     
-    // If Braden not found, load demo data first
-    if (!braden) {
-      console.log('Braden not found, loading demo data...');
+    // If the featured player isn't loaded, load demo data first
+    if (!featured) {
+      console.log('Featured player not found, loading demo data...');
       loadDemoData();
       // Try again after loading demo data
       setTimeout(() => {
@@ -621,8 +1435,8 @@ async function addAssists() {
       return;
     }
     
-    braden.assists += assistsToAdd;
-    players.sort((a, b) => b.assists - a.assists);
+    featured.total += assistsToAdd;
+    players.sort((a, b) => b.total - a.total);
     renderPlayerMarkers();
     renderLeaderboard();
     updateProgressBar();
@@ -635,45 +1449,30 @@ async function addAssists() {
     return;
   }
 
-  try {
-    isMutating = true;
-    showLoading(true);
-
-    const braden = players.find(p => p.isBraden);
-    if (!braden) throw new Error('Braden Smith not found');
-
-    const res = await fetch(`${BASE_API_URL}/players/${braden.id}/add-assists`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        assists_to_add: assistsToAdd,
-        game_date: new Date().toISOString().split('T')[0]
-      })
-    });
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}`);
-    }
-    
-    const json = await res.json();
-    if (!json.success) throw new Error(json.message || 'Failed to add assists');
-
-    lastAssistLogId = json.assistLogId || null;
-    document.getElementById('undoButton').disabled = !lastAssistLogId;
+  // The featured player may not be on this stat's leaderboard yet; adding puts them on it
+  const featured = getFeaturedPlayer();
+  const featuredId = featured?.id || featuredPlayerId;
+  if (!featuredId) {
+    showError('Featured player not found');
+    return;
+  }
 
-    input.value = '';
-    animateAssistAddition(assistsToAdd);
-    
-    // Refresh data after successful addition
-    await forceRefreshPlayers();
-  } catch (e) {
-    console.error('Add assists failed:', e);
-    showError('Failed to add assists. Please try again.');
-    errorCount++;
-  } finally {
-    isMutating = false;
-    showLoading(false);
+  // Cleared before anything async, so a double-click can't queue the same change twice
+  input.value = '';
+  const queued = await queueChange({
+    type: 'add',
+    url: `${trackerUrl()}/players/${featuredId}/add`,
+    body: { amount: assistsToAdd, ...gameFields() },
+    player_id: featuredId,
+    amount: assistsToAdd,
+    description: `Added ${assistsToAdd} ${statUnit()} for ${featured ? featured.name : 'the featured player'}`
+  });
+  if (!queued) {
+    input.value = assistsToAdd;
+    return;
   }
+
+  animateAssistAddition(assistsToAdd);
 }
 
 // Updated reduceAssists function
@@ -687,17 +1486,17 @@ async function reduceAssists() {
   const assistsToRemove = parseInt(input.value);
   
   if (isNaN(assistsToRemove) || assistsToRemove < 1) {
-    showError('Please enter a valid number of assists to remove');
+    showError(`Please enter a valid number of ${statUnit()} to remove`);
     return;
   }
 
-  // Always allow demo mode operation on Vercel
-  if (!BASE_API_URL || window.location.hostname.includes('vercel.app') || errorCount >= MAX_ERROR_COUNT) {
-    let braden = players.find(player => player.isBraden);
+  // Demo mode (no API) changes the local data only
+  if (isDemoMode()) {
+    let featured = getFeaturedPlayer();
     
-    // If Braden not found, load demo data first
-    if (!braden) {
-      console.log('Braden not found, loading demo data...');
+    // If the featured player isn't loaded, load demo data first
+    if (!featured) {
+      console.log('Featured player not found, loading demo data...');
       loadDemoData();
       // Try again after loading demo data
       setTimeout(() => {
@@ -707,13 +1506,13 @@ async function reduceAssists() {
     }
 
     // Prevent negative assists (client-side validation)
-    if (braden.assists - assistsToRemove < 0) {
-      showError(`Cannot remove ${assistsToRemove} assists. Braden only has ${braden.assists} assists.`);
+    if (featured.total - assistsToRemove < 0) {
+      showError(`Cannot remove ${assistsToRemove} ${statUnit()}. ${featured.name} only has ${featured.total} ${statUnit()}.`);
       return;
     }
 
-    braden.assists -= assistsToRemove;
-    players.sort((a, b) => b.assists - a.assists);
+    featured.total -= assistsToRemove;
+    players.sort((a, b) => b.total - a.total);
     renderPlayerMarkers();
     renderLeaderboard();
     updateProgressBar();
@@ -726,73 +1525,57 @@ async function reduceAssists() {
     return;
   }
 
-  try {
-    isMutating = true;
-    showLoading(true);
-
-     // Identify Braden before calling the API
-     const braden = players.find(p => p.isBraden);
-     if (!braden) throw new Error('Braden Smith not found');
- 
-     
-    // Use the reduce-assists endpoint
-    const res = await fetch(`${BASE_API_URL}/players/${braden.id}/reduce-assists`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        assists_to_remove: assistsToRemove
-      })
-    });
-    
-    if (!res.ok) {
-      const errorData = await res.json().catch(() => ({}));
-      throw new Error(errorData.message || `HTTP ${res.status}`);
-    }
-    
-    const json = await res.json();
-    if (!json.success) throw new Error(json.message || 'Failed to reduce assists');
+  const featured = getFeaturedPlayer();
+  if (!featured) {
+    showError('Featured player not found');
+    return;
+  }
 
-    lastAssistLogId = json.assistLogId || null;
-    document.getElementById('undoButton').disabled = !lastAssistLogId;
+  // The shown total includes changes still waiting to be sent
+  if (featured.total - assistsToRemove < 0) {
+    showError(`Cannot remove ${assistsToRemove} ${statUnit()}. ${featured.name} only has ${featured.total} ${statUnit()}.`);
+    return;
+  }
 
-    input.value = '';
-    animateAssistRemoval(assistsToRemove);
-    
-    // Refresh data after successful reduction
-    await forceRefreshPlayers();
-  } catch (e) {
-    console.error('Reduce assists failed:', e);
-    showError(e.message || 'Failed to reduce assists. Please try again.');
-    errorCount++;
-  } finally {
-    isMutating = false;
-    showLoading(false);
+  input.value = '';
+  const queued = await queueChange({
+    type: 'reduce',
+    url: `${trackerUrl()}/players/${featured.id}/reduce`,
+    body: { amount: assistsToRemove, ...gameFields() },
+    player_id: featured.id,
+    amount: assistsToRemove,
+    description: `Removed ${assistsToRemove} ${statUnit()} for ${featured.name}`
+  });
+  if (!queued) {
+    input.value = assistsToRemove;
+    return;
   }
+
+  animateAssistRemoval(assistsToRemove);
 }
 
-// Undo the last assist update via API (delete last assist log)
+// Undo the caller's last update via the server history (a reversing entry, see /api/history)
 async function undoLastUpdate() {
-  // If we're in demo mode or do not have a server-provided assist log id,
-  // perform a client-side undo of the last local change.
-  if (!BASE_API_URL || window.location.hostname.includes('vercel.app') || errorCount >= MAX_ERROR_COUNT || !lastAssistLogId) {
+  // In demo mode undo the last local change instead
+  if (isDemoMode()) {
     if (!lastLocalChange) {
       showError('Nothing to undo yet. Make an update first.');
       return;
     }
 
-    const braden = players.find(p => p.isBraden);
-    if (!braden) {
-      showError('Braden Smith not found');
+    const featured = getFeaturedPlayer();
+    if (!featured) {
+      showError('Featured player not found');
       return;
     }
 
     if (lastLocalChange.type === 'add') {
-      braden.assists = Math.max(0, braden.assists - lastLocalChange.amount);
+      featured.total = Math.max(0, featured.total - lastLocalChange.amount);
     } else if (lastLocalChange.type === 'remove') {
-      braden.assists += lastLocalChange.amount;
+      featured.total += lastLocalChange.amount;
     }
 
-    players.sort((a, b) => b.assists - a.assists);
+    players.sort((a, b) => b.total - a.total);
     renderPlayerMarkers();
     renderLeaderboard();
     updateProgressBar();
@@ -803,36 +1586,1050 @@ async function undoLastUpdate() {
     if (undoBtn) undoBtn.disabled = true;
     return;
   }
-  
+
+  // A change that hasn't been sent yet is simply taken out of the outbox
+  const last = myPendingChanges().pop();
+  if (last && last.type !== 'undo' && last.key !== sendingKey) {
+    await removeChange(last);
+    showPlayers();
+    renderHistory();
+    showSuccessMessage('Last update undone.');
+    return;
+  }
+
+  // Otherwise the server undoes the latest change once everything queued before it has been sent
+  await queueChange({ type: 'undo', url: `${BASE_API_URL}/history/undo`, description: 'Undo last update' });
+}
+
+// Re-apply the caller's most recently undone update (needs the server, so it isn't queued)
+async function redoLastUpdate() {
+  if (isDemoMode()) return;
+  await reverseHistory(`${BASE_API_URL}/history/redo`, 'Failed to redo. Please try again.');
+}
+
+// Undo one specific entry from the recent updates list
+async function undoEntry(logId) {
+  await queueChange({ type: 'undo', url: `${BASE_API_URL}/history/${logId}/undo`, description: 'Undo an earlier update' });
+}
+
+async function reverseHistory(url, failureMessage) {
   try {
     isMutating = true;
     showLoading(true);
-    const res = await fetch(`${BASE_API_URL}/assists/${lastAssistLogId}`, { method: 'DELETE' });
-    
-    if (!res.ok) {
-      throw new Error(`HTTP ${res.status}`);
+    const res = await authFetch(url, { method: 'POST', headers: { 'Idempotency-Key': newIdempotencyKey() } });
+    const json = await res.json().catch(() => ({}));
+
+    if (!res.ok || !json.success) {
+      throw new Error(json.message || `HTTP ${res.status}`);
     }
-    
-    const json = await res.json();
-    if (!json.success) throw new Error(json.message || 'Failed to undo');
-    
-    lastAssistLogId = null;
-    document.getElementById('undoButton').disabled = true;
-    
-    // Show undo success message
-    showSuccessMessage('Last update undone successfully!');
-    
-    // Refresh data after successful undo
+
+    showSuccessMessage(json.message);
+
+    // Refresh data after a successful undo/redo
     await forceRefreshPlayers();
+    await loadHistory();
   } catch (e) {
-    console.error('Undo failed:', e);
-    showError('Failed to undo. Please try again.');
+    console.error('Undo/redo failed:', e);
+    showError(e.message || failureMessage);
   } finally {
     isMutating = false;
     showLoading(false);
   }
 }
 
+// Fetch the signed-in scorer's recent updates and what undo/redo would reverse next
+async function loadHistory() {
+  if (isDemoMode() || !hasRole('scorer')) {
+    historyEntries = [];
+    nextUndoId = null;
+    nextRedoId = null;
+    renderHistory();
+    return;
+  }
+
+  try {
+    const res = await authFetch(`${BASE_API_URL}/history?limit=${HISTORY_LIMIT}`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const json = await res.json();
+
+    historyEntries = json.data || [];
+    nextUndoId = json.next_undo;
+    nextRedoId = json.next_redo;
+  } catch (e) {
+    console.warn('Could not load update history:', e);
+  }
+  renderHistory();
+}
+
+function renderHistory() {
+  updateHistoryButtons();
+
+  const row = document.getElementById('historyRow');
+  const list = document.getElementById('historyList');
+  if (!row || !list) return;
+
+  const pending = myPendingChanges();
+  row.classList.toggle('d-none', historyEntries.length === 0 && pending.length === 0);
+  list.innerHTML = '';
+
+  // Changes still in the outbox come first, newest at the top, marked until the server confirms them
+  pending.reverse().forEach(change => {
+    const item = document.createElement('li');
+    item.className = 'list-group-item history-pending';
+
+    const label = document.createElement('span');
+    label.textContent = change.description;
+    item.appendChild(label);
+
+    const badge = document.createElement('span');
+    badge.className = 'badge bg-secondary';
+    badge.textContent = isOffline ? 'Waiting for connection' : 'Sending…';
+    item.appendChild(badge);
+
+    list.appendChild(item);
+  });
+
+  historyEntries.forEach(entry => {
+    const amount = entry.assists_added;
+    const verb = entry.kind === 'undo' ? 'Undo' : entry.kind === 'redo' ? 'Redo' : (amount >= 0 ? 'Added' : 'Removed');
+    const detail = entry.kind === 'change'
+      ? `${Math.abs(amount)} ${entry.stat_label.toLowerCase()} for ${entry.player_name}`
+      : `${amount > 0 ? '+' : ''}${amount} ${entry.stat_label.toLowerCase()} for ${entry.player_name}`;
+
+    const item = document.createElement('li');
+    item.className = 'list-group-item';
+
+    const label = document.createElement('span');
+    label.textContent = `${verb} ${detail}${entry.opponent ? ` vs ${entry.opponent}` : ''}`;
+    if (entry.reversed_by_id) label.classList.add('history-reversed');
+    item.appendChild(label);
+
+    // Changes and redos still in effect can be undone individually
+    if (entry.kind !== 'undo' && !entry.reversed_by_id) {
+      const button = document.createElement('button');
+      button.className = 'btn btn-sm btn-outline-secondary';
+      button.type = 'button';
+      button.textContent = 'Undo';
+      button.dataset.undoId = entry.id;
+      item.appendChild(button);
+    }
+
+    list.appendChild(item);
+  });
+}
+
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById('undoButton');
+  const redoBtn = document.getElementById('redoButton');
+  const demo = isDemoMode();
+
+  if (undoBtn) undoBtn.disabled = demo ? !lastLocalChange : !nextUndoId && myPendingChanges().length === 0;
+  if (redoBtn) {
+    redoBtn.disabled = demo || isOffline || !nextRedoId;
+    redoBtn.classList.toggle('d-none', isDemoMode());
+  }
+}
+
+// Roster management (admins): every player, whichever leaderboards they're on (/api/players/roster)
+let rosterPlayers = [];
+
+async function loadRoster() {
+  const panel = document.getElementById('rosterPanel');
+  if (!panel) return;
+
+  const canManage = !isDemoMode() && hasRole('admin');
+  panel.classList.toggle('d-none', !canManage);
+  if (!canManage) return;
+
+  try {
+    const res = await fetch(`${BASE_API_URL}/players/roster`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    rosterPlayers = (await res.json()).data || [];
+    renderRoster();
+  } catch (e) {
+    console.warn('Could not load roster:', e);
+  }
+}
+
+function renderRoster() {
+  const list = document.getElementById('rosterList');
+  if (!list) return;
+
+  list.innerHTML = rosterPlayers.map(player => `
+    <li class="list-group-item">
+      <span class="roster-swatch" style="background: ${escapeHtml(player.color)}"></span>
+      <span class="roster-name">
+        <strong>${escapeHtml(player.name)}</strong>
+        <small class="text-muted">${escapeHtml(player.team)} · ${player.status === 'retired' ? 'Retired' : 'Active'}${player.is_featured ? ' · Featured' : ''}</small>
+      </span>
+      <button class="btn btn-sm btn-outline-secondary" type="button" data-edit-id="${player.id}">Edit</button>
+      ${player.is_featured ? '' : `<button class="btn btn-sm btn-outline-danger" type="button" data-delete-id="${player.id}">Delete</button>`}
+    </li>
+  `).join('');
+}
+
+// Fill the form with a player's details; saving then updates instead of creating
+function editRosterPlayer(playerId) {
+  const player = rosterPlayers.find(p => p.id === playerId);
+  if (!player) return;
+
+  document.getElementById('rosterPlayerId').value = player.id;
+  document.getElementById('rosterName').value = player.name;
+  document.getElementById('rosterTeam').value = player.team;
+  document.getElementById('rosterColor').value = player.color.toLowerCase();
+  document.getElementById('rosterHeadshot').value = player.headshot_url || '';
+  document.getElementById('rosterStatus').value = player.status;
+  document.getElementById('rosterTotalGroup').classList.add('d-none');
+  document.getElementById('rosterSubmit').textContent = 'Save changes';
+  document.getElementById('rosterCancel').classList.remove('d-none');
+}
+
+function resetRosterForm() {
+  document.getElementById('rosterForm').reset();
+  document.getElementById('rosterPlayerId').value = '';
+  document.getElementById('rosterTotalGroup').classList.remove('d-none');
+  document.getElementById('rosterSubmit').textContent = 'Add player';
+  document.getElementById('rosterCancel').classList.add('d-none');
+}
+
+// Create a player (a starting total puts them on the current stat's leaderboard) or save edits
+async function saveRosterPlayer() {
+  const playerId = document.getElementById('rosterPlayerId').value;
+  const totalValue = document.getElementById('rosterTotal').value;
+  const body = {
+    name: document.getElementById('rosterName').value.trim(),
+    team: document.getElementById('rosterTeam').value.trim(),
+    color: document.getElementById('rosterColor').value.toUpperCase(),
+    headshot_url: document.getElementById('rosterHeadshot').value.trim() || null,
+    status: document.getElementById('rosterStatus').value
+  };
+  if (!playerId && totalValue !== '') body.total = parseInt(totalValue);
+
+  try {
+    const res = await authFetch(playerId ? `${BASE_API_URL}/players/${playerId}` : `${trackerUrl()}/players`, {
+      method: playerId ? 'PATCH' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.success) throw new Error(json.message || `HTTP ${res.status}`);
+
+    showSuccessMessage(json.message);
+    resetRosterForm();
+    await loadRoster();
+    await forceRefreshPlayers();
+  } catch (e) {
+    console.error('Save player failed:', e);
+    showError(e.message || 'Failed to save player. Please try again.');
+  }
+}
+
+// Branding: shown from the copy saved last time straight away, then refreshed from the API
+async function loadBranding() {
+  if (isDemoMode()) return;
+
+  const saved = JSON.parse(localStorage.getItem(trackerStorageKey('branding')) || 'null');
+  if (saved) applyBranding(saved);
+
+  try {
+    const res = await fetch(`${BASE_API_URL}/branding`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    applyBranding((await res.json()).data);
+  } catch (e) {
+    console.warn('Could not load branding:', e);
+  }
+}
+
+function applyBranding(data) {
+  branding = { ...DEFAULT_BRANDING, ...data };
+  localStorage.setItem(trackerStorageKey('branding'), JSON.stringify(branding));
+
+  const name = document.getElementById('trackerName');
+  if (name) name.textContent = branding.name;
+  const mark = document.querySelector('.brand-mark');
+  if (mark) mark.textContent = brandInitials(branding.name);
+  renderPageTitle();
+
+  // Custom colors override the stylesheet's; the defaults hand them back to it
+  const style = document.documentElement.style;
+  const colors = [
+    ['--primary-color', branding.primary_color, DEFAULT_BRANDING.primary_color],
+    ['--secondary-color', branding.secondary_color, DEFAULT_BRANDING.secondary_color]
+  ];
+  colors.forEach(([property, color, fallback]) => {
+    if (color.toUpperCase() === fallback) style.removeProperty(property);
+    else style.setProperty(property, color);
+  });
+  if (branding.primary_color.toUpperCase() === DEFAULT_BRANDING.primary_color) {
+    style.removeProperty('--primary-light');
+  } else {
+    style.setProperty('--primary-light', mixWithWhite(branding.primary_color, 0.3));
+  }
+
+  renderBrandingForm();
+}
+
+// "Assist Tracker" -> "AT", "Hoosiers" -> "H"
+function brandInitials(name) {
+  return name.split(/\s+/).filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('');
+}
+
+// A lighter shade of a hex color, for the gradients that fade out of the primary color
+function mixWithWhite(hex, amount) {
+  const channels = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  return `#${channels.map(c => Math.round(c + (255 - c) * amount).toString(16).padStart(2, '0')).join('')}`;
+}
+
+function renderBrandingForm() {
+  if (!document.getElementById('brandingForm')) return;
+
+  document.getElementById('brandingName').value = branding.name;
+  document.getElementById('brandingPrimary').value = branding.primary_color.toLowerCase();
+  document.getElementById('brandingSecondary').value = branding.secondary_color.toLowerCase();
+}
+
+// Rename the tracker or change its colors (admin only); reset puts every field back to its default
+async function saveBranding(reset = false) {
+  const body = reset
+    ? { name: null, primary_color: null, secondary_color: null }
+    : {
+      name: document.getElementById('brandingName').value.trim() || null,
+      primary_color: document.getElementById('brandingPrimary').value.toUpperCase(),
+      secondary_color: document.getElementById('brandingSecondary').value.toUpperCase()
+    };
+
+  try {
+    const res = await authFetch(`${BASE_API_URL}/branding`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.success) throw new Error(json.message || `HTTP ${res.status}`);
+
+    applyBranding(json.data);
+    showSuccessMessage(json.message);
+  } catch (e) {
+    console.error('Save branding failed:', e);
+    showError(e.message || 'Failed to save branding. Please try again.');
+  }
+}
+
+// Export players, games or stat logs (/api/export); CSV holds one dataset, JSON can hold everything
+async function downloadExport(format) {
+  const dataset = document.getElementById('transferDataset').value;
+  if (format === 'csv' && !dataset) {
+    showError('Pick players, games or stat logs for a CSV export.');
+    return;
+  }
+
+  try {
+    const query = new URLSearchParams({ format });
+    if (dataset) query.set('dataset', dataset);
+    const res = await authFetch(`${BASE_API_URL}/export?${query}`);
+    if (!res.ok) {
+      const json = await res.json().catch(() => ({}));
+      throw new Error(json.message || `HTTP ${res.status}`);
+    }
+
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || `tracker-export.${format}`;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await res.blob());
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (e) {
+    console.error('Export failed:', e);
+    showError(e.message || 'Export failed. Please try again.');
+  }
+}
+
+// Imports must be previewed (dry run) before they can be applied
+function resetImportPreview() {
+  document.getElementById('importApply').disabled = true;
+  document.getElementById('importReport').innerHTML = '';
+}
+
+function renderImportReport(items) {
+  document.getElementById('importReport').innerHTML = items.map(item => `<li>${escapeHtml(item)}</li>`).join('');
+}
+
+// Send the chosen CSV/JSON file to /api/import, as a dry run first
+async function runImport(dryRun) {
+  const file = document.getElementById('importFile').files[0];
+  const dataset = document.getElementById('transferDataset').value;
+  if (!file) {
+    showError('Choose a CSV or JSON file to import.');
+    return;
+  }
+
+  const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+  if (isCsv && !dataset) {
+    showError('Pick which dataset the CSV file holds.');
+    return;
+  }
+
+  try {
+    const query = new URLSearchParams({ dry_run: String(dryRun) });
+    if (dataset) query.set('dataset', dataset);
+    const res = await authFetch(`${BASE_API_URL}/import?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': isCsv ? 'text/csv' : 'application/json' },
+      body: await file.text()
+    });
+    const json = await res.json().catch(() => ({}));
+
+    if (!res.ok || !json.success) {
+      resetImportPreview();
+      renderImportReport((json.fields || []).map(f => f.message));
+      throw new Error(json.error === 'Validation failed' ? 'The file has problems; nothing was imported.' : (json.message || `HTTP ${res.status}`));
+    }
+
+    if (dryRun) {
+      const changes = json.data.changes.filter(c => c.action !== 'unchanged');
+      renderImportReport([
+        json.message,
+        ...changes.slice(0, 50).map(c => `${c.dataset} row ${c.row}: ${c.action} ${c.label}${c.changes ? ` (${Object.keys(c.changes).join(', ')})` : ''}`),
+        ...(changes.length > 50 ? [`…and ${changes.length - 50} more`] : [])
+      ]);
+      document.getElementById('importApply').disabled = changes.length === 0;
+      return;
+    }
+
+    showSuccessMessage(json.message);
+    document.getElementById('importFile').value = '';
+    resetImportPreview();
+    await loadRoster();
+    await forceRefreshPlayers();
+  } catch (e) {
+    console.error('Import failed:', e);
+    showError(e.message || 'Import failed. Please try again.');
+  }
+}
+
+// Delete a player; players with logged changes need a second confirmation since their history goes too
+async function deleteRosterPlayer(playerId, force = false) {
+  const player = rosterPlayers.find(p => p.id === playerId);
+  if (!player) return;
+  if (!force && !window.confirm(`Remove ${player.name} from the roster?`)) return;
+
+  try {
+    const res = await authFetch(`${BASE_API_URL}/players/${playerId}${force ? '?force=true' : ''}`, { method: 'DELETE' });
+    const json = await res.json().catch(() => ({}));
+
+    if (res.status === 409 && json.error === 'Player has logs' && !force) {
+      if (window.confirm(`${json.message}\n\nDelete ${player.name} and their log history?`)) {
+        await deleteRosterPlayer(playerId, true);
+      }
+      return;
+    }
+    if (!res.ok || !json.success) throw new Error(json.message || `HTTP ${res.status}`);
+
+    showSuccessMessage(json.message);
+    await loadRoster();
+    await forceRefreshPlayers();
+  } catch (e) {
+    console.error('Delete player failed:', e);
+    showError(e.message || 'Failed to delete player. Please try again.');
+  }
+}
+
+// Play-by-play feed (scorers): assists detected in an uploaded or watched feed wait here until a
+// scorer approves them onto the total or rejects them (/api/feed)
+let feedEvents = [];
+
+// Content type for a feed file, by extension; anything else is detected by the server
+const FEED_CONTENT_TYPES = {
+  json: 'application/json',
+  ndjson: 'application/x-ndjson',
+  jsonl: 'application/x-ndjson',
+  xml: 'application/xml'
+};
+
+async function loadFeedEvents() {
+  const panel = document.getElementById('feedPanel');
+  if (!panel) return;
+
+  const canReview = !isDemoMode() && hasRole('scorer');
+  panel.classList.toggle('d-none', !canReview);
+  if (!canReview) return;
+
+  try {
+    const res = await authFetch(`${BASE_API_URL}/feed/events?status=pending`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    feedEvents = (await res.json()).data || [];
+    renderFeedEvents();
+  } catch (e) {
+    console.warn('Could not load feed events:', e);
+  }
+}
+
+function renderFeedEvents() {
+  const list = document.getElementById('feedList');
+  if (!list) return;
+
+  document.getElementById('feedPendingCount').textContent = feedEvents.length;
+  document.getElementById('feedApproveAll').disabled = feedEvents.length === 0;
+
+  if (feedEvents.length === 0) {
+    list.innerHTML = '<li class="list-group-item text-muted">No detected assists waiting for review</li>';
+    return;
+  }
+
+  list.innerHTML = feedEvents.map(event => {
+    const game = event.game_date ? `${formatGameDate(event.game_date)} vs. ${event.opponent}` : `Game ${event.game_id}`;
+    const when = [event.period && `P${event.period}`, event.clock].filter(Boolean).join(' ');
+    const play = [event.play_type, event.scorer_name && `by ${event.scorer_name}`].filter(Boolean).join(' ');
+    return `
+      <li class="list-group-item">
+        <span class="feed-play">
+          <strong>${escapeHtml(event.player_name || `Player ${event.player_id}`)}</strong>
+          <small class="text-muted">${escapeHtml(game)}${when ? ` · ${escapeHtml(when)}` : ''}${play ? ` · ${escapeHtml(play)}` : ''}</small>
+          ${event.description ? `<small class="d-block">${escapeHtml(event.description)}</small>` : ''}
+        </span>
+        <button class="btn btn-sm btn-outline-success" type="button" data-feed-approve="${event.id}">Approve</button>
+        <button class="btn btn-sm btn-outline-danger" type="button" data-feed-reject="${event.id}">Reject</button>
+      </li>
+    `;
+  }).join('');
+}
+
+// Send the chosen feed file to /api/feed; new assists show up in the review list
+async function uploadFeed() {
+  const input = document.getElementById('feedFile');
+  const file = input.files[0];
+  if (!file) {
+    showError('Choose a play-by-play feed file (JSON, NDJSON or XML).');
+    return;
+  }
+
+  const extension = file.name.split('.').pop().toLowerCase();
+  const report = document.getElementById('feedReport');
+  report.innerHTML = '';
+
+  try {
+    const res = await authFetch(`${BASE_API_URL}/feed`, {
+      method: 'POST',
+      headers: { 'Content-Type': FEED_CONTENT_TYPES[extension] || 'text/plain' },
+      body: await file.text()
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.success) throw new Error(json.message || `HTTP ${res.status}`);
+
+    const { ignored } = json.data;
+    report.innerHTML = [
+      ...ignored.slice(0, 50).map(item => `Play ${item.play_id || `#${item.play}`}: ${item.reason}`),
+      ...(ignored.length > 50 ? [`…and ${ignored.length - 50} more`] : [])
+    ].map(item => `<li>${escapeHtml(item)}</li>`).join('');
+
+    showSuccessMessage(json.message);
+    input.value = '';
+    if (json.data.games_created.length > 0) loadGames();
+    await loadFeedEvents();
+  } catch (e) {
+    console.error('Feed upload failed:', e);
+    showError(e.message || 'Reading the feed failed. Please try again.');
+  }
+}
+
+// Approve (adds the assist to the total, logged against the game) or reject a detected assist.
+// Resolves with whether it went through, so approving all can stop at the first failure.
+async function reviewFeedEvent(eventId, decision, { quiet = false } = {}) {
+  try {
+    const res = await authFetch(`${BASE_API_URL}/feed/events/${eventId}/${decision}`, { method: 'POST' });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.success) throw new Error(json.message || `HTTP ${res.status}`);
+
+    feedEvents = feedEvents.filter(event => event.id !== eventId);
+    renderFeedEvents();
+    if (!quiet) showSuccessMessage(json.message);
+    return true;
+  } catch (e) {
+    console.error('Feed review failed:', e);
+    showError(e.message || 'Reviewing the assist failed. Please try again.');
+    // Someone else may have reviewed it already
+    loadFeedEvents();
+    return false;
+  } finally {
+    if (decision === 'approve' && !quiet) {
+      loadHistory();
+      forceRefreshPlayers();
+    }
+  }
+}
+
+async function approveAllFeedEvents() {
+  const pending = [...feedEvents];
+  if (pending.length === 0 || !window.confirm(`Approve all ${pending.length} detected assists?`)) return;
+
+  let approved = 0;
+  for (const event of pending) {
+    if (!await reviewFeedEvent(event.id, 'approve', { quiet: true })) break;
+    approved++;
+  }
+
+  if (approved > 0) showSuccessMessage(`Approved ${approved} assist${approved === 1 ? '' : 's'} from the feed`);
+  loadHistory();
+  forceRefreshPlayers();
+}
+
+// Accounts: viewers (and anonymous visitors) only see the tracker; scorers and admins get the controls
+function isDemoMode() {
+  return !BASE_API_URL || window.location.hostname.includes('vercel.app');
+}
+
+function hasRole(role) {
+  return !!currentUser && ROLES.indexOf(currentUser.role) >= ROLES.indexOf(role);
+}
+
+// fetch() with the session token; a rejected token signs the user out
+async function authFetch(url, options = {}) {
+  const headers = { ...(options.headers || {}) };
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+  const res = await fetch(url, { ...options, headers });
+  if (res.status === 401 && authToken) {
+    clearSession();
+    showError('Your session has expired. Please log in again.');
+  }
+  return res;
+}
+
+// Restore the saved session (if any) before the controls are shown
+async function loadSession() {
+  if (isDemoMode()) {
+    applyRole();
+    return;
+  }
+
+  if (authToken) {
+    try {
+      const res = await authFetch(`${BASE_API_URL}/auth/me`);
+      if (res.ok) {
+        currentUser = (await res.json()).data;
+        localStorage.setItem(sessionStorageKey('authUser'), JSON.stringify(currentUser));
+      }
+    } catch (e) {
+      // Offline: carry on as the account saved with the token, so changes can still be queued
+      console.warn('Could not restore session:', e);
+      currentUser = JSON.parse(localStorage.getItem(sessionStorageKey('authUser')) || 'null');
+    }
+  }
+  applyRole();
+}
+
+async function logIn() {
+  const username = document.getElementById('loginUsername').value.trim();
+  const passwordInput = document.getElementById('loginPassword');
+
+  try {
+    const res = await fetch(`${BASE_API_URL}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password: passwordInput.value })
+    });
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok || !json.success) throw new Error(json.message || `HTTP ${res.status}`);
+
+    authToken = json.data.token;
+    currentUser = json.data.user;
+    localStorage.setItem(sessionStorageKey('authToken'), authToken);
+    localStorage.setItem(sessionStorageKey('authUser'), JSON.stringify(currentUser));
+    passwordInput.value = '';
+    applyRole();
+    loadHistory();
+    loadRoster();
+    loadFeedEvents();
+    // Send anything this account queued before its session ran out
+    showPlayers();
+    flushOutbox();
+    showSuccessMessage(`Logged in as ${currentUser.username}`);
+  } catch (e) {
+    console.error('Login failed:', e);
+    showError(e.message || 'Login failed. Please try again.');
+  }
+}
+
+async function logOut() {
+  try {
+    await authFetch(`${BASE_API_URL}/auth/logout`, { method: 'POST' });
+  } catch (e) {
+    console.warn('Logout request failed:', e);
+  }
+  clearSession();
+}
+
+function clearSession() {
+  authToken = null;
+  currentUser = null;
+  localStorage.removeItem(sessionStorageKey('authToken'));
+  localStorage.removeItem(sessionStorageKey('authUser'));
+  applyRole();
+  showPlayers();
+  renderSyncStatus();
+  loadHistory();
+  loadRoster();
+  loadFeedEvents();
+}
+
+// Show the login form or the session bar, and hide controls above the user's role
+function applyRole() {
+  const demo = isDemoMode();
+  document.getElementById('authRow')?.classList.toggle('d-none', demo);
+  document.getElementById('loginForm')?.classList.toggle('d-none', !!currentUser);
+  document.getElementById('sessionInfo')?.classList.toggle('d-none', !currentUser);
+
+  const sessionUser = document.getElementById('sessionUser');
+  if (sessionUser) {
+    sessionUser.textContent = currentUser ? `Signed in as ${currentUser.username} (${currentUser.role})` : '';
+  }
+
+  // Demo mode keeps every control (changes are local only)
+  document.querySelectorAll('[data-role]').forEach(el => {
+    el.classList.toggle('role-hidden', !demo && !hasRole(el.dataset.role));
+  });
+}
+
+// Subscribe to /api/stream and apply pushed changes to the leaderboard, markers and progress bar
+function connectLiveUpdates() {
+  if (!BASE_API_URL || window.location.hostname.includes('vercel.app') || typeof EventSource === 'undefined') {
+    return;
+  }
+
+  clearTimeout(liveRetryTimer);
+  if (liveSource) liveSource.close();
+
+  liveSource = new EventSource(`${BASE_API_URL}/stream?stat=${encodeURIComponent(currentStat)}`);
+
+  liveSource.addEventListener('open', () => {
+    liveRetryDelay = LIVE_RETRY_MIN_MS;
+    setLiveStatus(true);
+  });
+
+  // Full player list on (re)connect, so anything missed while offline is picked up
+  liveSource.addEventListener('snapshot', (e) => {
+    const data = JSON.parse(e.data);
+    applyLivePlayers(data.map(normalizePlayer));
+    setOffline(false);
+  });
+
+  liveSource.addEventListener('player', (e) => {
+    const data = JSON.parse(e.data);
+    if (data.stat !== currentStat) return;
+
+    const updated = normalizePlayer(data);
+    const others = confirmedPlayers.filter(p => p.id !== updated.id);
+    applyLivePlayers([...others, updated]);
+  });
+
+  liveSource.addEventListener('player_removed', (e) => {
+    const { id } = JSON.parse(e.data);
+    if (confirmedPlayers.some(p => p.id === id)) {
+      applyLivePlayers(confirmedPlayers.filter(p => p.id !== id));
+    }
+  });
+
+  liveSource.addEventListener('featured', (e) => {
+    const featured = JSON.parse(e.data);
+    if (getFeaturedPlayer()?.id !== featured.id) {
+      applyFeaturedPlayer(featured.id);
+    }
+  });
+
+  // An admin restored a backup: anything on screen may be out of date
+  liveSource.addEventListener('restored', () => {
+    loadBranding();
+    forceRefreshPlayers();
+    loadHistory();
+    loadRoster();
+    loadFeedEvents();
+  });
+
+  // An admin renamed the tracker or changed its colors
+  liveSource.addEventListener('branding', (e) => {
+    applyBranding(JSON.parse(e.data));
+  });
+
+  // Assists detected in the play-by-play feed, or reviewed by another scorer
+  liveSource.addEventListener('feed', () => {
+    if (hasRole('scorer')) loadFeedEvents();
+  });
+
+  liveSource.addEventListener('assist', (e) => {
+    const { log } = JSON.parse(e.data);
+    // Another scorer may have reversed one of our entries, or we changed something from another tab
+    if (log && hasRole('scorer') && (log.user_id === currentUser.id || log.reverses_id)) {
+      loadHistory();
+    }
+  });
+
+  // Reconnect ourselves with exponential backoff rather than relying on the browser's fixed retry
+  liveSource.addEventListener('error', () => {
+    setLiveStatus(false);
+    liveSource.close();
+    liveSource = null;
+
+    liveRetryTimer = setTimeout(connectLiveUpdates, liveRetryDelay);
+    liveRetryDelay = Math.min(liveRetryDelay * 2, LIVE_RETRY_MAX_MS);
+  });
+}
+
+function applyLivePlayers(nextPlayers) {
+  const nextState = [...nextPlayers]
+    .sort((a, b) => b.total - a.total)
+    .map(p => `${p.id}-${p.total}-${p.name}-${p.team}-${p.color}-${p.headshotUrl}-${p.status}`)
+    .join('|');
+  if (nextState === lastKnownState) return;
+
+  lastKnownState = nextState;
+  confirmedPlayers = nextPlayers;
+  showPlayers();
+}
+
+function setLiveStatus(connected) {
+  const badge = document.getElementById('liveBadge');
+  if (!badge) return;
+  badge.textContent = connected ? 'Live' : 'Reconnecting…';
+  badge.classList.toggle('bg-light', connected);
+  badge.classList.toggle('bg-secondary', !connected);
+}
+
+// Keep the page itself available offline (sw.js); data and queued changes live in IndexedDB below
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+  navigator.serviceWorker.register('/sw.js').catch(e => {
+    console.warn('Service worker registration failed:', e);
+  });
+}
+
+// The outbox and saved leaderboards; without IndexedDB (e.g. some private windows) they're kept in memory only
+function openOfflineDb() {
+  if (!offlineDb) {
+    offlineDb = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore('outbox', { keyPath: 'key' });
+        request.result.createObjectStore('leaderboards', { keyPath: 'stat' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, queued changes will not survive a reload:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return offlineDb;
+}
+
+// Run one request against an object store; resolves with its result once the transaction commits
+async function offlineStore(name, mode, work) {
+  const db = await openOfflineDb();
+  if (!db) return null;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    const request = work(transaction.objectStore(name));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function saveLeaderboard(stat, data) {
+  offlineStore('leaderboards', 'readwrite', store => store.put({ stat, players: data, saved_at: new Date().toISOString() }))
+    .catch(e => console.warn('Could not save the leaderboard for offline use:', e));
+}
+
+// Show the last leaderboard the server sent for a stat (the real one, never demo data)
+async function loadSavedLeaderboard(stat) {
+  let saved = null;
+  try {
+    saved = await offlineStore('leaderboards', 'readonly', store => store.get(stat));
+  } catch (e) {
+    console.warn('Could not load the saved leaderboard:', e);
+  }
+  if (stat !== currentStat) return;
+
+  if (!saved) {
+    setError(`Can't reach the server, and there's no saved ${statUnit()} leaderboard on this device yet.`);
+    return;
+  }
+
+  confirmedPlayers = saved.players.map(normalizePlayer);
+  showPlayers();
+  setError(`Can't reach the server. Showing the leaderboard from ${new Date(saved.saved_at).toLocaleString()}; ` +
+    'changes are saved on this device and sent when the connection returns.');
+}
+
+// Whether the API can be reached; coming back sends whatever was queued meanwhile
+function setOffline(offline) {
+  if (offline === isOffline) return;
+  isOffline = offline;
+
+  setError(offline ? "Can't reach the server. Changes are saved on this device and sent when the connection returns." : null);
+  renderSyncStatus();
+  renderHistory();
+  if (!offline) flushOutbox();
+}
+
+async function loadOutbox() {
+  if (isDemoMode()) return;
+
+  try {
+    outbox = ((await offlineStore('outbox', 'readonly', store => store.getAll())) || [])
+      .sort((a, b) => a.queued_at - b.queued_at);
+  } catch (e) {
+    console.warn('Could not load queued changes:', e);
+  }
+  renderSyncStatus();
+}
+
+// Queued changes belong to the account that made them and are only sent with its session
+function myPendingChanges() {
+  return outbox.filter(change => !!currentUser && change.user_id === currentUser.id);
+}
+
+function newIdempotencyKey() {
+  if (window.crypto && typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Put a change ({ type: 'add' | 'reduce' | 'undo', url, body, player_id, amount, description }) in the
+ * outbox, show it as pending and try to send it. Resolves with false when it can't be queued.
+ */
+async function queueChange(change) {
+  if (!hasRole('scorer')) {
+    showError('Log in as a scorer to make changes.');
+    return false;
+  }
+
+  const last = outbox[outbox.length - 1];
+  const entry = {
+    ...change,
+    key: newIdempotencyKey(),
+    stat: currentStat,
+    user_id: currentUser.id,
+    queued_at: Math.max(Date.now(), last ? last.queued_at + 1 : 0)
+  };
+  outbox.push(entry);
+
+  // Saved before the first attempt, so a reload or a closed tab can't lose it
+  await offlineStore('outbox', 'readwrite', store => store.put(entry))
+    .catch(e => console.warn('Could not save the change on this device:', e));
+
+  showPlayers();
+  renderHistory();
+  renderSyncStatus();
+  flushOutbox();
+  return true;
+}
+
+async function removeChange(change) {
+  outbox = outbox.filter(c => c.key !== change.key);
+  renderSyncStatus();
+  await offlineStore('outbox', 'readwrite', store => store.delete(change.key))
+    .catch(e => console.warn('Could not remove the change from this device:', e));
+}
+
+/*
+ * Send this account's queued changes in order. A network failure, a server error or an expired session
+ * leaves the rest queued for the next attempt (they're retried with the same Idempotency-Key, so the
+ * server can tell a replay from a new change); a change the server refuses outright is dropped and reported.
+ */
+async function flushOutbox() {
+  if (isFlushing || isDemoMode()) return;
+  isFlushing = true;
+  clearTimeout(outboxRetryTimer);
+  let settled = 0;
+
+  try {
+    for (const change of myPendingChanges()) {
+      // Undone while an earlier change was being sent
+      if (!outbox.includes(change)) continue;
+
+      sendingKey = change.key;
+      let res;
+      try {
+        res = await authFetch(change.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Idempotency-Key': change.key },
+          body: change.body ? JSON.stringify(change.body) : undefined
+        });
+      } catch (e) {
+        console.warn('Sending queued change failed:', e);
+        setOffline(true);
+        break;
+      }
+
+      setOffline(false);
+      if (res.status >= 500 || res.status === 401 || res.status === 429) break;
+
+      const json = await res.json().catch(() => ({}));
+      await removeChange(change);
+      settled++;
+
+      if (res.ok && json.success) {
+        if (change.type === 'undo') showSuccessMessage(json.message);
+      } else {
+        showError(`Not saved: ${change.description} (${json.message || `HTTP ${res.status}`})`);
+      }
+    }
+  } finally {
+    sendingKey = null;
+    isFlushing = false;
+  }
+
+  renderSyncStatus();
+  if (settled > 0) {
+    await forceRefreshPlayers();
+    await loadHistory();
+  } else {
+    renderHistory();
+  }
+
+  if (myPendingChanges().length > 0) {
+    outboxRetryTimer = setTimeout(flushOutbox, OUTBOX_RETRY_MS);
+  }
+}
+
+// Queued adds and removals for the current stat on top of a leaderboard; undos are left to the
+// server, which decides what they reverse
+function withPendingChanges(list) {
+  const deltas = new Map();
+  myPendingChanges()
+    .filter(change => change.stat === currentStat && change.type !== 'undo')
+    .forEach(change => {
+      const delta = change.type === 'add' ? change.amount : -change.amount;
+      deltas.set(change.player_id, (deltas.get(change.player_id) || 0) + delta);
+    });
+  if (deltas.size === 0) return list;
+
+  return list.map(p => (deltas.has(p.id) ? { ...p, total: p.total + deltas.get(p.id), pending: deltas.get(p.id) } : p));
+}
+
+function renderSyncStatus() {
+  const badge = document.getElementById('syncBadge');
+  if (!badge) return;
+
+  const count = myPendingChanges().length;
+  badge.classList.toggle('d-none', !isOffline && count === 0);
+  badge.classList.toggle('bg-danger', isOffline);
+  badge.classList.toggle('bg-warning', !isOffline);
+  badge.classList.toggle('text-dark', !isOffline);
+  if (isOffline) {
+    badge.textContent = count > 0 ? `Offline · ${count} pending` : 'Offline';
+  } else {
+    badge.textContent = `Saving ${count} ${count === 1 ? 'change' : 'changes'}…`;
+  }
+}
+
 function showLoading(loading) {
   const skeleton = document.getElementById('leaderboardSkeleton');
   const list = document.getElementById('leaderboard');
@@ -864,7 +2661,7 @@ document.getElementById('assistInput')?.addEventListener('blur', function(e) {
   const value = parseInt(e.target.value);
   if (isNaN(value) || value < 1) {
     e.target.classList.add('is-invalid');
-    showError('Please enter a valid number of assists (1 or more)');
+    showError(`Please enter a valid number of ${statUnit()} (1 or more)`);
   } else {
     e.target.classList.remove('is-invalid');
     setError(null);
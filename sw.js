@@ -0,0 +1,60 @@
+// Service worker: keeps the tracker page, its styles and scripts available offline, so a scorer can
+// reopen it without a connection. API requests pass straight through; the page keeps the last
+// leaderboard and the changes waiting to be sent in IndexedDB itself (see the outbox in script.js).
+
+const CACHE_NAME = 'assist-tracker-v1';
+const APP_SHELL = [
+  '/',
+  '/index.html',
+  '/app.css',
+  '/script.js',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches from older versions of this file
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+function isAppShell(url) {
+  if (url.origin !== self.location.origin) return APP_SHELL.includes(url.href);
+  // The API may be served from the same origin; its responses are never cached here
+  return !url.pathname.startsWith('/api/');
+}
+
+// Network first, so a deploy shows up straight away; the cached copy is only the fallback
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || !isAppShell(new URL(request.url))) return;
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(async () => {
+        // Tracker URLs carry options in the query string (?stat=, ?embed=...): any cached page will do
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return caches.match('/index.html');
+        return Response.error();
+      })
+  );
+});